@@ -0,0 +1,18 @@
+-- migrations/001_collection_runs.sql
+-- 수집 실행 이력 (scripts/lib/run-history.js)
+
+CREATE TABLE IF NOT EXISTS collection_runs (
+  run_id      text,
+  trigger     text,
+  target_date date,
+  platform    text,
+  brand       text,
+  status      text,
+  row_count   integer,
+  error       text,
+  duration_ms integer,
+  git_sha     text,
+  started_at  timestamptz,
+  finished_at timestamptz,
+  PRIMARY KEY (run_id, brand, platform, target_date)
+);
@@ -0,0 +1,51 @@
+-- migrations/002_currency_columns.sql
+-- 기존 테이블에 원화 환산·VAT 컬럼 추가 (scripts/lib/currency.js)
+-- 수집기가 모든 행에 currency, fx_rate, spend_ex_vat_krw, spend_inc_vat_krw 를 함께 기록한다.
+
+ALTER TABLE meta_insights
+  ADD COLUMN IF NOT EXISTS currency text,
+  ADD COLUMN IF NOT EXISTS fx_rate numeric,
+  ADD COLUMN IF NOT EXISTS spend_ex_vat_krw numeric,
+  ADD COLUMN IF NOT EXISTS spend_inc_vat_krw numeric;
+
+ALTER TABLE dok_meta_insights
+  ADD COLUMN IF NOT EXISTS currency text,
+  ADD COLUMN IF NOT EXISTS fx_rate numeric,
+  ADD COLUMN IF NOT EXISTS spend_ex_vat_krw numeric,
+  ADD COLUMN IF NOT EXISTS spend_inc_vat_krw numeric;
+
+ALTER TABLE naver_insights
+  ADD COLUMN IF NOT EXISTS currency text,
+  ADD COLUMN IF NOT EXISTS fx_rate numeric,
+  ADD COLUMN IF NOT EXISTS spend_ex_vat_krw numeric,
+  ADD COLUMN IF NOT EXISTS spend_inc_vat_krw numeric;
+
+ALTER TABLE dok_naver_insights
+  ADD COLUMN IF NOT EXISTS currency text,
+  ADD COLUMN IF NOT EXISTS fx_rate numeric,
+  ADD COLUMN IF NOT EXISTS spend_ex_vat_krw numeric,
+  ADD COLUMN IF NOT EXISTS spend_inc_vat_krw numeric;
+
+ALTER TABLE google_insights
+  ADD COLUMN IF NOT EXISTS currency text,
+  ADD COLUMN IF NOT EXISTS fx_rate numeric,
+  ADD COLUMN IF NOT EXISTS spend_ex_vat_krw numeric,
+  ADD COLUMN IF NOT EXISTS spend_inc_vat_krw numeric;
+
+ALTER TABLE dok_google_insights
+  ADD COLUMN IF NOT EXISTS currency text,
+  ADD COLUMN IF NOT EXISTS fx_rate numeric,
+  ADD COLUMN IF NOT EXISTS spend_ex_vat_krw numeric,
+  ADD COLUMN IF NOT EXISTS spend_inc_vat_krw numeric;
+
+-- 광고 세트: 원화 컬럼 + 브랜드 action 매핑 기준 링크 클릭·전환 가치 (scripts/meta_adset.js)
+-- clicks/ctr/cpc 는 Graph 값 그대로, link_* 는 매핑된 클릭 기준 (link_ctr 은 % 단위)
+ALTER TABLE meta_adset_sm
+  ADD COLUMN IF NOT EXISTS currency text,
+  ADD COLUMN IF NOT EXISTS fx_rate numeric,
+  ADD COLUMN IF NOT EXISTS spend_ex_vat_krw numeric,
+  ADD COLUMN IF NOT EXISTS spend_inc_vat_krw numeric,
+  ADD COLUMN IF NOT EXISTS link_clicks numeric,
+  ADD COLUMN IF NOT EXISTS link_ctr numeric,
+  ADD COLUMN IF NOT EXISTS link_cpc numeric,
+  ADD COLUMN IF NOT EXISTS purchase_value numeric;
@@ -0,0 +1,134 @@
+-- migrations/003_meta_tables.sql
+-- Meta 광고 세트(DOK)·캠페인·광고·분해 테이블 (scripts/meta_adset.js, scripts/fetch-meta.js)
+
+-- DOK 광고 세트 (meta_adset_sm 과 같은 구조)
+CREATE TABLE IF NOT EXISTS meta_adset_dok (
+  date_start                 date,
+  date_stop                  date,
+  time_zone                  text,
+  campaign_name              text,
+  adset_name                 text,
+  adset_id                   text,
+  impressions                numeric,
+  reach                      numeric,
+  clicks                     numeric,
+  ctr                        numeric,
+  cpc                        numeric,
+  link_clicks                numeric,
+  link_ctr                   numeric,
+  link_cpc                   numeric,
+  landing_page_views         numeric,
+  cost_per_landing_page_view numeric,
+  spend                      numeric,
+  cpm                        numeric,
+  frequency                  numeric,
+  view_content               numeric,
+  add_to_cart                numeric,
+  purchase                   numeric,
+  purchase_value             numeric,
+  cost_per_result            numeric,
+  learning_phase             text,
+  optimization_goal          text,
+  daily_budget               numeric,
+  bid_strategy               text,
+  status                     text,
+  currency                   text,
+  fx_rate                    numeric,
+  spend_ex_vat_krw           numeric,
+  spend_inc_vat_krw          numeric,
+  updated_at                 timestamptz,
+  PRIMARY KEY (date_start, adset_id)
+);
+
+-- 캠페인 단위
+CREATE TABLE IF NOT EXISTS meta_campaign_insights (
+  date              date,
+  campaign_id       text,
+  campaign_name     text,
+  objective         text,
+  reach             numeric,
+  spend             numeric,
+  impressions       numeric,
+  clicks            numeric,
+  ctr               numeric,
+  cpc               numeric,
+  conversion        numeric,
+  conversion_value  numeric,
+  roas              numeric,
+  cvr               numeric,
+  cpm               numeric,
+  cpa               numeric,
+  aov               numeric,
+  currency          text,
+  fx_rate           numeric,
+  spend_ex_vat_krw  numeric,
+  spend_inc_vat_krw numeric,
+  updated_at        timestamptz,
+  PRIMARY KEY (date, campaign_id)
+);
+
+CREATE TABLE IF NOT EXISTS dok_meta_campaign_insights (LIKE meta_campaign_insights INCLUDING ALL);
+
+-- 광고 단위 (소재 정보 포함)
+CREATE TABLE IF NOT EXISTS meta_ad_insights (
+  date              date,
+  ad_id             text,
+  ad_name           text,
+  adset_id          text,
+  adset_name        text,
+  campaign_id       text,
+  campaign_name     text,
+  creative_id       text,
+  thumbnail_url     text,
+  reach             numeric,
+  spend             numeric,
+  impressions       numeric,
+  clicks            numeric,
+  ctr               numeric,
+  cpc               numeric,
+  conversion        numeric,
+  conversion_value  numeric,
+  roas              numeric,
+  cvr               numeric,
+  cpm               numeric,
+  cpa               numeric,
+  aov               numeric,
+  currency          text,
+  fx_rate           numeric,
+  spend_ex_vat_krw  numeric,
+  spend_inc_vat_krw numeric,
+  updated_at        timestamptz,
+  PRIMARY KEY (date, ad_id)
+);
+
+CREATE TABLE IF NOT EXISTS dok_meta_ad_insights (LIKE meta_ad_insights INCLUDING ALL);
+
+-- 연령·성별·노출 위치 분해 (두 브랜드 공용, 쓰지 않는 분해 컬럼은 빈 문자열)
+CREATE TABLE IF NOT EXISTS meta_breakdown_insights (
+  date               date,
+  brand              text,
+  breakdown_type     text,
+  age                text,
+  gender             text,
+  publisher_platform text,
+  platform_position  text,
+  reach              numeric,
+  spend              numeric,
+  impressions        numeric,
+  clicks             numeric,
+  ctr                numeric,
+  cpc                numeric,
+  conversion         numeric,
+  conversion_value   numeric,
+  roas               numeric,
+  cvr                numeric,
+  cpm                numeric,
+  cpa                numeric,
+  aov                numeric,
+  currency           text,
+  fx_rate            numeric,
+  spend_ex_vat_krw   numeric,
+  spend_inc_vat_krw  numeric,
+  updated_at         timestamptz,
+  PRIMARY KEY (date, brand, breakdown_type, age, gender, publisher_platform, platform_position)
+);
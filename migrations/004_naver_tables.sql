@@ -0,0 +1,109 @@
+-- migrations/004_naver_tables.sql
+-- 네이버 캠페인·키워드·분해·전환 유형 테이블 (scripts/fetch-naver.js)
+
+-- 캠페인 단위
+CREATE TABLE IF NOT EXISTS naver_campaign_insights (
+  date              date,
+  campaign_id       text,
+  campaign_name     text,
+  campaign_type     text,
+  spend             numeric,
+  impressions       numeric,
+  clicks            numeric,
+  conversion        numeric,
+  conversion_value  numeric,
+  ctr               numeric,
+  cpc               numeric,
+  cvr               numeric,
+  cpm               numeric,
+  cpa               numeric,
+  aov               numeric,
+  roas              numeric,
+  rank_avg          numeric,
+  currency          text,
+  fx_rate           numeric,
+  spend_ex_vat_krw  numeric,
+  spend_inc_vat_krw numeric,
+  updated_at        timestamptz,
+  PRIMARY KEY (date, campaign_id)
+);
+
+CREATE TABLE IF NOT EXISTS dok_naver_campaign_insights (LIKE naver_campaign_insights INCLUDING ALL);
+
+-- 키워드 단위
+CREATE TABLE IF NOT EXISTS naver_keyword_insights (
+  date              date,
+  keyword_id        text,
+  keyword           text,
+  adgroup_id        text,
+  adgroup_name      text,
+  campaign_id       text,
+  campaign_name     text,
+  spend             numeric,
+  impressions       numeric,
+  clicks            numeric,
+  conversion        numeric,
+  conversion_value  numeric,
+  ctr               numeric,
+  cpc               numeric,
+  cvr               numeric,
+  cpm               numeric,
+  cpa               numeric,
+  aov               numeric,
+  roas              numeric,
+  rank_avg          numeric,
+  currency          text,
+  fx_rate           numeric,
+  spend_ex_vat_krw  numeric,
+  spend_inc_vat_krw numeric,
+  updated_at        timestamptz,
+  PRIMARY KEY (date, keyword_id)
+);
+
+CREATE TABLE IF NOT EXISTS dok_naver_keyword_insights (LIKE naver_keyword_insights INCLUDING ALL);
+
+-- 캠페인 유형·기기·매체 분해
+CREATE TABLE IF NOT EXISTS naver_breakdown_insights (
+  date              date,
+  campaign_type     text,
+  device            text,
+  media_code        text,
+  spend             numeric,
+  impressions       numeric,
+  clicks            numeric,
+  conversion        numeric,
+  conversion_value  numeric,
+  ctr               numeric,
+  cpc               numeric,
+  cvr               numeric,
+  cpm               numeric,
+  cpa               numeric,
+  aov               numeric,
+  roas              numeric,
+  rank_avg          numeric,
+  currency          text,
+  fx_rate           numeric,
+  spend_ex_vat_krw  numeric,
+  spend_inc_vat_krw numeric,
+  updated_at        timestamptz,
+  PRIMARY KEY (date, campaign_type, device, media_code)
+);
+
+CREATE TABLE IF NOT EXISTS dok_naver_breakdown_insights (LIKE naver_breakdown_insights INCLUDING ALL);
+
+-- 전환 유형별 (counted: 브랜드 conversionTypes 에 포함되어 conversion 에 합산된 유형)
+CREATE TABLE IF NOT EXISTS naver_conversion_insights (
+  date              date,
+  campaign_id       text,
+  campaign_name     text,
+  campaign_type     text,
+  conversion_method text,
+  conversion_type   text,
+  counted           boolean,
+  conversion        numeric,
+  conversion_value  numeric,
+  updated_at        timestamptz,
+  PRIMARY KEY (date, campaign_id, conversion_method, conversion_type)
+);
+
+CREATE TABLE IF NOT EXISTS dok_naver_conversion_insights (LIKE naver_conversion_insights INCLUDING ALL);
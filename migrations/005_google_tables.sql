@@ -0,0 +1,90 @@
+-- migrations/005_google_tables.sql
+-- 구글 캠페인·광고그룹·검색어 테이블 (scripts/fetch-google.js)
+
+-- 캠페인 단위
+CREATE TABLE IF NOT EXISTS google_campaign_insights (
+  date              date,
+  campaign_id       text,
+  campaign_name     text,
+  channel_type      text,
+  status            text,
+  spend             numeric,
+  impressions       numeric,
+  clicks            numeric,
+  ctr               numeric,
+  cpc               numeric,
+  conversion        numeric,
+  conversion_value  numeric,
+  roas              numeric,
+  cvr               numeric,
+  cpm               numeric,
+  cpa               numeric,
+  aov               numeric,
+  search_impr_share numeric,
+  currency          text,
+  fx_rate           numeric,
+  spend_ex_vat_krw  numeric,
+  spend_inc_vat_krw numeric,
+  PRIMARY KEY (date, campaign_id)
+);
+
+CREATE TABLE IF NOT EXISTS dok_google_campaign_insights (LIKE google_campaign_insights INCLUDING ALL);
+
+-- 광고그룹 단위
+CREATE TABLE IF NOT EXISTS google_adgroup_insights (
+  date              date,
+  adgroup_id        text,
+  adgroup_name      text,
+  adgroup_type      text,
+  status            text,
+  campaign_id       text,
+  campaign_name     text,
+  spend             numeric,
+  impressions       numeric,
+  clicks            numeric,
+  ctr               numeric,
+  cpc               numeric,
+  conversion        numeric,
+  conversion_value  numeric,
+  roas              numeric,
+  cvr               numeric,
+  cpm               numeric,
+  cpa               numeric,
+  aov               numeric,
+  search_impr_share numeric,
+  currency          text,
+  fx_rate           numeric,
+  spend_ex_vat_krw  numeric,
+  spend_inc_vat_krw numeric,
+  PRIMARY KEY (date, adgroup_id)
+);
+
+CREATE TABLE IF NOT EXISTS dok_google_adgroup_insights (LIKE google_adgroup_insights INCLUDING ALL);
+
+-- 검색어 단위 (spend_without_conversion: 전환 없이 광고비만 쓴 검색어)
+CREATE TABLE IF NOT EXISTS google_search_terms (
+  date                     date,
+  search_term              text,
+  keyword                  text,
+  match_type               text,
+  campaign_id              text,
+  campaign_name            text,
+  adgroup_id               text,
+  adgroup_name             text,
+  spend                    numeric,
+  impressions              numeric,
+  clicks                   numeric,
+  conversion               numeric,
+  conversion_value         numeric,
+  cpc                      numeric,
+  cpa                      numeric,
+  roas                     numeric,
+  spend_without_conversion boolean,
+  currency                 text,
+  fx_rate                  numeric,
+  spend_ex_vat_krw         numeric,
+  spend_inc_vat_krw        numeric,
+  PRIMARY KEY (date, adgroup_id, search_term, keyword, match_type)
+);
+
+CREATE TABLE IF NOT EXISTS dok_google_search_terms (LIKE google_search_terms INCLUDING ALL);
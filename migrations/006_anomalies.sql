@@ -0,0 +1,20 @@
+-- migrations/006_anomalies.sql
+-- 광고 지표 이상치 (scripts/lib/anomaly.js)
+
+CREATE TABLE IF NOT EXISTS anomalies (
+  date        date,
+  brand       text,
+  platform    text,
+  campaign    text,
+  metric      text,
+  value       numeric,
+  median_14d  numeric,
+  score_14d   numeric,
+  median_28d  numeric,
+  score_28d   numeric,
+  direction   text,
+  threshold   numeric,
+  message     text,
+  detected_at timestamptz,
+  PRIMARY KEY (date, brand, platform, campaign, metric)
+);
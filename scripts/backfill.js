@@ -0,0 +1,207 @@
+// scripts/backfill.js
+// 기간 지정 백필 스크립트
+//
+// 사용법:
+//   node scripts/backfill.js --from 2025-08-01 --to 2025-08-31 [--platform naver,google] [--brand dok] [--force]
+//
+// 이미 *_insights 테이블에 데이터가 있는 날짜는 건너뛴다 (--force 지정 시 다시 수집).
+
+import { fetchMetaData } from './fetch-meta.js';
+import { fetchNaverData } from './fetch-naver.js';
+import { fetchGoogleData } from './fetch-google.js';
+import { PLATFORMS, getBrands, brandLabel } from './lib/brand-registry.js';
+import { dateRange } from './lib/dates.js';
+import { createSink } from './lib/sinks/index.js';
+import { createRunContext, saveRunRecords } from './lib/run-history.js';
+import dotenv from 'dotenv';
+
+// 환경변수 로드
+dotenv.config();
+
+// 플랫폼별 수집 함수 및 표시 이름
+const PLATFORM_RUNNERS = {
+  meta: { fetch: fetchMetaData, name: 'Meta' },
+  naver: { fetch: fetchNaverData, name: '네이버' },
+  google: { fetch: fetchGoogleData, name: '구글' }
+};
+
+const USAGE = '사용법: node scripts/backfill.js --from YYYY-MM-DD --to YYYY-MM-DD [--platform meta,naver,google] [--brand main,dok] [--force]';
+
+/**
+ * 명령행 인자 파싱
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{ from: string, to: string, platforms: string[], brandIds: string[], force: boolean }}
+ */
+function parseArgs(argv) {
+  const args = { from: null, to: null, platforms: [], brandIds: [], force: false };
+  const list = (value) => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split('=');
+    const value = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+
+    switch (flag) {
+      case '--from':
+        args.from = value();
+        break;
+      case '--to':
+        args.to = value();
+        break;
+      case '--platform':
+        args.platforms = list(value());
+        break;
+      case '--brand':
+        args.brandIds = list(value());
+        break;
+      case '--force':
+        args.force = true;
+        break;
+      default:
+        throw new Error(`알 수 없는 인자: ${argv[i]}\n${USAGE}`);
+    }
+  }
+
+  if (!args.from || !args.to) {
+    throw new Error(`--from, --to 인자가 필요합니다.\n${USAGE}`);
+  }
+
+  const unknown = args.platforms.filter(p => !PLATFORMS.includes(p));
+  if (unknown.length > 0) {
+    throw new Error(`지원하지 않는 플랫폼: ${unknown.join(', ')} (가능: ${PLATFORMS.join(', ')})`);
+  }
+
+  return args;
+}
+
+/**
+ * 테이블에 이미 저장된 날짜 조회
+ * @param {import('./lib/sinks/index.js').Sink} sink - 저장소
+ * @param {string} table - 테이블 이름
+ * @param {string} from - 시작일
+ * @param {string} to - 종료일
+ * @returns {Promise<Set<string>>} 저장된 날짜 집합
+ */
+async function getExistingDates(sink, table, from, to) {
+  const rows = await sink.select(table, {
+    columns: ['date'],
+    gte: { date: from },
+    lte: { date: to }
+  });
+
+  return new Set(rows.map(row => row.date));
+}
+
+/**
+ * 기간 백필 실행
+ * 브랜드 × 플랫폼마다 저장되지 않은 날짜를 한 번에 수집하고, 수집 요약으로 날짜별 결과를 만든다.
+ * @param {Object} options
+ * @param {string} options.from - 시작일 (YYYY-MM-DD)
+ * @param {string} options.to - 종료일 (YYYY-MM-DD)
+ * @param {string[]} [options.platforms] - 플랫폼 목록 (비우면 전체)
+ * @param {string[]} [options.brandIds] - 브랜드 ID 목록 (비우면 전체)
+ * @param {boolean} [options.force] - 기존 데이터가 있어도 다시 수집
+ * @param {import('./lib/sinks/index.js').Sink} [options.sink] - 저장소 (비우면 createSink(), 전달한 저장소는 닫지 않음)
+ * @param {Object<string, {fetch: Function, name: string}>} [options.runners] - 플랫폼별 수집 함수 (비우면 PLATFORM_RUNNERS)
+ * @returns {Promise<Object[]>} 날짜별 실행 결과
+ */
+async function runBackfill({ from, to, platforms = [], brandIds = [], force = false, sink, runners = PLATFORM_RUNNERS }) {
+  const dates = dateRange(from, to);
+  const target = sink || await createSink();
+  const run = createRunContext({ trigger: 'backfill' });
+  const report = [];
+
+  console.log(`🚀 백필 시작: ${from} ~ ${to} (${dates.length}일)${force ? ' [force]' : ''}`);
+  console.log('='.repeat(60));
+
+  try {
+    for (const brand of getBrands(brandIds)) {
+      for (const platform of PLATFORMS) {
+        if (!brand.platforms?.[platform]) continue;
+        if (platforms.length > 0 && !platforms.includes(platform)) continue;
+
+        const runner = runners[platform];
+        const label = brandLabel(brand, runner.name);
+        const table = brand.platforms[platform].tables.insights;
+        const entry = (date, fields) => ({ date, brand: brand.id, platform, label, status: null, rows: null, error: null, ...fields });
+
+        let existingDates = new Set();
+        if (!force) {
+          try {
+            existingDates = await getExistingDates(target, table, from, to);
+          } catch (error) {
+            console.error(`⚠️ ${error.message} - 전체 날짜를 수집합니다.`);
+          }
+        }
+
+        const missingDates = dates.filter(date => !existingDates.has(date));
+        const skippedDates = dates.filter(date => existingDates.has(date));
+        if (skippedDates.length > 0) {
+          console.log(`⏭️ ${label}: 이미 데이터가 있는 ${skippedDates.length}일은 건너뜁니다 (${skippedDates.join(', ')}).`);
+        }
+
+        const entries = new Map(skippedDates.map(date => [date, entry(date, { status: 'skipped' })]));
+
+        if (missingDates.length > 0) {
+          console.log(`\n▶️ ${label} ${missingDates.length}일 수집 (${missingDates[0]} ~ ${missingDates[missingDates.length - 1]})...`);
+          const startedAt = Date.now();
+          try {
+            const summary = await runner.fetch({ brandId: brand.id, dates: missingDates, sink: target });
+            const rowsByDate = new Map((summary || []).map(s => [s.date, s.rows]));
+            for (const date of missingDates) {
+              entries.set(date, entry(date, { status: 'success', rows: rowsByDate.get(date) ?? null }));
+            }
+            await saveRunRecords(target, run.build({ brand: brand.id, platform, dates: missingDates, summary, startedAt }));
+          } catch (error) {
+            // 수집이 중간에 멈추면 저장된 날짜를 알 수 없으므로 전체를 실패로 남김 (다시 실행하면 저장된 날짜는 건너뜀)
+            console.error(`❌ ${label} 수집 실패:`, error.message);
+            for (const date of missingDates) {
+              entries.set(date, entry(date, { status: 'failed', error: error.message }));
+            }
+            await saveRunRecords(target, run.build({ brand: brand.id, platform, dates: missingDates, error, startedAt }));
+          }
+        }
+
+        report.push(...dates.map(date => entries.get(date)));
+      }
+    }
+  } finally {
+    if (!sink) {
+      await target.close();
+    }
+  }
+
+  displayReport(report);
+  return report;
+}
+
+// 날짜별 결과 표시
+function displayReport(report) {
+  const STATUS_LABELS = { success: '✅ 성공', skipped: '⏭️ 건너뜀', failed: '❌ 실패' };
+
+  console.log('\n📈 백필 결과');
+  console.table(report.map(entry => ({
+    날짜: entry.date,
+    플랫폼: entry.label,
+    상태: STATUS_LABELS[entry.status],
+    데이터: entry.rows ?? '-',
+    에러: entry.error ? entry.error.substring(0, 40) : ''
+  })));
+
+  const count = (status) => report.filter(e => e.status === status).length;
+  console.log(`🏁 성공 ${count('success')}건 / 건너뜀 ${count('skipped')}건 / 실패 ${count('failed')}건`);
+}
+
+// 스크립트 직접 실행 시
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const report = await runBackfill(parseArgs(process.argv.slice(2)));
+    if (report.some(entry => entry.status === 'failed')) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('💥 백필 실행 에러:', error.message);
+    process.exit(1);
+  }
+}
+
+export { runBackfill };
@@ -0,0 +1,102 @@
+// scripts/daily-report.js
+// 일일 통합 리포트 생성 스크립트
+//
+// 사용법:
+//   node scripts/daily-report.js [--date 2025-08-01] [--brand main,dok] [--format markdown|html] [--out report.html]
+//
+// 날짜를 지정하지 않으면 TARGET_DATE 또는 어제(KST). --out 이 없으면 표준 출력으로 내보낸다.
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { createSink } from './lib/sinks/index.js';
+import { resolveDates } from './lib/dates.js';
+import { buildDailyReport, renderMarkdown, renderHtml } from './lib/report.js';
+
+// 환경변수 로드
+dotenv.config();
+
+const RENDERERS = { markdown: renderMarkdown, html: renderHtml };
+
+const USAGE = '사용법: node scripts/daily-report.js [--date YYYY-MM-DD] [--brand main,dok] [--format markdown|html] [--out 파일]';
+
+/**
+ * 명령행 인자 파싱
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{ date: string|null, brandIds: string[], format: string, out: string|null }}
+ */
+function parseArgs(argv) {
+  const args = { date: null, brandIds: [], format: 'markdown', out: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split('=');
+    const value = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+
+    switch (flag) {
+      case '--date':
+        args.date = value();
+        break;
+      case '--brand':
+        args.brandIds = (value() || '').split(',').map(v => v.trim()).filter(Boolean);
+        break;
+      case '--format':
+        args.format = value();
+        break;
+      case '--out':
+        args.out = value();
+        break;
+      default:
+        throw new Error(`알 수 없는 인자: ${argv[i]}\n${USAGE}`);
+    }
+  }
+
+  if (!RENDERERS[args.format]) {
+    throw new Error(`지원하지 않는 형식: ${args.format} (가능: ${Object.keys(RENDERERS).join(', ')})`);
+  }
+
+  return args;
+}
+
+/**
+ * 일일 리포트 생성
+ * @param {Object} [options]
+ * @param {string} [options.date] - 리포트 날짜 (비우면 TARGET_DATE 또는 어제)
+ * @param {string[]} [options.brandIds] - 브랜드 ID 목록 (비우면 전체)
+ * @param {'markdown'|'html'} [options.format='markdown'] - 출력 형식
+ * @param {import('./lib/sinks/index.js').Sink} [options.sink] - 저장소 (비우면 설정에 따라 생성)
+ * @returns {Promise<{ report: Object, content: string }>} 리포트 데이터와 렌더링 결과
+ */
+async function generateDailyReport({ date, brandIds = [], format = 'markdown', sink } = {}) {
+  const [reportDate] = resolveDates(date ? [date] : undefined);
+  const target = sink || await createSink();
+
+  try {
+    const report = await buildDailyReport(target, reportDate, { brandIds });
+    return { report, content: RENDERERS[format](report) };
+  } finally {
+    if (!sink) {
+      await target.close();
+    }
+  }
+}
+
+// 스크립트 직접 실행 시
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const { out, ...options } = parseArgs(process.argv.slice(2));
+    const { report, content } = await generateDailyReport(options);
+
+    if (out) {
+      fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+      fs.writeFileSync(out, content);
+      console.log(`📄 ${report.date} 리포트 저장: ${out}`);
+    } else {
+      process.stdout.write(content);
+    }
+  } catch (error) {
+    console.error('💥 리포트 생성 에러:', error.message);
+    process.exit(1);
+  }
+}
+
+export { generateDailyReport };
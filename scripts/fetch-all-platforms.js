@@ -1,120 +1,162 @@
 // scripts/fetch-all-platforms.js
-// 모든 광고 플랫폼 데이터 통합 수집 스크립트
+// 모든 광고 플랫폼 데이터 통합 수집 스크립트 (브랜드 레지스트리 기반)
 
 import { fetchMetaData } from './fetch-meta.js';
+import { fetchMetaAdsetData } from './meta_adset.js';
 import { fetchNaverData } from './fetch-naver.js';
 import { fetchGoogleData } from './fetch-google.js';
-import { fetchMetaData as fetchDokMetaData } from './fetch-meta-dok.js';
-import { fetchNaverData as fetchDokNaverData } from './fetch-naver-dok.js';
-import { fetchGoogleData as fetchDokGoogleData } from './fetch-google-dok.js';
-import { createClient } from '@supabase/supabase-js';
+import { PLATFORMS, getBrands, brandLabel } from './lib/brand-registry.js';
+import { createSink } from './lib/sinks/index.js';
+import { resolveDates } from './lib/dates.js';
+import { createRunContext, saveRunRecords } from './lib/run-history.js';
+import { buildRunReport, notifyRunResult } from './lib/notifier.js';
+import { resolveAnomalyConfig, detectAnomalies, saveAnomalies } from './lib/anomaly.js';
 import dotenv from 'dotenv';
 
 // 환경변수 로드
 dotenv.config();
 
-const supa = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+// 플랫폼별 수집 함수 및 표시 정보
+const PLATFORM_RUNNERS = {
+  meta: { fetch: fetchMetaData, name: 'Meta', title: 'Meta (Facebook)', icon: '🔵' },
+  naver: { fetch: fetchNaverData, name: '네이버', title: '네이버', icon: '🟢' },
+  google: { fetch: fetchGoogleData, name: '구글', title: '구글', icon: '🔴' }
+};
 
-async function fetchAllPlatforms() {
-  const startTime = Date.now();
-  const today = new Date().toISOString().slice(0, 10);
-  
-  console.log(`🚀 모든 광고 플랫폼 데이터 수집 시작 (${today})`);
-  console.log('='.repeat(60));
+// 플랫폼별 추가 수집 단계 (브랜드의 해당 플랫폼 tables에 테이블이 설정된 경우에만 실행)
+const EXTRA_STEPS = {
+  meta: [
+    {
+      key: 'meta_adset',
+      table: 'adsets',
+      dateColumn: 'date_start',
+      fetch: fetchMetaAdsetData,
+      name: 'Meta 광고 세트',
+      title: 'Meta 광고 세트',
+      icon: '🔵'
+    }
+  ]
+};
 
-  const results = {
-    meta: { success: false, error: null, count: 0 },
-    naver: { success: false, error: null, count: 0 },
-    google: { success: false, error: null, count: 0 },
-    dok_meta: { success: false, error: null, count: 0 },
-    dok_naver: { success: false, error: null, count: 0 },
-    dok_google: { success: false, error: null, count: 0 }
-  };
+/**
+ * 실행 대상 (브랜드 × 플랫폼 + 추가 수집 단계) 목록 생성
+ * @param {Object} [options]
+ * @param {string[]} [options.brandIds] - 브랜드 ID 목록 (비우면 전체)
+ * @param {string[]} [options.platforms] - 플랫폼 목록 (비우면 전체)
+ * @returns {Object[]} 실행 대상 목록
+ */
+function buildTargets({ brandIds = [], platforms = [] } = {}) {
+  const targets = [];
 
-  // 1) Meta 광고 데이터 수집
-  console.log('\n🔵 Meta (Facebook) 광고 데이터 수집...');
-  try {
-    await fetchMetaData();
-    results.meta.success = true;
-    console.log('✅ Meta 데이터 수집 완료');
-  } catch (error) {
-    results.meta.error = error.message;
-    console.error('❌ Meta 데이터 수집 실패:', error.message);
-  }
+  for (const brand of getBrands(brandIds)) {
+    for (const platform of PLATFORMS) {
+      if (!brand.platforms?.[platform]) continue;
+      if (platforms.length > 0 && !platforms.includes(platform)) continue;
 
-  // 2) 네이버 광고 데이터 수집
-  console.log('\n🟢 네이버 광고 데이터 수집...');
-  try {
-    await fetchNaverData();
-    results.naver.success = true;
-    console.log('✅ 네이버 데이터 수집 완료');
-  } catch (error) {
-    results.naver.error = error.message;
-    console.error('❌ 네이버 데이터 수집 실패:', error.message);
+      const runner = PLATFORM_RUNNERS[platform];
+      targets.push({
+        key: `${brand.id}_${platform}`,
+        brand,
+        platform,
+        table: brand.platforms[platform].tables.insights,
+        dateColumn: 'date',
+        label: brandLabel(brand, runner.name),
+        title: brandLabel(brand, runner.title),
+        icon: runner.icon,
+        fetch: runner.fetch
+      });
+
+      for (const step of EXTRA_STEPS[platform] || []) {
+        const table = brand.platforms[platform].tables[step.table];
+        if (!table) continue;
+
+        targets.push({
+          key: `${brand.id}_${step.key}`,
+          brand,
+          platform: step.key,
+          table,
+          dateColumn: step.dateColumn,
+          label: brandLabel(brand, step.name),
+          title: brandLabel(brand, step.title),
+          icon: step.icon,
+          fetch: step.fetch
+        });
+      }
+    }
   }
 
-  // 3) 구글 광고 데이터 수집
-  console.log('\n🔴 구글 광고 데이터 수집...');
-  try {
-    await fetchGoogleData();
-    results.google.success = true;
-    console.log('✅ 구글 데이터 수집 완료');
-  } catch (error) {
-    results.google.error = error.message;
-    console.error('❌ 구글 데이터 수집 실패:', error.message);
+  return targets;
+}
+
+async function fetchAllPlatforms(options = {}) {
+  const { dryRun = false } = options;
+  const startTime = Date.now();
+  const today = new Date().toISOString().slice(0, 10);
+
+  console.log(`🚀 모든 광고 플랫폼 데이터 수집 시작 (${today})${dryRun ? ' [dry-run: 저장하지 않음]' : ''}`);
+  console.log('='.repeat(60));
+
+  const targets = buildTargets(options);
+  const dates = resolveDates(options.dates);
+  const sink = await createSink();
+  const run = createRunContext();
+  const runRecords = [];
+  console.log(`💾 저장소: ${sink.description}`);
+
+  const results = {};
+  for (const target of targets) {
+    results[target.key] = { success: false, error: null, count: 0, spend: 0, violations: [], anomalies: [] };
   }
 
-  // 4) DOK Meta 광고 데이터 수집
-  console.log('\n🔵 DOK Meta (Facebook) 광고 데이터 수집...');
-  try {
-    await fetchDokMetaData();
-    results.dok_meta.success = true;
-    console.log('✅ DOK Meta 데이터 수집 완료');
-  } catch (error) {
-    results.dok_meta.error = error.message;
-    console.error('❌ DOK Meta 데이터 수집 실패:', error.message);
+  // 1) 브랜드 × 플랫폼 순서대로 수집
+  for (const target of targets) {
+    console.log(`\n${target.icon} ${target.title} 광고 데이터 수집...`);
+    const startedAt = Date.now();
+    try {
+      const summary = await target.fetch({ brandId: target.brand.id, dates, sink, dryRun });
+      results[target.key].success = true;
+      results[target.key].count = summary.reduce((sum, s) => sum + s.rows, 0);
+      results[target.key].spend = summary.reduce((sum, s) => sum + (s.spend || 0), 0);
+      results[target.key].violations = summary.flatMap(s => s.violations || []);
+      runRecords.push(...run.build({ brand: target.brand.id, platform: target.platform, dates, summary, startedAt }));
+      console.log(`✅ ${target.label} 데이터 수집 완료`);
+    } catch (error) {
+      results[target.key].error = error.message;
+      runRecords.push(...run.build({ brand: target.brand.id, platform: target.platform, dates, error, startedAt }));
+      console.error(`❌ ${target.label} 데이터 수집 실패:`, error.message);
+    }
   }
 
-  // 5) DOK 네이버 광고 데이터 수집
-  console.log('\n🟢 DOK 네이버 광고 데이터 수집...');
-  try {
-    await fetchDokNaverData();
-    results.dok_naver.success = true;
-    console.log('✅ DOK 네이버 데이터 수집 완료');
-  } catch (error) {
-    results.dok_naver.error = error.message;
-    console.error('❌ DOK 네이버 데이터 수집 실패:', error.message);
+  // 실행 이력 저장 (dry-run은 아무것도 쓰지 않음)
+  if (!dryRun) {
+    await saveRunRecords(sink, runRecords);
   }
 
-  // 6) DOK 구글 광고 데이터 수집
-  console.log('\n🔴 DOK 구글 광고 데이터 수집...');
-  try {
-    await fetchDokGoogleData();
-    results.dok_google.success = true;
-    console.log('✅ DOK 구글 데이터 수집 완료');
-  } catch (error) {
-    results.dok_google.error = error.message;
-    console.error('❌ DOK 구글 데이터 수집 실패:', error.message);
+  // 2) 이상 징후 탐지 (저장된 insights 기준이라 dry-run은 건너뜀)
+  if (!dryRun) {
+    await runAnomalyDetection(sink, results, targets, dates);
   }
 
-  // 7) 결과 통계 조회
+  // 3) 결과 통계 조회 - 수집한 날짜 기준 (dry-run은 저장하지 않으므로 수집 건수로 표시)
   console.log('\n📊 수집 결과 통계...');
   try {
-    const stats = await getCollectionStats(today);
-    
+    const stats = dryRun ? getFetchedStats(results, targets) : await getCollectionStats(sink, dates, targets);
+
     // 플랫폼별 데이터 건수 업데이트
-    results.meta.count = stats.meta || 0;
-    results.naver.count = stats.naver || 0;
-    results.google.count = stats.google || 0;
-    results.dok_meta.count = stats.dok_meta || 0;
-    results.dok_naver.count = stats.dok_naver || 0;
-    results.dok_google.count = stats.dok_google || 0;
-
-    displaySummary(results, stats, startTime);
+    for (const target of targets) {
+      results[target.key].count = stats.tables[target.table] || 0;
+    }
+
+    displaySummary(results, stats, targets, startTime);
   } catch (error) {
     console.error('❌ 통계 조회 실패:', error.message);
   }
 
+  await sink.close();
+
+  // 4) 알림 전송 (NOTIFY_WEBHOOK_URL 설정 시)
+  await notifyRunResult(buildRunReport({ results, targets, dates, startTime, dryRun, runId: run.runId }));
+
   // 5) 최종 결과
   const successCount = Object.values(results).filter(r => r.success).length;
   const totalPlatforms = Object.keys(results).length;
@@ -130,121 +172,226 @@ async function fetchAllPlatforms() {
   }
 }
 
-// 수집 통계 조회 (각 테이블별로 개별 조회)
-async function getCollectionStats(date) {
+// 수집에 성공한 브랜드·플랫폼의 insights 이상 징후 탐지 후 anomalies 테이블에 저장
+async function runAnomalyDetection(sink, results, targets, dates) {
+  console.log('\n📈 이상 징후 탐지...');
+
+  let config;
+  try {
+    config = resolveAnomalyConfig();
+  } catch (error) {
+    console.error('⚠️ 이상 징후 설정 오류:', error.message);
+    return;
+  }
+
+  for (const target of targets) {
+    // 광고 세트 등 추가 수집 단계는 insights 테이블이 아니므로 제외
+    if (!PLATFORM_RUNNERS[target.platform] || !results[target.key].success) continue;
+
+    try {
+      const found = await detectAnomalies(sink, { brand: target.brand, platform: target.platform, dates, config });
+      results[target.key].anomalies = found;
+      await saveAnomalies(sink, found, { brand: target.brand.id, platform: target.platform, dates });
+    } catch (error) {
+      console.error(`⚠️ ${target.label} 이상 징후 탐지 실패:`, error.message);
+    }
+  }
+}
+
+// 수집 통계 조회 (수집한 날짜의 테이블별 행 수)
+async function getCollectionStats(sink, dates, targets) {
+  const tables = [...new Set(targets.map(t => t.table))];
+  const dateColumns = Object.fromEntries(targets.map(t => [t.table, t.dateColumn]));
+  const stats = { tables: {}, brands: {}, grand_total: 0 };
+
   try {
-    // 각 플랫폼별 테이블에서 데이터 건수 조회 (기존 + DOK)
-    const [metaResult, naverResult, googleResult, dokMetaResult, dokNaverResult, dokGoogleResult] = await Promise.all([
-      supa.from('meta_insights').select('id', { count: 'exact' }).eq('date', date),
-      supa.from('naver_insights').select('id', { count: 'exact' }).eq('date', date),
-      supa.from('google_insights').select('id', { count: 'exact' }).eq('date', date),
-      supa.from('dok_meta_insights').select('id', { count: 'exact' }).eq('date', date),
-      supa.from('dok_naver_insights').select('id', { count: 'exact' }).eq('date', date),
-      supa.from('dok_google_insights').select('id', { count: 'exact' }).eq('date', date)
-    ]);
-
-    const stats = {
-      meta: metaResult.count || 0,
-      naver: naverResult.count || 0,
-      google: googleResult.count || 0,
-      dok_meta: dokMetaResult.count || 0,
-      dok_naver: dokNaverResult.count || 0,
-      dok_google: dokGoogleResult.count || 0,
-      original_total: (metaResult.count || 0) + (naverResult.count || 0) + (googleResult.count || 0),
-      dok_total: (dokMetaResult.count || 0) + (dokNaverResult.count || 0) + (dokGoogleResult.count || 0),
-      grand_total: (metaResult.count || 0) + (naverResult.count || 0) + (googleResult.count || 0) + 
-                   (dokMetaResult.count || 0) + (dokNaverResult.count || 0) + (dokGoogleResult.count || 0)
-    };
-
-    return stats;
+    // 각 브랜드·플랫폼 테이블에서 데이터 건수 조회 (광고 세트 테이블은 date_start 기준)
+    const counts = await Promise.all(
+      tables.map(table => sink.count(table, { in: { [dateColumns[table]]: dates } }))
+    );
+
+    tables.forEach((table, i) => {
+      stats.tables[table] = counts[i];
+    });
   } catch (error) {
     console.error('통계 조회 에러:', error);
-    return { meta: 0, naver: 0, google: 0, dok_meta: 0, dok_naver: 0, dok_google: 0, original_total: 0, dok_total: 0, grand_total: 0 };
+    tables.forEach(table => {
+      stats.tables[table] = 0;
+    });
+  }
+
+  for (const target of targets) {
+    const count = stats.tables[target.table] || 0;
+    stats.brands[target.brand.id] = (stats.brands[target.brand.id] || 0) + count;
+    stats.grand_total += count;
+  }
+
+  return stats;
+}
+
+// dry-run 통계 (수집 건수 기준)
+function getFetchedStats(results, targets) {
+  const stats = { tables: {}, brands: {}, grand_total: 0 };
+
+  for (const target of targets) {
+    const count = results[target.key].count;
+    stats.tables[target.table] = count;
+    stats.brands[target.brand.id] = (stats.brands[target.brand.id] || 0) + count;
+    stats.grand_total += count;
   }
+
+  return stats;
 }
 
 // 결과 요약 표시
-function displaySummary(results, stats, startTime) {
+function displaySummary(results, stats, targets, startTime) {
   const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-  
+
+  // 한글은 2칸 폭으로 계산하여 표 정렬 유지
+  const padDisplay = (text, width) => {
+    const displayWidth = [...text].reduce((w, ch) => w + (/[ㄱ-힣]/.test(ch) ? 2 : 1), 0);
+    return text + ' '.repeat(Math.max(0, width - displayWidth));
+  };
+
   console.log('\n📈 수집 결과 요약');
   console.log('┌─────────────┬─────────┬─────────┬──────────────────┐');
   console.log('│ 플랫폼      │ 상태    │ 데이터  │ 에러             │');
   console.log('├─────────────┼─────────┼─────────┼──────────────────┤');
-  
-  // Meta
-  const metaStatus = results.meta.success ? '✅ 성공' : '❌ 실패';
-  const metaError = results.meta.error ? results.meta.error.substring(0, 16) : '';
-  console.log(`│ Meta        │ ${metaStatus} │ ${results.meta.count.toString().padStart(7)} │ ${metaError.padEnd(16)} │`);
-  
-  // 네이버
-  const naverStatus = results.naver.success ? '✅ 성공' : '❌ 실패';
-  const naverError = results.naver.error ? results.naver.error.substring(0, 16) : '';
-  console.log(`│ 네이버      │ ${naverStatus} │ ${results.naver.count.toString().padStart(7)} │ ${naverError.padEnd(16)} │`);
-  
-  // 구글
-  const googleStatus = results.google.success ? '✅ 성공' : '❌ 실패';
-  const googleError = results.google.error ? results.google.error.substring(0, 16) : '';
-  console.log(`│ 구글        │ ${googleStatus} │ ${results.google.count.toString().padStart(7)} │ ${googleError.padEnd(16)} │`);
-  
-  // DOK Meta
-  const dokMetaStatus = results.dok_meta.success ? '✅ 성공' : '❌ 실패';
-  const dokMetaError = results.dok_meta.error ? results.dok_meta.error.substring(0, 16) : '';
-  console.log(`│ DOK Meta    │ ${dokMetaStatus} │ ${results.dok_meta.count.toString().padStart(7)} │ ${dokMetaError.padEnd(16)} │`);
-  
-  // DOK 네이버
-  const dokNaverStatus = results.dok_naver.success ? '✅ 성공' : '❌ 실패';
-  const dokNaverError = results.dok_naver.error ? results.dok_naver.error.substring(0, 16) : '';
-  console.log(`│ DOK 네이버  │ ${dokNaverStatus} │ ${results.dok_naver.count.toString().padStart(7)} │ ${dokNaverError.padEnd(16)} │`);
-  
-  // DOK 구글
-  const dokGoogleStatus = results.dok_google.success ? '✅ 성공' : '❌ 실패';
-  const dokGoogleError = results.dok_google.error ? results.dok_google.error.substring(0, 16) : '';
-  console.log(`│ DOK 구글    │ ${dokGoogleStatus} │ ${results.dok_google.count.toString().padStart(7)} │ ${dokGoogleError.padEnd(16)} │`);
-  
+
+  for (const target of targets) {
+    const result = results[target.key];
+    const status = result.success ? '✅ 성공' : '❌ 실패';
+    const error = result.error ? result.error.substring(0, 16) : '';
+    console.log(`│ ${padDisplay(target.label, 11)} │ ${status} │ ${result.count.toString().padStart(7)} │ ${error.padEnd(16)} │`);
+  }
+
   console.log('├─────────────┼─────────┼─────────┼──────────────────┤');
-  console.log(`│ 기존 합계   │         │ ${stats.original_total.toString().padStart(7)} │                  │`);
-  console.log(`│ DOK 합계    │         │ ${stats.dok_total.toString().padStart(7)} │                  │`);
+  const brands = [...new Map(targets.map(t => [t.brand.id, t.brand])).values()];
+  for (const brand of brands) {
+    console.log(`│ ${padDisplay(`${brand.name || brand.id} 합계`, 11)} │         │ ${(stats.brands[brand.id] || 0).toString().padStart(7)} │                  │`);
+  }
   console.log('├─────────────┼─────────┼─────────┼──────────────────┤');
   console.log(`│ 전체 합계   │         │ ${stats.grand_total.toString().padStart(7)} │                  │`);
   console.log('└─────────────┴─────────┴─────────┴──────────────────┘');
-  
+
+  displayViolations(results, targets);
+  displayAnomalies(results, targets);
+
   console.log(`⏱️ 총 소요시간: ${duration}초`);
 }
 
+// 검증 위반 표시 (저장 제외된 행과 경고)
+function displayViolations(results, targets) {
+  const withViolations = targets.filter(target => results[target.key].violations.length > 0);
+  if (withViolations.length === 0) {
+    console.log('🔍 데이터 검증: 위반 없음');
+    return;
+  }
+
+  console.log('\n🚧 데이터 검증 결과');
+  for (const target of withViolations) {
+    const { violations } = results[target.key];
+    const errors = violations.filter(v => v.level === 'error').length;
+    console.log(`${target.label}: 제외 ${errors}건 / 경고 ${violations.length - errors}건`);
+    for (const v of violations) {
+      console.log(`  ${v.level === 'error' ? '✖' : '!'} ${v.date} ${v.table} [${v.rule}] ${v.key}: ${v.message}`);
+    }
+  }
+}
+
+// 이상 징후 표시 (직전 14일·28일 기준선 대비)
+function displayAnomalies(results, targets) {
+  const withAnomalies = targets.filter(target => results[target.key].anomalies.length > 0);
+  if (withAnomalies.length === 0) {
+    console.log('📈 이상 징후: 없음');
+    return;
+  }
+
+  console.log('\n📈 이상 징후');
+  for (const target of withAnomalies) {
+    for (const a of results[target.key].anomalies) {
+      console.log(`  ${a.direction === 'high' ? '▲' : '▼'} ${target.label} ${a.date} ${a.campaign}: ${a.message}`);
+    }
+  }
+}
+
 // 개별 플랫폼 실행 함수들 (디버깅용)
-async function runMetaOnly() {
-  console.log('🔵 Meta 전용 실행 모드');
-  await fetchMetaData();
+async function runPlatformOnly(platform, { brandIds = [], dryRun = false } = {}) {
+  const runner = PLATFORM_RUNNERS[platform];
+  console.log(`${runner.icon} ${runner.name} 전용 실행 모드`);
+
+  const dates = resolveDates();
+  const sink = await createSink();
+  const run = createRunContext();
+  const runRecords = [];
+  try {
+    for (const target of buildTargets({ brandIds, platforms: [platform] })) {
+      const startedAt = Date.now();
+      try {
+        const summary = await target.fetch({ brandId: target.brand.id, dates, sink, dryRun });
+        runRecords.push(...run.build({ brand: target.brand.id, platform: target.platform, dates, summary, startedAt }));
+      } catch (error) {
+        runRecords.push(...run.build({ brand: target.brand.id, platform: target.platform, dates, error, startedAt }));
+        throw error;
+      }
+    }
+  } finally {
+    if (!dryRun) {
+      await saveRunRecords(sink, runRecords);
+    }
+    await sink.close();
+  }
+}
+
+async function runMetaOnly(options) {
+  await runPlatformOnly('meta', options);
 }
 
-async function runNaverOnly() {
-  console.log('🟢 네이버 전용 실행 모드');
-  await fetchNaverData();
+async function runNaverOnly(options) {
+  await runPlatformOnly('naver', options);
 }
 
-async function runGoogleOnly() {
-  console.log('🔴 구글 전용 실행 모드');
-  await fetchGoogleData();
+async function runGoogleOnly(options) {
+  await runPlatformOnly('google', options);
+}
+
+// 명령행 인자 파싱: [meta|naver|google] [--brand main,dok] [--dry-run]
+function parseArgs(argv) {
+  const args = { mode: null, brandIds: [], dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--brand') {
+      args.brandIds = (argv[++i] || '').split(',').filter(Boolean);
+    } else if (arg.startsWith('--brand=')) {
+      args.brandIds = arg.slice('--brand='.length).split(',').filter(Boolean);
+    } else if (!args.mode) {
+      args.mode = arg;
+    }
+  }
+
+  return args;
 }
 
 // 스크립트 직접 실행 시
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const mode = process.argv[2];
-  
+  const { mode, brandIds, dryRun } = parseArgs(process.argv.slice(2));
+
   try {
     switch (mode) {
       case 'meta':
-        await runMetaOnly();
+        await runMetaOnly({ brandIds, dryRun });
         break;
       case 'naver':
-        await runNaverOnly();
+        await runNaverOnly({ brandIds, dryRun });
         break;
       case 'google':
-        await runGoogleOnly();
+        await runGoogleOnly({ brandIds, dryRun });
         break;
       default:
-        await fetchAllPlatforms();
+        await fetchAllPlatforms({ brandIds, dryRun });
         break;
     }
   } catch (error) {
@@ -253,4 +400,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   }
 }
 
-export { fetchAllPlatforms, runMetaOnly, runNaverOnly, runGoogleOnly }; 
\ No newline at end of file
+export { fetchAllPlatforms, buildTargets, getCollectionStats, runMetaOnly, runNaverOnly, runGoogleOnly };
@@ -1,113 +1,312 @@
 // scripts/fetch-google.js
-// Google Ads API 데이터 수집 및 Supabase 저장
+// Google Ads API 데이터 수집 및 저장
 
 import { google } from 'googleapis';
-import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { resolveDates } from './lib/dates.js';
+import { httpRequest } from './lib/http.js';
+import { isFixtureReplay } from './lib/fixtures.js';
+import { runAdapter } from './lib/collector.js';
+import { getBrand, getPlatformConfig, readBrandEnv, brandEnvName, brandLabel } from './lib/brand-registry.js';
 
 // 환경변수 로드
 dotenv.config();
 
-// OAuth2 설치형/웹앱 플로우 환경변수
-const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
-const GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
-const GOOGLE_REFRESH_TOKEN = process.env.GOOGLE_REFRESH_TOKEN;
-
-// 기타 Google Ads 설정
-const GOOGLE_DEVELOPER_TOKEN = process.env.GOOGLE_DEVELOPER_TOKEN;
-const GOOGLE_CUSTOMER_ID = process.env.GOOGLE_CUSTOMER_ID; // MCC 계정 ID (login-customer-id)
-const GOOGLE_CLIENT_CUSTOMER_ID = process.env.GOOGLE_CLIENT_CUSTOMER_ID; // 실제 광고 계정 ID
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_KEY = process.env.SUPABASE_KEY;
-
-// Supabase 클라이언트
-const supa = createClient(SUPABASE_URL, SUPABASE_KEY);
-
-// KST 기준 어제 날짜 계산
-const getKSTYesterday = () => {
-  const now = new Date();
-  const kstOffset = 9 * 60 * 60 * 1000; // UTC+9
-  const kstNow = new Date(now.getTime() + kstOffset);
-  const kstYesterday = new Date(kstNow.getTime() - 24 * 60 * 60 * 1000);
-  return kstYesterday.toISOString().slice(0, 10);
+const GOOGLE_ADS_API_URL = 'https://googleads.googleapis.com/v20';
+
+// PMAX + 디맨드젠(DEMAND_GEN, 구 DISCOVERY)을 하나의 PMAX 묶음으로 합산
+const isPmaxOrDemandGen = (row) => {
+  const type = row.campaign.advertisingChannelType;
+  return type === 'PERFORMANCE_MAX' || type === 'DEMAND_GEN' || type === 'DISCOVERY';
 };
 
-// 0) 테스트용 날짜 설정 (비워두면 어제 날짜로 작동)
-const testDates = []; // 테스트할 날짜들 (비워두면 어제 날짜 사용)
+/**
+ * 캠페인 결과 집계
+ * @param {Object[]} campaigns - googleAds:search 결과 행
+ * @param {string} campaignName - 저장할 campaign 값 (GoogleSA | PMAX)
+ * @param {string} targetDate - 날짜
+ * @returns {Object|null} 집계 행 (캠페인이 없으면 null)
+ */
+function aggregateData(campaigns, campaignName, targetDate) {
+  if (campaigns.length === 0) return null;
+
+  let totalSpend = 0;
+  let totalImpressions = 0;
+  let totalClicks = 0;
+  let totalConversion = 0;
+  let totalConversionValue = 0;
+  let totalSearchImprShare = 0;
+  let searchImprShareCount = 0;
+
+  campaigns.forEach(row => {
+    const metrics = row.metrics;
+    totalSpend += Number(metrics.costMicros || 0) / 1000000;
+    totalImpressions += Number(metrics.impressions || 0);
+    totalClicks += Number(metrics.clicks || 0);
+    totalConversion += Number(metrics.conversions || 0);
+    totalConversionValue += Number(metrics.conversionsValue || 0);
+
+    if (metrics.searchImpressionShare) {
+      totalSearchImprShare += Number(metrics.searchImpressionShare || 0);
+      searchImprShareCount++;
+    }
+  });
+
+  const ctr = totalImpressions ? totalClicks / totalImpressions : 0;
+  const cpc = totalClicks ? totalSpend / totalClicks : 0;
+  const cvr = totalClicks ? totalConversion / totalClicks : 0;
+  const cpm = totalImpressions ? (totalSpend / totalImpressions) * 1000 : 0;
+  const cpa = totalConversion ? totalSpend / totalConversion : 0;
+  const roas = totalSpend ? totalConversionValue / totalSpend : 0;
+  const aov = totalConversion ? totalConversionValue / totalConversion : 0;
+  const searchImprShare = searchImprShareCount ? (totalSearchImprShare / searchImprShareCount) * 100 : 0;
+
+  return {
+    date: targetDate,
+    campaign: campaignName,
+    spend: totalSpend,
+    impressions: totalImpressions,
+    clicks: totalClicks,
+    ctr,
+    cpc,
+    conversion: totalConversion,
+    conversion_value: totalConversionValue,
+    roas,
+    cvr,
+    cpm,
+    cpa,
+    aov,
+    search_impr_share: searchImprShare,
+    quality_score: 0,
+    top_impr_rate: 0
+  };
+}
+
+/**
+ * 캠페인/광고그룹 단위 행 생성 (지표 계산은 aggregateData와 동일)
+ * @param {Object} row - googleAds:search 결과 행
+ * @param {Object} dimensions - 행을 구분하는 컬럼 (campaign_id, adgroup_id 등)
+ * @param {string} targetDate - 날짜
+ * @returns {Object} 저장용 행
+ */
+function toDetailRow(row, dimensions, targetDate) {
+  // 롤업 전용 컬럼(campaign 묶음 이름, 미수집 지표)은 제외
+  const { date, campaign, quality_score, top_impr_rate, ...metrics } = aggregateData([row], null, targetDate);
+  return { date, ...dimensions, ...metrics };
+}
+
+/**
+ * 캠페인별 행
+ * @param {Object[]} results - campaign 쿼리 결과 행
+ * @param {string} targetDate - 날짜
+ * @returns {Object[]} 캠페인별 저장용 행
+ */
+const createCampaignRows = (results, targetDate) => results.map(row => toDetailRow(row, {
+  campaign_id: String(row.campaign.id),
+  campaign_name: row.campaign.name,
+  channel_type: row.campaign.advertisingChannelType,
+  status: row.campaign.status
+}, targetDate));
+
+/**
+ * 광고그룹별 행
+ * @param {Object[]} results - ad_group 쿼리 결과 행
+ * @param {string} targetDate - 날짜
+ * @returns {Object[]} 광고그룹별 저장용 행
+ */
+const createAdgroupRows = (results, targetDate) => results.map(row => toDetailRow(row, {
+  adgroup_id: String(row.adGroup.id),
+  adgroup_name: row.adGroup.name,
+  adgroup_type: row.adGroup.type,
+  status: row.adGroup.status,
+  campaign_id: String(row.campaign.id),
+  campaign_name: row.campaign.name
+}, targetDate));
+
+/**
+ * 검색어별 행 (같은 검색어·키워드·매치 유형·광고그룹 행은 합산)
+ * 광고비가 있는데 전환이 없는 검색어는 spend_without_conversion = true (제외 키워드 후보)
+ * @param {Object[]} results - search_term_view 쿼리 결과 행
+ * @param {string} targetDate - 날짜
+ * @returns {Object[]} 검색어별 저장용 행
+ */
+function createSearchTermRows(results, targetDate) {
+  const terms = new Map();
+
+  for (const row of results) {
+    const keyword = row.segments?.keyword?.info || {};
+    const dimensions = {
+      search_term: row.searchTermView.searchTerm,
+      keyword: keyword.text || '',
+      match_type: keyword.matchType || 'UNKNOWN',
+      campaign_id: String(row.campaign.id),
+      campaign_name: row.campaign.name,
+      adgroup_id: String(row.adGroup.id),
+      adgroup_name: row.adGroup.name
+    };
+    const key = [dimensions.adgroup_id, dimensions.search_term, dimensions.keyword, dimensions.match_type].join('|');
+
+    if (!terms.has(key)) {
+      terms.set(key, { date: targetDate, ...dimensions, spend: 0, impressions: 0, clicks: 0, conversion: 0, conversion_value: 0 });
+    }
 
-// 환경변수에서 TARGET_DATE 읽기 (백필 스크립트 지원)
-const getTargetDate = () => {
-  const envDate = process.env.TARGET_DATE;
-  if (envDate && /^\d{4}-\d{2}-\d{2}$/.test(envDate)) {
-    return envDate;
+    const term = terms.get(key);
+    term.spend += Number(row.metrics.costMicros || 0) / 1000000;
+    term.impressions += Number(row.metrics.impressions || 0);
+    term.clicks += Number(row.metrics.clicks || 0);
+    term.conversion += Number(row.metrics.conversions || 0);
+    term.conversion_value += Number(row.metrics.conversionsValue || 0);
   }
-  return null;
-};
 
-async function fetchGoogleData() {
-  // 우선순위: TARGET_DATE 환경변수 > testDates 배열 > 어제 날짜
-  const envTargetDate = getTargetDate();
-  const datesToRun = envTargetDate 
-    ? [envTargetDate]
-    : (Array.isArray(testDates) && testDates.length > 0)
-    ? testDates
-    : [getKSTYesterday()];
+  return [...terms.values()].map(term => ({
+    ...term,
+    cpc: term.clicks ? term.spend / term.clicks : 0,
+    cpa: term.conversion ? term.spend / term.conversion : 0,
+    roas: term.spend ? term.conversion_value / term.spend : 0,
+    spend_without_conversion: term.spend > 0 && term.conversion === 0
+  }));
+}
 
-  console.log(`\n📅 구글 광고 데이터 수집 시작 (총 ${datesToRun.length}개 날짜)`);
+/**
+ * 브랜드별 Google Ads 설정 읽기 및 검증
+ * OAuth2/개발자 토큰/MCC ID는 브랜드 변수가 없으면 공통 변수를 사용한다 (config/brands.json sharedEnv).
+ * @param {Object} brand - 브랜드 설정
+ * @returns {Object} Google Ads 설정
+ */
+function resolveGoogleConfig(brand) {
+  // OAuth2 설치형/웹앱 플로우 환경변수
+  const GOOGLE_CLIENT_ID = readBrandEnv(brand, 'GOOGLE_CLIENT_ID');
+  const GOOGLE_CLIENT_SECRET = readBrandEnv(brand, 'GOOGLE_CLIENT_SECRET');
+  const GOOGLE_REFRESH_TOKEN = readBrandEnv(brand, 'GOOGLE_REFRESH_TOKEN');
+
+  // 기타 Google Ads 설정
+  const GOOGLE_DEVELOPER_TOKEN = readBrandEnv(brand, 'GOOGLE_DEVELOPER_TOKEN');
+  const GOOGLE_CUSTOMER_ID = readBrandEnv(brand, 'GOOGLE_CUSTOMER_ID'); // MCC 계정 ID (login-customer-id)
+  const GOOGLE_CLIENT_CUSTOMER_ID = readBrandEnv(brand, 'GOOGLE_CLIENT_CUSTOMER_ID'); // 실제 광고 계정 ID
 
   // 환경변수 확인 (OAuth2 전용)
   if (!GOOGLE_CLIENT_ID || !GOOGLE_CLIENT_SECRET || !GOOGLE_REFRESH_TOKEN) {
-    console.error('❌ OAuth2 환경변수(GOOGLE_CLIENT_ID/GOOGLE_CLIENT_SECRET/GOOGLE_REFRESH_TOKEN)가 설정되지 않았습니다.');
-    return;
+    throw new Error('OAuth2 환경변수(GOOGLE_CLIENT_ID/GOOGLE_CLIENT_SECRET/GOOGLE_REFRESH_TOKEN)가 설정되지 않았습니다.');
   }
   if (!GOOGLE_DEVELOPER_TOKEN) {
-    console.error('❌ GOOGLE_DEVELOPER_TOKEN 이(가) 설정되지 않았습니다.');
-    return;
+    throw new Error('GOOGLE_DEVELOPER_TOKEN 이(가) 설정되지 않았습니다.');
   }
   if (!GOOGLE_CUSTOMER_ID) {
-    console.error('❌ GOOGLE_CUSTOMER_ID (MCC ID)가 설정되지 않았습니다.');
-    return;
+    throw new Error('GOOGLE_CUSTOMER_ID (MCC ID)가 설정되지 않았습니다.');
   }
   if (!GOOGLE_CLIENT_CUSTOMER_ID) {
-    console.error('❌ GOOGLE_CLIENT_CUSTOMER_ID (클라이언트 광고계정 ID)가 설정되지 않았습니다.');
-    return;
+    throw new Error(`${brandEnvName(brand, 'GOOGLE_CLIENT_CUSTOMER_ID')} (클라이언트 광고계정 ID)가 설정되지 않았습니다.`);
   }
 
   console.log('🔧 환경변수 체크 완료');
 
-  try {
-    // 1) 인증 방식: OAuth2 설치형/웹앱 플로우 (Service Account 미사용)
-    console.log('🔄 OAuth2 인증 방식 사용...');
-    const oauth2Client = new google.auth.OAuth2(
-      GOOGLE_CLIENT_ID,
-      GOOGLE_CLIENT_SECRET,
-      'http://localhost'
-    );
-
-    oauth2Client.setCredentials({
-      refresh_token: GOOGLE_REFRESH_TOKEN
-    });
-
-    await oauth2Client.getAccessToken();
-    const accessToken = oauth2Client.credentials.access_token;
-    if (!accessToken) {
-      throw new Error('액세스 토큰을 발급받지 못했습니다. 리프레시 토큰과 클라이언트 설정을 확인하세요.');
-    }
+  return {
+    GOOGLE_CLIENT_ID,
+    GOOGLE_CLIENT_SECRET,
+    GOOGLE_REFRESH_TOKEN,
+    GOOGLE_DEVELOPER_TOKEN,
+    mccCustomerId: GOOGLE_CUSTOMER_ID.replace(/-/g, ''), // MCC 계정 (login-customer-id)
+    clientCustomerId: GOOGLE_CLIENT_CUSTOMER_ID.replace(/-/g, '') // 실제 광고 계정 (API 엔드포인트)
+  };
+}
 
-    console.log('🔐 OAuth2 인증 완료');
-    console.log('🌐 구글 광고 API 호출 중...');
+/**
+ * 구글 어댑터 생성
+ * @param {Object} brand - 브랜드 설정
+ * @returns {import('./lib/collector.js').PlatformAdapter} 구글 어댑터
+ */
+function createGoogleAdapter(brand) {
+  const googleConfig = getPlatformConfig(brand, 'google');
+  const label = brandLabel(brand, '구글');
+  const config = resolveGoogleConfig(brand);
+  const apiUrl = `${GOOGLE_ADS_API_URL}/customers/${config.clientCustomerId}/googleAds:search`;
+  const { campaigns: campaignTable, adgroups: adgroupTable, searchTerms: searchTermTable } = googleConfig.tables;
+
+  let accessToken = null;
+
+  /**
+   * GAQL 검색 요청 (nextPageToken이 없을 때까지 모든 페이지 조회)
+   * @param {string} query - GAQL 쿼리
+   * @returns {Promise<Object[]>} 결과 행
+   */
+  const search = async (query) => {
+    const results = [];
+    let pageToken = null;
+
+    do {
+      const responseData = await httpRequest(apiUrl, {
+        method: 'POST',
+        platform: 'google',
+        label: `${label} Ads API`,
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'developer-token': config.GOOGLE_DEVELOPER_TOKEN,
+          'login-customer-id': config.mccCustomerId,
+          'Content-Type': 'application/json'
+        },
+        body: pageToken ? { query, pageToken } : { query }
+      });
+
+      results.push(...(responseData?.results || []));
+      pageToken = responseData?.nextPageToken || null;
+    } while (pageToken);
+
+    return results;
+  };
+
+  return {
+    platform: 'google',
+    brand,
+    label,
+    datasets: {
+      insights: { table: googleConfig.tables.insights, onConflict: ['date', 'campaign'] },
+      ...(campaignTable ? { campaigns: { table: campaignTable, onConflict: ['date', 'campaign_id'] } } : {}),
+      ...(adgroupTable ? { adgroups: { table: adgroupTable, onConflict: ['date', 'adgroup_id'] } } : {}),
+      ...(searchTermTable
+        ? {
+          searchTerms: {
+            table: searchTermTable,
+            onConflict: ['date', 'adgroup_id', 'search_term', 'keyword', 'match_type'],
+            clickBasedConversions: true
+          }
+        }
+        : {})
+    },
+
+    async init() {
+      // 픽스처 재생 시에는 OAuth 토큰 발급을 건너뜀
+      if (isFixtureReplay()) {
+        accessToken = 'fixture-replay';
+        return;
+      }
+
+      // 1) 인증 방식: OAuth2 설치형/웹앱 플로우 (Service Account 미사용)
+      console.log('🔄 OAuth2 인증 방식 사용...');
+      const oauth2Client = new google.auth.OAuth2(
+        config.GOOGLE_CLIENT_ID,
+        config.GOOGLE_CLIENT_SECRET,
+        'http://localhost'
+      );
 
-    // 공통 상수 준비
-    const mccCustomerId = GOOGLE_CUSTOMER_ID.replace(/-/g, ''); // MCC 계정 (login-customer-id)
-    const clientCustomerId = GOOGLE_CLIENT_CUSTOMER_ID.replace(/-/g, ''); // 실제 광고 계정 (API 엔드포인트)
-    const apiUrl = `https://googleads.googleapis.com/v20/customers/${clientCustomerId}/googleAds:search`;
+      oauth2Client.setCredentials({
+        refresh_token: config.GOOGLE_REFRESH_TOKEN
+      });
+
+      await oauth2Client.getAccessToken();
+      accessToken = oauth2Client.credentials.access_token;
+      if (!accessToken) {
+        throw new Error('액세스 토큰을 발급받지 못했습니다. 리프레시 토큰과 클라이언트 설정을 확인하세요.');
+      }
 
-    for (const targetDate of datesToRun) {
-      console.log(`\n📅 처리 날짜: ${targetDate}`);
+      console.log('🔐 OAuth2 인증 완료');
+    },
+
+    async fetch(targetDate) {
+      console.log('🌐 구글 광고 API 호출 중...');
 
       // 2) Google Ads API REST 호출 (날짜별)
-      const query = `
-        SELECT 
+      const results = await search(`
+        SELECT
           campaign.id,
           campaign.name,
           campaign.status,
@@ -122,152 +321,114 @@ async function fetchGoogleData() {
           metrics.average_cpc,
           metrics.cost_per_conversion,
           metrics.conversions_from_interactions_rate
-        FROM campaign 
+        FROM campaign
         WHERE segments.date = '${targetDate}'
         AND campaign.status IN ('ENABLED', 'PAUSED')
         ORDER BY metrics.cost_micros DESC
-      `;
-
-      const requestBody = { query };
-
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'developer-token': GOOGLE_DEVELOPER_TOKEN,
-          'login-customer-id': mccCustomerId,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('❌ Google Ads API 응답 에러:', response.status, errorText);
-        throw new Error(`Google Ads API Error: ${response.status} - ${errorText}`);
-      }
-
-      // JSON 응답 처리
-      const responseData = await response.json();
-      const results = responseData.results || [];
+      `);
 
       console.log('📊 구글 광고 API 응답 받음:', results.length, '건');
 
       // 3) 캠페인 타입별로 데이터 분류 및 집계
-      // PMAX + 디맨드젠(DEMAND_GEN, 구 DISCOVERY)을 하나의 PMAX 묶음으로 합산
-      const isPmaxOrDemandGen = (row) => {
-        const type = row.campaign.advertisingChannelType;
-        return type === 'PERFORMANCE_MAX' || type === 'DEMAND_GEN' || type === 'DISCOVERY';
-      };
-
       const pmaxCampaigns = results.filter(isPmaxOrDemandGen);
       const regularCampaigns = results.filter(row => !isPmaxOrDemandGen(row));
 
       console.log(`📊 일반 캠페인: ${regularCampaigns.length}건, PMAX(+디맨드젠): ${pmaxCampaigns.length}건`);
 
-      // 데이터 집계 함수 (날짜 클로저 사용)
-      function aggregateData(campaigns, campaignName) {
-        if (campaigns.length === 0) return null;
-
-        let totalSpend = 0;
-        let totalImpressions = 0;
-        let totalClicks = 0;
-        let totalConversion = 0;
-        let totalConversionValue = 0;
-        let totalSearchImprShare = 0;
-        let searchImprShareCount = 0;
-
-        campaigns.forEach(row => {
-          const metrics = row.metrics;
-          totalSpend += Number(metrics.costMicros || 0) / 1000000;
-          totalImpressions += Number(metrics.impressions || 0);
-          totalClicks += Number(metrics.clicks || 0);
-          totalConversion += Number(metrics.conversions || 0);
-          totalConversionValue += Number(metrics.conversionsValue || 0);
-          
-          if (metrics.searchImpressionShare) {
-            totalSearchImprShare += Number(metrics.searchImpressionShare || 0);
-            searchImprShareCount++;
-          }
-        });
-
-        const ctr = totalImpressions ? totalClicks / totalImpressions : 0;
-        const cpc = totalClicks ? totalSpend / totalClicks : 0;
-        const cvr = totalClicks ? totalConversion / totalClicks : 0;
-        const cpm = totalImpressions ? (totalSpend / totalImpressions) * 1000 : 0;
-        const cpa = totalConversion ? totalSpend / totalConversion : 0;
-        const roas = totalSpend ? totalConversionValue / totalSpend : 0;
-        const aov = totalConversion ? totalConversionValue / totalConversion : 0;
-        const searchImprShare = searchImprShareCount ? (totalSearchImprShare / searchImprShareCount) * 100 : 0;
-
-        return {
-          date: targetDate,
-          campaign: campaignName,
-          spend: totalSpend,
-          impressions: totalImpressions,
-          clicks: totalClicks,
-          ctr,
-          cpc,
-          conversion: totalConversion,
-          conversion_value: totalConversionValue,
-          roas,
-          cvr,
-          cpm,
-          cpa,
-          aov,
-          search_impr_share: searchImprShare,
-          quality_score: 0,
-          top_impr_rate: 0
-        };
-      }
-
       // 4) 집계된 데이터 생성
       const rows = [];
-      const googleSAData = aggregateData(regularCampaigns, 'GoogleSA');
+      const googleSAData = aggregateData(regularCampaigns, 'GoogleSA', targetDate);
       if (googleSAData) rows.push(googleSAData);
-      const pmaxData = aggregateData(pmaxCampaigns, 'PMAX');
+      const pmaxData = aggregateData(pmaxCampaigns, 'PMAX', targetDate);
       if (pmaxData) rows.push(pmaxData);
 
-      console.log(`📝 처리된 구글 데이터 (${rows.length}건):`, rows);
-
-      // 5) Supabase upsert
-      if (rows.length > 0) {
-        console.log('💾 Supabase에 구글 데이터 저장 중...');
-        const { data: upsertData, error } = await supa
-          .from('google_insights')
-          .upsert(rows, { onConflict: ['date', 'campaign'] });
-
-        if (error) {
-          console.error('❌ Supabase 에러:', error);
-          throw error;
-        }
+      // 5) 광고그룹 단위 (tables.adgroups 설정 시에만 추가 조회)
+      let adgroupResults = [];
+      if (adgroupTable) {
+        adgroupResults = await search(`
+          SELECT
+            campaign.id,
+            campaign.name,
+            ad_group.id,
+            ad_group.name,
+            ad_group.status,
+            ad_group.type,
+            metrics.impressions,
+            metrics.clicks,
+            metrics.cost_micros,
+            metrics.conversions,
+            metrics.conversions_value,
+            metrics.search_impression_share
+          FROM ad_group
+          WHERE segments.date = '${targetDate}'
+          AND ad_group.status IN ('ENABLED', 'PAUSED')
+          ORDER BY metrics.cost_micros DESC
+        `);
+        console.log('📊 구글 광고그룹 API 응답 받음:', adgroupResults.length, '건');
+      }
 
-        console.log('💾 Supabase 응답:', upsertData);
-        console.log(`✅ ${targetDate} 구글 데이터 ${rows.length}건 upsert 완료`);
-      } else {
-        console.log('⚠️ 저장할 구글 데이터가 없습니다.');
+      // 6) 검색어 보고서 (tables.searchTerms 설정 시에만 추가 조회)
+      let searchTermResults = [];
+      if (searchTermTable) {
+        searchTermResults = await search(`
+          SELECT
+            search_term_view.search_term,
+            segments.keyword.info.text,
+            segments.keyword.info.match_type,
+            campaign.id,
+            campaign.name,
+            ad_group.id,
+            ad_group.name,
+            metrics.impressions,
+            metrics.clicks,
+            metrics.cost_micros,
+            metrics.conversions,
+            metrics.conversions_value
+          FROM search_term_view
+          WHERE segments.date = '${targetDate}'
+          AND metrics.impressions > 0
+          ORDER BY metrics.cost_micros DESC
+        `);
+        console.log('📊 구글 검색어 API 응답 받음:', searchTermResults.length, '건');
       }
+
+      return {
+        insights: rows,
+        campaigns: createCampaignRows(results, targetDate),
+        adgroups: createAdgroupRows(adgroupResults, targetDate),
+        searchTerms: createSearchTermRows(searchTermResults, targetDate)
+      };
     }
+  };
+}
 
+/**
+ * 구글 광고 데이터 수집 및 저장
+ * @param {Object} [options]
+ * @param {string} [options.brandId] - 브랜드 ID (config/brands.json, 비우면 기본 브랜드)
+ * @param {string[]} [options.dates] - 수집할 날짜 목록 (YYYY-MM-DD, 비우면 TARGET_DATE 또는 어제)
+ * @param {import('./lib/sinks/index.js').Sink} [options.sink] - 저장소 (비우면 설정에 따라 생성)
+ * @param {boolean} [options.dryRun] - true면 저장하지 않고 저장된 데이터와의 차이만 출력
+ * @returns {Promise<Array<{date: string, rows: number, spend: number}>>} 날짜별 저장 건수와 광고비
+ */
+async function fetchGoogleData({ brandId, dates, sink, dryRun } = {}) {
+  try {
+    const adapter = createGoogleAdapter(getBrand(brandId));
+
+    // 우선순위: dates 인자 > TARGET_DATE 환경변수 > 어제 날짜
+    return await runAdapter(adapter, resolveDates(dates), { sink, dryRun });
   } catch (error) {
     console.error('💥 구글 API 에러:', error);
-    
-    // 상세 에러 정보 출력
-    if (error.response) {
-      console.error('📋 응답 상태:', error.response.status);
-      console.error('📋 응답 데이터:', error.response.data);
-    }
-    
     throw error;
   }
 }
 
 // 스크립트 직접 실행 시
 if (import.meta.url === `file://${process.argv[1]}`) {
-  fetchGoogleData().catch(err => {
+  fetchGoogleData({ brandId: process.argv[2] }).catch(err => {
     console.error(err);
     process.exit(1);
   });
 }
 
-export { fetchGoogleData }; 
\ No newline at end of file
+export { fetchGoogleData, createGoogleAdapter, aggregateData };
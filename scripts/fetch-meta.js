@@ -1,209 +1,280 @@
 // scripts/fetch-meta.js
 
-import fetch from 'node-fetch';
-import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { resolveDates } from './lib/dates.js';
+import { httpRequest } from './lib/http.js';
+import { runAdapter } from './lib/collector.js';
+import {
+  META_GRAPH_URL,
+  toNumber,
+  fetchAllPages,
+  fetchObjectsByIds,
+  computeMetaMetrics,
+  resolveActionMapping,
+  warnUnknownActionTypes
+} from './lib/meta-graph.js';
+import { getBrand, getPlatformConfig, readBrandEnv, brandEnvName, brandLabel } from './lib/brand-registry.js';
 
 // 환경변수 로드
 dotenv.config();
 
-// 환경변수 읽기
-const META_TOKEN = process.env.META_TOKEN;
-const META_AD_ACCOUNT = process.env.META_AD_ACCOUNT;
-const SUPABASE_URL   = process.env.SUPABASE_URL;
-const SUPABASE_KEY   = process.env.SUPABASE_KEY;
-
-// 환경변수 확인
-console.log('🔧 환경변수 체크:');
-console.log('META_TOKEN:', META_TOKEN ? '✅ 설정됨' : '❌ 없음');
-console.log('META_AD_ACCOUNT:', META_AD_ACCOUNT ? '✅ 설정됨' : '❌ 없음');
-console.log('SUPABASE_URL:', SUPABASE_URL ? '✅ 설정됨' : '❌ 없음');
-console.log('SUPABASE_KEY:', SUPABASE_KEY ? '✅ 설정됨' : '❌ 없음');
-
-// 디버깅: 환경변수 값 일부 표시 (보안을 위해 일부만)
-console.log('🔍 환경변수 값 확인:');
-console.log('META_TOKEN 길이:', META_TOKEN ? META_TOKEN.length : 0);
-console.log('META_AD_ACCOUNT 값:', META_AD_ACCOUNT || '(없음)');
-console.log('SUPABASE_URL 값:', SUPABASE_URL || '(없음)');
-console.log('SUPABASE_KEY 길이:', SUPABASE_KEY ? SUPABASE_KEY.length : 0);
-
-// 필수 환경변수 검증
-if (!META_TOKEN || !META_AD_ACCOUNT || !SUPABASE_URL || !SUPABASE_KEY) {
-  console.error('❌ 필수 환경변수가 누락되었습니다.');
-  process.exit(1);
-}
+// 브랜드별 Meta 설정 읽기 및 검증
+const resolveMetaConfig = (brand) => {
+  const META_TOKEN = readBrandEnv(brand, 'META_TOKEN');
+  const META_AD_ACCOUNT = readBrandEnv(brand, 'META_AD_ACCOUNT');
+  const tokenEnv = brandEnvName(brand, 'META_TOKEN');
+  const accountEnv = brandEnvName(brand, 'META_AD_ACCOUNT');
+
+  // 환경변수 확인
+  console.log('🔧 환경변수 체크:');
+  console.log(`${tokenEnv}:`, META_TOKEN ? '✅ 설정됨' : '❌ 없음');
+  console.log(`${accountEnv}:`, META_AD_ACCOUNT ? '✅ 설정됨' : '❌ 없음');
+
+  // 디버깅: 환경변수 값 일부 표시 (보안을 위해 일부만)
+  console.log('🔍 환경변수 값 확인:');
+  console.log(`${tokenEnv} 길이:`, META_TOKEN ? META_TOKEN.length : 0);
+  console.log(`${accountEnv} 값:`, META_AD_ACCOUNT || '(없음)');
+
+  // 필수 환경변수 검증
+  if (!META_TOKEN || !META_AD_ACCOUNT) {
+    throw new Error(`${brandLabel(brand, 'Meta')} 필수 환경변수가 누락되었습니다.`);
+  }
+
+  const metaConfig = getPlatformConfig(brand, 'meta');
+  const { tables } = metaConfig;
+
+  return {
+    META_TOKEN,
+    META_AD_ACCOUNT,
+    label: brandLabel(brand, 'Meta'),
+    table: tables.insights,
+    campaignTable: tables.campaigns,
+    adTable: tables.ads,
+    breakdownTable: tables.breakdowns,
+    actionMapping: resolveActionMapping(metaConfig)
+  };
+};
+
+// 캠페인/광고 단위 insights 공통 필드
+const LEVEL_FIELDS = ['date_start', 'spend', 'impressions', 'reach', 'clicks', 'actions', 'action_values', 'cost_per_action_type'];
 
-// Supabase 클라이언트
-const supa = createClient(SUPABASE_URL, SUPABASE_KEY);
+/**
+ * 캠페인/광고/세분화 insights 조회 (모든 페이지)
+ * @param {Object} params
+ * @param {string} params.token - 액세스 토큰
+ * @param {string} params.account - 광고 계정 ID
+ * @param {'account'|'campaign'|'ad'} params.level - 조회 단위
+ * @param {string[]} params.fields - 단위별 추가 필드
+ * @param {string[]} [params.breakdowns] - 세분화 기준 (예: ['age', 'gender'])
+ * @param {string} params.targetDate - 날짜
+ * @param {string} params.label - 로그 표시 이름
+ * @returns {Promise<Object[]>} insights 행
+ */
+const fetchLevelInsights = ({ token, account, level, fields, breakdowns, targetDate, label }) => {
+  const url = new URL(`${META_GRAPH_URL}/${account}/insights`);
+  url.searchParams.set('level', level);
+  if (breakdowns) {
+    url.searchParams.set('breakdowns', breakdowns.join(','));
+  }
+  url.searchParams.set('time_range', JSON.stringify({ since: targetDate, until: targetDate }));
+  url.searchParams.set('fields', [...fields, ...LEVEL_FIELDS].join(','));
+  url.searchParams.set('access_token', token);
+  url.searchParams.set('limit', '500');
+
+  return fetchAllPages(url.toString(), label);
+};
 
-// KST 기준 어제 날짜 계산
-const getKSTYesterday = () => {
-  const now = new Date();
-  const kstOffset = 9 * 60 * 60 * 1000; // UTC+9
-  const kstNow = new Date(now.getTime() + kstOffset);
-  const kstYesterday = new Date(kstNow.getTime() - 24 * 60 * 60 * 1000);
-  return kstYesterday.toISOString().slice(0, 10);
+// 세분화 종류별 breakdowns 파라미터 (저장 시 해당하지 않는 컬럼은 빈 문자열)
+const BREAKDOWN_TYPES = {
+  age_gender: ['age', 'gender'],
+  placement: ['publisher_platform', 'platform_position']
 };
+const BREAKDOWN_COLUMNS = Object.values(BREAKDOWN_TYPES).flat();
 
-// 0) 테스트용 날짜 설정 (비워두면 어제 날짜로 작동)
-const testDates = []; // 테스트할 날짜들 (예: ['2025-08-09'])
+/**
+ * 세분화 컬럼 값 (조회한 기준만 채우고 나머지는 빈 문자열 - upsert 키에 null이 들어가지 않도록)
+ * @param {Object} row - insights 응답 행
+ * @param {string[]} dimensions - 조회한 breakdowns
+ * @returns {Object<string, string>} 세분화 컬럼 값
+ */
+const toBreakdownColumns = (row, dimensions) => Object.fromEntries(BREAKDOWN_COLUMNS.map(column => [
+  column,
+  dimensions.includes(column) ? String(row[column] ?? 'unknown') : ''
+]));
 
-// 환경변수에서 TARGET_DATE 읽기 (백필 스크립트 지원)
-const getTargetDate = () => {
-  const envDate = process.env.TARGET_DATE;
-  if (envDate && /^\d{4}-\d{2}-\d{2}$/.test(envDate)) {
-    return envDate;
+/**
+ * 광고 소재 정보 조회 (광고 ID -> 소재 ID, 썸네일)
+ * 조회 실패 시 소재 정보 없이 저장하도록 빈 결과를 반환한다.
+ * @param {string} token - 액세스 토큰
+ * @param {string[]} adIds - 광고 ID 목록
+ * @returns {Promise<Object<string, Object>>} 광고 ID -> { creative: { id, thumbnail_url } }
+ */
+const fetchAdCreatives = async (token, adIds) => {
+  try {
+    return await fetchObjectsByIds(token, adIds, ['id', 'creative{id,thumbnail_url}'], 'Meta Ad Creative API');
+  } catch (error) {
+    console.error('⚠️ Meta 광고 소재 조회 실패:', error.message);
+    return {};
   }
-  return null;
 };
 
-async function fetchAndUpsert() {
-  // 우선순위: TARGET_DATE 환경변수 > testDates 배열 > 어제 날짜
-  const envTargetDate = getTargetDate();
-  const datesToRun = envTargetDate 
-    ? [envTargetDate]
-    : (Array.isArray(testDates) && testDates.length > 0)
-    ? testDates
-    : [getKSTYesterday()];
-  console.log(`\n📅 Meta 데이터 수집 시작 (총 ${datesToRun.length}개 날짜)`);
-
-  for (const targetDate of datesToRun) {
-    console.log(`\n📅 처리 날짜: ${targetDate}`);
-
-    // 1) Meta API 호출
-    const url = `https://graph.facebook.com/v16.0/${META_AD_ACCOUNT}/insights` +
-                `?time_range={'since':'${targetDate}','until':'${targetDate}'}` +
-                `&fields=date_start,spend,impressions,clicks,actions,action_values,cost_per_action_type` +
-                `&access_token=${META_TOKEN}`;
-
-    console.log('🌐 Meta API 호출 중...');
-    
-    // 재시도 로직 (Rate Limit 대응)
-    let responseData;
-    const maxRetries = 3;
-    const baseDelay = 30000; // 30초 기본 대기
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const res = await fetch(url);
-        
-        if (res.ok) {
-          responseData = await res.json();
-          if (attempt > 1) {
-            console.log(`✅ Meta API 재시도 ${attempt}번째 성공!`);
+/**
+ * Meta 어댑터 생성
+ * @param {Object} brand - 브랜드 설정
+ * @returns {import('./lib/collector.js').PlatformAdapter} Meta 어댑터
+ */
+function createMetaAdapter(brand) {
+  const { META_TOKEN, META_AD_ACCOUNT, label, table, campaignTable, adTable, breakdownTable, actionMapping } = resolveMetaConfig(brand);
+  const metrics = (row) => computeMetaMetrics(row, actionMapping);
+
+  return {
+    platform: 'meta',
+    brand,
+    label,
+    datasets: {
+      insights: { table, onConflict: ['date', 'campaign'], updatedAt: true },
+      ...(campaignTable ? { campaigns: { table: campaignTable, onConflict: ['date', 'campaign_id'], updatedAt: true } } : {}),
+      ...(adTable ? { ads: { table: adTable, onConflict: ['date', 'ad_id'], updatedAt: true } } : {}),
+      // 세분화 테이블은 브랜드 공용 (brand 컬럼으로 구분)
+      ...(breakdownTable
+        ? {
+          breakdowns: {
+            table: breakdownTable,
+            onConflict: ['date', 'brand', 'breakdown_type', ...BREAKDOWN_COLUMNS],
+            updatedAt: true
           }
-          break;
-        }
-        
-        const errorText = await res.text();
-        const errorData = JSON.parse(errorText);
-        
-        // Rate Limit 에러 확인 (code: 4, 17, 32, 613)
-        const isRateLimit = [4, 17, 32, 613].includes(errorData?.error?.code) || 
-                           errorData?.error?.is_transient === true;
-        
-        if (isRateLimit && attempt < maxRetries) {
-          const waitTime = baseDelay * Math.pow(2, attempt - 1); // 지수 백오프
-          console.log(`⚠️ Meta API Rate Limit (시도 ${attempt}/${maxRetries}): ${waitTime/1000}초 대기 후 재시도...`);
-          console.log(`📄 에러 내용: ${errorData?.error?.error_user_msg || errorData?.error?.message}`);
-          
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-          continue;
         }
-        
-        // 재시도 불가능한 에러 또는 최대 시도 횟수 초과
-        console.error('❌ Meta API 에러:', res.status, res.statusText);
-        console.error('응답 내용:', errorText);
-        throw new Error(`Meta API error: ${res.status} ${res.statusText}`);
-        
-      } catch (fetchError) {
-        if (attempt === maxRetries) {
-          throw fetchError;
+        : {})
+    },
+
+    async fetch(targetDate) {
+      // 1) Meta API 호출
+      const url = new URL(`${META_GRAPH_URL}/${META_AD_ACCOUNT}/insights`);
+      url.searchParams.set('time_range', JSON.stringify({ since: targetDate, until: targetDate }));
+      url.searchParams.set('fields', 'date_start,spend,impressions,clicks,actions,action_values,cost_per_action_type');
+      url.searchParams.set('access_token', META_TOKEN);
+
+      console.log('🌐 Meta API 호출 중...');
+      const responseData = await httpRequest(url.toString(), { platform: 'meta', label: `${label} API` });
+      console.log(`📊 ${label} API 응답:`, responseData);
+      const { data } = responseData || {};
+      warnUnknownActionTypes(Array.isArray(data) ? data : [], actionMapping, label);
+
+      // 2) 데이터 처리 및 지표 계산
+      const rows = (Array.isArray(data) ? data : []).map(r => ({
+        date: r?.date_start ?? targetDate,
+        campaign: 'Meta',
+        ...metrics(r)
+      }));
+
+      // 3) 캠페인 단위 (tables.campaigns 설정 시)
+      const campaigns = [];
+      if (campaignTable) {
+        const campaignRows = await fetchLevelInsights({
+          token: META_TOKEN,
+          account: META_AD_ACCOUNT,
+          level: 'campaign',
+          fields: ['campaign_id', 'campaign_name', 'objective'],
+          targetDate,
+          label: `${label} Campaign Insights API`
+        });
+
+        campaigns.push(...campaignRows.map(r => ({
+          date: r.date_start ?? targetDate,
+          campaign_id: r.campaign_id,
+          campaign_name: r.campaign_name || null,
+          objective: r.objective || null,
+          reach: toNumber(r.reach),
+          ...metrics(r)
+        })));
+      }
+
+      // 4) 광고 단위 + 소재 정보 (tables.ads 설정 시)
+      const ads = [];
+      if (adTable) {
+        const adRows = await fetchLevelInsights({
+          token: META_TOKEN,
+          account: META_AD_ACCOUNT,
+          level: 'ad',
+          fields: ['campaign_id', 'campaign_name', 'adset_id', 'adset_name', 'ad_id', 'ad_name'],
+          targetDate,
+          label: `${label} Ad Insights API`
+        });
+
+        const adIds = [...new Set(adRows.map(r => r.ad_id).filter(Boolean))];
+        const creatives = adIds.length > 0 ? await fetchAdCreatives(META_TOKEN, adIds) : {};
+
+        ads.push(...adRows.map(r => {
+          const creative = creatives[r.ad_id]?.creative || {};
+          return {
+            date: r.date_start ?? targetDate,
+            ad_id: r.ad_id,
+            ad_name: r.ad_name || null,
+            adset_id: r.adset_id || null,
+            adset_name: r.adset_name || null,
+            campaign_id: r.campaign_id || null,
+            campaign_name: r.campaign_name || null,
+            creative_id: creative.id || null,
+            thumbnail_url: creative.thumbnail_url || null,
+            reach: toNumber(r.reach),
+            ...metrics(r)
+          };
+        }));
+      }
+
+      // 5) 연령·성별, 노출 위치별 세분화 (tables.breakdowns 설정 시)
+      const breakdowns = [];
+      if (breakdownTable) {
+        for (const [breakdownType, dimensions] of Object.entries(BREAKDOWN_TYPES)) {
+          const breakdownRows = await fetchLevelInsights({
+            token: META_TOKEN,
+            account: META_AD_ACCOUNT,
+            level: 'account',
+            fields: [],
+            breakdowns: dimensions,
+            targetDate,
+            label: `${label} ${breakdownType} Insights API`
+          });
+
+          breakdowns.push(...breakdownRows.map(r => ({
+            date: r.date_start ?? targetDate,
+            brand: brand.id,
+            breakdown_type: breakdownType,
+            ...toBreakdownColumns(r, dimensions),
+            reach: toNumber(r.reach),
+            ...metrics(r)
+          })));
         }
-        console.log(`⚠️ Meta API 네트워크 에러 (시도 ${attempt}/${maxRetries}): 30초 후 재시도...`);
-        await new Promise(resolve => setTimeout(resolve, 30000));
       }
+
+      return { insights: rows, campaigns, ads, breakdowns };
     }
-    console.log('📊 Meta API 응답:', responseData);
-    const { data } = responseData;
-
-    // 2) 데이터 처리 및 지표 계산
-    const rows = data.map(r => {
-      const date = r.date_start || targetDate;
-      const spend = Number(r.spend);
-      const impressions = Number(r.impressions);
-      
-      const linkClickAction = (r.actions || []).find(a => a.action_type === 'link_click');
-      const linkClicks = linkClickAction ? Number(linkClickAction.value) : 0;
-
-      const conversionCountAction = (r.actions || []).find(a => a.action_type === 'purchase');
-      const conversionValueAction = (r.action_values || []).find(a => a.action_type === 'purchase');
-      
-      const conversionCount = conversionCountAction ? Number(conversionCountAction.value) : 0;
-      const conversionValue = conversionValueAction ? Number(conversionValueAction.value) : 0;
-
-      const cpaEntry = (r.cost_per_action_type || []).find(a => a.action_type === 'purchase');
-      const cpa = cpaEntry
-        ? Number(cpaEntry.value)
-        : (conversionCount ? spend / conversionCount : 0);
-
-      const ctr = impressions ? linkClicks / impressions : 0;
-      const cpc = linkClicks ? spend / linkClicks : 0;
-      const cvr = linkClicks ? conversionCount / linkClicks : 0;
-      const cpm = impressions ? (spend / impressions) * 1000 : 0;
-      const roas = spend ? (conversionValue / spend) : 0;
-      const aov = conversionCount ? (conversionValue / conversionCount) : 0;
-
-      return {
-        date,
-        campaign: 'Meta',
-        spend,
-        impressions,
-        clicks: linkClicks,
-        ctr,
-        cpc,
-        conversion: conversionCount,
-        conversion_value: conversionValue,
-        roas,
-        cvr,
-        cpm,
-        cpa,
-        aov,
-      };
-    });
-
-    console.log(`📝 처리된 데이터 (${rows.length}건):`, rows);
-
-    // 3) Supabase에 데이터 저장
-    if (rows.length > 0) {
-      const now = new Date().toISOString();
-      rows.forEach(row => {
-        row.updated_at = now;
-      });
-    }
-    
-    console.log('💾 Supabase에 데이터 저장 중...');
-    const { data: upsertData, error } = await supa
-      .from('meta_insights')
-      .upsert(rows, { onConflict: ['date', 'campaign'] });
-
-    if (error) {
-      console.error('❌ Supabase 에러:', error);
-      throw error;
-    }
-    
-    console.log('💾 Supabase 응답:', upsertData);
-    console.log(`✅ ${targetDate} 데이터 ${rows.length}건 upsert 완료`);
-  }
+  };
+}
+
+/**
+ * Meta 광고 데이터 수집 및 저장
+ * @param {Object} [options]
+ * @param {string} [options.brandId] - 브랜드 ID (config/brands.json, 비우면 기본 브랜드)
+ * @param {string[]} [options.dates] - 수집할 날짜 목록 (YYYY-MM-DD, 비우면 TARGET_DATE 또는 어제)
+ * @param {import('./lib/sinks/index.js').Sink} [options.sink] - 저장소 (비우면 설정에 따라 생성)
+ * @param {boolean} [options.dryRun] - true면 저장하지 않고 저장된 데이터와의 차이만 출력
+ * @returns {Promise<Array<{date: string, rows: number, spend: number}>>} 날짜별 저장 건수와 광고비
+ */
+async function fetchAndUpsert({ brandId, dates, sink, dryRun } = {}) {
+  const adapter = createMetaAdapter(getBrand(brandId));
+
+  // 우선순위: dates 인자 > TARGET_DATE 환경변수 > 어제 날짜
+  return runAdapter(adapter, resolveDates(dates), { sink, dryRun });
 }
 
 // 스크립트 직접 실행 시 (ES modules 방식)
 if (import.meta.url === `file://${process.argv[1]}`) {
-  fetchAndUpsert().catch(err => {
+  fetchAndUpsert({ brandId: process.argv[2] }).catch(err => {
     console.error(err);
     process.exit(1);
   });
 }
 
 // 함수 export (통합 스크립트에서 사용)
-export { fetchAndUpsert as fetchMetaData }; 
\ No newline at end of file
+export { fetchAndUpsert as fetchMetaData, createMetaAdapter }; 
\ No newline at end of file
@@ -1,10 +1,14 @@
 // scripts/fetch-naver.js
-// 네이버 서치애드 API 데이터 수집 및 Supabase 저장 (StatReport 기반)
+// 네이버 서치애드 API 데이터 수집 및 저장 (StatReport 기반)
 
-import axios from 'axios';
-import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 import crypto from 'crypto';
+import { resolveDates } from './lib/dates.js';
+import { httpRequest } from './lib/http.js';
+import { isFixtureReplay } from './lib/fixtures.js';
+import { runAdapter } from './lib/collector.js';
+import { getBrand, getPlatformConfig, readBrandEnv, brandLabel } from './lib/brand-registry.js';
+import { resolveBrandSearchContracts, getBrandSearchDailySpend, uncoveredContractMessage } from './lib/brand-search.js';
 
 // ========================================================================================
 // 설정 및 상수
@@ -14,34 +18,23 @@ dotenv.config();
 
 /** @typedef {Object} NaverConfig */
 const CONFIG = {
-  // 네이버 API 설정
+  // 네이버 API 설정 (인증 정보는 브랜드별 환경변수에서 읽음)
   NAVER: {
-    API_KEY: process.env.NAVER_API_KEY,
-    SECRET_KEY: process.env.NAVER_SECRET_KEY,
-    CUSTOMER_ID: process.env.NAVER_CUSTOMER_ID,
     BASE_URL: 'https://api.searchad.naver.com',
     API_VERSION: '2'
   },
   
-  // Supabase 설정
-  SUPABASE: {
-    URL: process.env.SUPABASE_URL,
-    KEY: process.env.SUPABASE_KEY,
-    TABLE: 'naver_insights'
-  },
-  
   // 리포트 설정
   REPORT: {
     MAX_ATTEMPTS: 30,
+    ID_BATCH_SIZE: 100, // ids 조회 1회당 최대 ID 수
     POLLING_INTERVAL: 10000, // 10초
     API_DELAY: 1000 // API 호출 간 대기 시간
   },
   
-  // 광고 설정
+  // 광고 설정 (브랜드검색 일 광고비는 브랜드 레지스트리의 brandSearchContracts에서 계산)
   AD: {
-    BRAND_SEARCH_DAILY_SPEND: 51333,
-    VAT_RATE: 1.1, // 10% VAT
-    KST_OFFSET: 9 * 60 * 60 * 1000 // UTC+9
+    VAT_RATE: 1.1 // 10% VAT
   },
   
   // 광고 타입 매핑
@@ -51,6 +44,22 @@ const CONFIG = {
     'WEB_SITE': 'TEXT_45'
   },
   
+  // 전환 방식 매핑 (AD_CONVERSION CONVERSION_METHOD)
+  CONVERSION_METHOD_MAPPING: {
+    '1': 'DIRECT',
+    '2': 'INDIRECT'
+  },
+  
+  // AD_CONVERSION CONVERSION_TYPE 값 (브랜드 레지스트리 conversionTypes에 conversion/conversion_value로 집계할 유형 지정)
+  //   purchase 구매완료, join 회원가입, cart 장바구니 담기, lead 신청/예약, etc 기타
+  // 기본값은 두지 않는다 - 브랜드마다 최적화 전환이 달라(기존: 구매, DOK: 회원가입) 빠뜨리면 전환이 조용히 0이 되므로
+  
+  // 기기 구분 매핑 (StatReport PC_MOBILE_TYPE)
+  DEVICE_MAPPING: {
+    'P': 'PC',
+    'M': 'MOBILE'
+  },
+  
   // CSV 필드 매핑 (StatReport 문서 기준)
   AD_REPORT_FIELDS: {
     DATE: 0, CUSTOMER_ID: 1, CAMPAIGN_ID: 2, ADGROUP_ID: 3, KEYWORD_ID: 4,
@@ -76,29 +85,6 @@ const CONFIG = {
  */
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-/**
- * KST 어제 날짜 계산
- * @returns {string} YYYY-MM-DD 형식의 어제 날짜
- */
-const getKSTYesterday = () => {
-  const now = new Date();
-  const kstNow = new Date(now.getTime() + CONFIG.AD.KST_OFFSET);
-  const kstYesterday = new Date(kstNow.getTime() - 24 * 60 * 60 * 1000);
-  return kstYesterday.toISOString().slice(0, 10);
-};
-
-// 0) 테스트용 날짜 설정 (비워두면 어제 날짜로 작동)
-const testDates = []; // 테스트할 날짜들 (예: ['2025-08-09'])
-
-// 환경변수에서 TARGET_DATE 읽기 (백필 스크립트 지원)
-const getTargetDate = () => {
-  const envDate = process.env.TARGET_DATE;
-  if (envDate && /^\d{4}-\d{2}-\d{2}$/.test(envDate)) {
-    return envDate;
-  }
-  return null;
-};
-
 /**
  * CSV 파싱 함수
  * @param {string} csvText - CSV 텍스트
@@ -138,11 +124,22 @@ const calculateMetrics = {
 // ========================================================================================
 
 class NaverAPIClient {
-  constructor() {
+  /**
+   * @param {Object} credentials - 브랜드별 네이버 API 인증 정보
+   * @param {string} credentials.apiKey - API 키
+   * @param {string} credentials.secretKey - 시크릿 키
+   * @param {string} credentials.customerId - 광고주 ID
+   * @param {Object} [options]
+   * @param {number} [options.pollingInterval] - 리포트 상태 확인 간격(ms)
+   * @param {number} [options.maxAttempts] - 리포트 상태 확인 최대 횟수
+   */
+  constructor({ apiKey, secretKey, customerId }, options = {}) {
     this.baseURL = CONFIG.NAVER.BASE_URL;
-    this.apiKey = CONFIG.NAVER.API_KEY;
-    this.secretKey = CONFIG.NAVER.SECRET_KEY;
-    this.customerId = CONFIG.NAVER.CUSTOMER_ID;
+    this.apiKey = apiKey;
+    this.secretKey = secretKey;
+    this.customerId = customerId;
+    this.pollingInterval = options.pollingInterval ?? CONFIG.REPORT.POLLING_INTERVAL;
+    this.maxAttempts = options.maxAttempts ?? CONFIG.REPORT.MAX_ATTEMPTS;
     
     // 환경변수 검증
     if (!this.apiKey || !this.secretKey || !this.customerId) {
@@ -185,38 +182,109 @@ class NaverAPIClient {
     };
   }
 
+  /**
+   * 서명된 API 요청 (공통 HTTP 레이어 사용, 재시도 시 서명을 새로 생성)
+   * @param {string} method - HTTP 메서드
+   * @param {string} uri - API 엔드포인트 또는 전체 URL
+   * @param {Object} [options]
+   * @param {Object} [options.body] - 요청 본문
+   * @param {'json'|'text'} [options.responseType='json'] - 응답 형식
+   * @param {Object} [options.extraHeaders] - 추가 헤더
+   * @param {string} [options.label] - 로그 표시 이름
+   * @returns {Promise<*>} 응답 본문
+   */
+  async request(method, uri, { body, responseType = 'json', extraHeaders = {}, label = '네이버 API' } = {}) {
+    const url = uri.startsWith('http') ? uri : `${this.baseURL}${uri}`;
+    const signedPath = new URL(url).pathname;
+
+    return httpRequest(url, {
+      method,
+      body,
+      responseType,
+      platform: 'naver',
+      label,
+      headers: () => ({ ...this.createHeaders(method, signedPath), ...extraHeaders })
+    });
+  }
+
   /**
    * 캠페인 목록 조회
-   * @returns {Promise<Map<string, string>>} 캠페인 ID -> 광고 타입 매핑
+   * @returns {Promise<Map<string, {name: string, campaignType: string, adType: string}>>} 캠페인 ID -> 이름/캠페인 타입/광고 타입
    */
-  async fetchCampaignTypes() {
-    console.log('📋 캠페인 타입 정보 수집...');
+  async fetchCampaigns() {
+    console.log('📋 캠페인 정보 수집...');
     
-    const campaignTypeMap = new Map();
+    const campaignMap = new Map();
     
     try {
-      const uri = '/ncc/campaigns';
-      const headers = this.createHeaders('GET', uri);
-      
-      const response = await axios.get(`${this.baseURL}${uri}`, { headers });
+      const campaigns = await this.request('GET', '/ncc/campaigns', { label: '네이버 캠페인 API' });
 
-      if (response.data && Array.isArray(response.data)) {
-        for (const campaign of response.data) {
+      if (Array.isArray(campaigns)) {
+        for (const campaign of campaigns) {
           const campaignId = campaign.nccCampaignId;
           const campaignType = campaign.campaignTp || 'WEB_SITE';
           
-          const adType = CONFIG.CAMPAIGN_TYPE_MAPPING[campaignType] || 'TEXT_45';
-          campaignTypeMap.set(campaignId, adType);
+          campaignMap.set(campaignId, {
+            name: campaign.name || campaignId,
+            campaignType,
+            adType: CONFIG.CAMPAIGN_TYPE_MAPPING[campaignType] || 'TEXT_45'
+          });
         }
       }
       
-      console.log(`✅ 캠페인 타입 매핑 완료: ${campaignTypeMap.size}개`);
+      console.log(`✅ 캠페인 정보 수집 완료: ${campaignMap.size}개`);
       
     } catch (error) {
-      console.error('⚠️ 캠페인 타입 수집 실패:', error.message);
+      console.error('⚠️ 캠페인 정보 수집 실패:', error.message);
     }
     
-    return campaignTypeMap;
+    return campaignMap;
+  }
+
+  /**
+   * ID 목록으로 광고 엔터티 조회 (ids 파라미터, 배치 단위)
+   * 조회 실패 시 빈 결과로 두고 ID를 그대로 표시하도록 에러를 던지지 않는다.
+   * @param {string} path - 엔드포인트 (예: '/ncc/keywords')
+   * @param {string[]} ids - 조회할 ID 목록
+   * @param {string} label - 로그 표시 이름
+   * @returns {Promise<Object[]>} 엔터티 목록
+   */
+  async fetchByIds(path, ids, label) {
+    const entities = [];
+
+    for (let i = 0; i < ids.length; i += CONFIG.REPORT.ID_BATCH_SIZE) {
+      const batch = ids.slice(i, i + CONFIG.REPORT.ID_BATCH_SIZE);
+      try {
+        const response = await this.request('GET', `${path}?ids=${batch.join(',')}`, { label });
+        if (Array.isArray(response)) {
+          entities.push(...response);
+        }
+      } catch (error) {
+        console.error(`⚠️ ${label} 조회 실패:`, error.message);
+      }
+    }
+
+    return entities;
+  }
+
+  /**
+   * 키워드 조회
+   * @param {string[]} keywordIds - 키워드 ID 목록
+   * @returns {Promise<Map<string, string>>} 키워드 ID -> 키워드
+   */
+  async fetchKeywords(keywordIds) {
+    const keywords = await this.fetchByIds('/ncc/keywords', keywordIds, '네이버 키워드 API');
+    return new Map(keywords.map(keyword => [keyword.nccKeywordId, keyword.keyword]));
+  }
+
+  /**
+   * 광고그룹 조회
+   * @param {string[]} adgroupIds - 광고그룹 ID 목록
+   * @returns {Promise<Map<string, string>>} 광고그룹 ID -> 광고그룹 이름
+   */
+  async fetchAdgroups(adgroupIds) {
+    const adgroups = await this.fetchByIds('/ncc/adgroups', adgroupIds, '네이버 광고그룹 API');
+    return new Map(adgroups.map(adgroup => [adgroup.nccAdgroupId, adgroup.name]));
   }
 
   /**
@@ -229,9 +297,6 @@ class NaverAPIClient {
   async createStatReport(reportType, date, fields = null) {
     console.log(`📊 ${reportType} 리포트 생성 요청...`);
     
-    const uri = '/stat-reports';
-    const headers = this.createHeaders('POST', uri);
-
     const reportRequest = {
       reportTp: reportType,
       statDt: date.replace(/-/g, '')
@@ -244,12 +309,15 @@ class NaverAPIClient {
     console.log('📝 리포트 요청:', JSON.stringify(reportRequest, null, 2));
 
     try {
-      const response = await axios.post(`${this.baseURL}${uri}`, reportRequest, { headers });
-      console.log(`✅ ${reportType} 리포트 생성 응답:`, response.data);
-      return response.data;
+      const response = await this.request('POST', '/stat-reports', {
+        body: reportRequest,
+        label: `네이버 ${reportType} 리포트 생성 API`
+      });
+      console.log(`✅ ${reportType} 리포트 생성 응답:`, response);
+      return response;
     } catch (error) {
       console.error(`❌ ${reportType} 리포트 생성 실패:`, error.message);
-      console.error('📄 에러 상세:', error.response?.data || error.response?.status);
+      console.error('📄 에러 상세:', error.data || error.status);
       throw error;
     }
   }
@@ -266,6 +334,12 @@ class NaverAPIClient {
     // 리포트 완료 대기
     const reportData = await this.waitForReportCompletion(reportJobId, reportType);
     
+    // 데이터 없음 상태 처리
+    if (reportData.status === 'NO_DATA') {
+      console.log(`ℹ️ ${reportType}: 해당 날짜에 데이터 없음`);
+      return [];
+    }
+    
     // CSV 다운로드
     const csvData = await this.downloadCSV(reportData.downloadUrl, reportType);
     
@@ -274,6 +348,8 @@ class NaverAPIClient {
 
   /**
    * 리포트 완료 대기
+   * 상태 조회 요청 자체의 일시적 오류는 공통 HTTP 레이어에서 재시도하고,
+   * 재시도 후에도 실패하거나 리포트가 FAILED 상태이면 에러를 던진다.
    * @param {string} reportJobId - 리포트 작업 ID
    * @param {string} reportType - 리포트 타입
    * @returns {Promise<Object>} 리포트 데이터
@@ -281,29 +357,30 @@ class NaverAPIClient {
   async waitForReportCompletion(reportJobId, reportType) {
     let attempts = 0;
     
-    while (attempts < CONFIG.REPORT.MAX_ATTEMPTS) {
-      await sleep(CONFIG.REPORT.POLLING_INTERVAL);
+    while (attempts < this.maxAttempts) {
+      await sleep(this.pollingInterval);
       attempts++;
 
-      try {
-        const uri = `/stat-reports/${reportJobId}`;
-        const headers = this.createHeaders('GET', uri);
-        
-        const statusResponse = await axios.get(`${this.baseURL}${uri}`, { headers });
-        const status = statusResponse.data?.status;
-        
-        console.log(`📋 ${reportType} 리포트 시도 ${attempts}: ${status}`);
-
-        if (status === 'COMPLETE' || status === 'BUILT') {
-          console.log(`✅ ${reportType} 리포트 처리 완료!`);
-          return statusResponse.data;
-        } 
-        
-        if (status === 'FAILED') {
-          throw new Error(`${reportType} 리포트 생성 실패: ${JSON.stringify(statusResponse.data)}`);
-        }
-      } catch (statusError) {
-        console.log(`⚠️ ${reportType} 리포트 상태 확인 시도 ${attempts} 실패:`, statusError.message);
+      const statusResponse = await this.request('GET', `/stat-reports/${reportJobId}`, {
+        label: `네이버 ${reportType} 리포트 상태 API`
+      });
+      const status = statusResponse?.status;
+      
+      console.log(`📋 ${reportType} 리포트 시도 ${attempts}: ${status}`);
+
+      if (status === 'COMPLETE' || status === 'BUILT') {
+        console.log(`✅ ${reportType} 리포트 처리 완료!`);
+        return statusResponse;
+      } 
+      
+      if (status === 'FAILED') {
+        throw new Error(`${reportType} 리포트 생성 실패: ${JSON.stringify(statusResponse)}`);
+      }
+      
+      // AD_CONVERSION 리포트에서 NONE 상태가 지속되면 데이터 없음으로 처리
+      if (reportType === 'AD_CONVERSION' && status === 'NONE' && attempts >= 5) {
+        console.log(`⚠️ ${reportType} 리포트: 해당 날짜에 전환 데이터 없음 (상태: ${status})`);
+        return { downloadUrl: null, status: 'NO_DATA' };
       }
     }
     
@@ -323,17 +400,14 @@ class NaverAPIClient {
 
     console.log(`📥 ${reportType} CSV 다운로드...`);
     
-    const uri = new URL(downloadUrl).pathname;
-    const headers = this.createHeaders('GET', uri);
-    headers['Accept'] = 'text/csv;charset=UTF-8';
-    
-    const csvResponse = await axios.get(downloadUrl, {
-      headers,
-      responseType: 'text'
+    const csvText = await this.request('GET', downloadUrl, {
+      responseType: 'text',
+      extraHeaders: { 'Accept': 'text/csv;charset=UTF-8' },
+      label: `네이버 ${reportType} CSV 다운로드`
     });
 
-    console.log(`🔍 ${reportType} CSV 샘플:`, csvResponse.data.substring(0, 200) + '...');
-    return csvResponse.data;
+    console.log(`🔍 ${reportType} CSV 샘플:`, csvText.substring(0, 200) + '...');
+    return csvText;
   }
 }
 
@@ -443,6 +517,155 @@ class NaverDataTransformer {
     return rows;
   }
 
+  /**
+   * 캠페인 단위 저장용 데이터 생성
+   * 브랜드검색 계약 광고비는 캠페인별로 나누지 않으므로 여기서는 리포트상의 비용(VAT 포함)만 기록한다.
+   * @param {Map<string, Object>} campaignStats - 캠페인별 집계 데이터 (aggregateAdData + mergeConversionData)
+   * @param {Map<string, Object>} campaigns - 캠페인 정보 (fetchCampaigns)
+   * @param {string} date - 날짜
+   * @returns {Object[]} 캠페인별 저장용 데이터
+   */
+  static createCampaignData(campaignStats, campaigns, date) {
+    const rows = [];
+
+    for (const [campaignId, stats] of campaignStats) {
+      const campaign = campaigns.get(campaignId);
+      const data = {
+        spend: stats.cost * CONFIG.AD.VAT_RATE,
+        impressions: stats.impressions,
+        clicks: stats.clicks,
+        conversion: stats.conversions,
+        conversionValue: stats.conversionValue,
+        sumAdRank: stats.sumAdRank
+      };
+
+      rows.push({
+        date,
+        campaign_id: campaignId,
+        campaign_name: campaign?.name || campaignId,
+        campaign_type: campaign?.campaignType || 'UNKNOWN',
+        spend: Number(data.spend.toFixed(2)),
+        impressions: data.impressions,
+        clicks: data.clicks,
+        conversion: data.conversion,
+        conversion_value: Number(data.conversionValue.toFixed(2)),
+        ...NaverDataTransformer.calculateAllMetrics(data)
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * 키워드 단위 저장용 데이터 생성
+   * @param {Map<string, Object>} keywordStats - 키워드별 집계 데이터 (aggregateByKeyword)
+   * @param {Object} names - 이름 매핑
+   * @param {Map<string, string>} names.keywords - 키워드 ID -> 키워드
+   * @param {Map<string, string>} names.adgroups - 광고그룹 ID -> 광고그룹 이름
+   * @param {Map<string, Object>} names.campaigns - 캠페인 정보 (fetchCampaigns)
+   * @param {string} date - 날짜
+   * @returns {Object[]} 키워드별 저장용 데이터
+   */
+  static createKeywordData(keywordStats, { keywords, adgroups, campaigns }, date) {
+    const rows = [];
+
+    for (const [keywordId, stats] of keywordStats) {
+      const data = {
+        spend: stats.cost * CONFIG.AD.VAT_RATE,
+        impressions: stats.impressions,
+        clicks: stats.clicks,
+        conversion: stats.conversions,
+        conversionValue: stats.conversionValue,
+        sumAdRank: stats.sumAdRank
+      };
+
+      rows.push({
+        date,
+        keyword_id: keywordId,
+        keyword: keywords.get(keywordId) || keywordId,
+        adgroup_id: stats.adgroupId,
+        adgroup_name: adgroups.get(stats.adgroupId) || stats.adgroupId,
+        campaign_id: stats.campaignId,
+        campaign_name: campaigns.get(stats.campaignId)?.name || stats.campaignId,
+        spend: Number(data.spend.toFixed(2)),
+        impressions: data.impressions,
+        clicks: data.clicks,
+        conversion: data.conversion,
+        conversion_value: Number(data.conversionValue.toFixed(2)),
+        ...NaverDataTransformer.calculateAllMetrics(data)
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * 기기/매체 단위 저장용 데이터 생성
+   * @param {Map<string, Object>} breakdownStats - 기기/매체별 집계 데이터 (aggregateByDeviceMedia)
+   * @param {string} date - 날짜
+   * @returns {Object[]} 캠페인 타입 × 기기 × 매체별 저장용 데이터
+   */
+  static createBreakdownData(breakdownStats, date) {
+    const rows = [];
+
+    for (const stats of breakdownStats.values()) {
+      const data = {
+        spend: stats.cost * CONFIG.AD.VAT_RATE,
+        impressions: stats.impressions,
+        clicks: stats.clicks,
+        conversion: stats.conversions,
+        conversionValue: stats.conversionValue,
+        sumAdRank: stats.sumAdRank
+      };
+
+      rows.push({
+        date,
+        campaign_type: stats.campaignType,
+        device: stats.device,
+        media_code: stats.mediaCode,
+        spend: Number(data.spend.toFixed(2)),
+        impressions: data.impressions,
+        clicks: data.clicks,
+        conversion: data.conversion,
+        conversion_value: Number(data.conversionValue.toFixed(2)),
+        ...NaverDataTransformer.calculateAllMetrics(data)
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * 전환 유형 단위 저장용 데이터 생성
+   * 집계 제외 유형도 모두 기록하고 counted로 conversion 포함 여부를 표시한다.
+   * @param {Map<string, Object>} conversionStats - 전환 유형별 집계 데이터 (aggregateByConversionType)
+   * @param {Map<string, Object>} campaigns - 캠페인 정보 (fetchCampaigns)
+   * @param {string[]} conversionTypes - conversion에 포함하는 전환 유형
+   * @param {string} date - 날짜
+   * @returns {Object[]} 캠페인 × 전환 방식 × 전환 유형별 저장용 데이터
+   */
+  static createConversionTypeData(conversionStats, campaigns, conversionTypes, date) {
+    const rows = [];
+
+    for (const stats of conversionStats.values()) {
+      const campaign = campaigns.get(stats.campaignId);
+
+      rows.push({
+        date,
+        campaign_id: stats.campaignId,
+        campaign_name: campaign?.name || stats.campaignId,
+        campaign_type: campaign?.campaignType || 'UNKNOWN',
+        conversion_method: stats.conversionMethod,
+        conversion_type: stats.conversionType,
+        counted: conversionTypes.includes(stats.conversionType),
+        conversion: stats.conversions,
+        conversion_value: Number(stats.conversionValue.toFixed(2))
+      });
+    }
+
+    return rows;
+  }
+
   /**
    * 모든 메트릭 계산
    * @param {Object} data - 집계 데이터
@@ -474,9 +697,10 @@ class NaverDataAggregator {
    * @param {Object[]} adData - AD 리포트 데이터
    * @param {Object[]} conversionData - 전환 리포트 데이터
    * @param {Map<string, string>} campaignTypeMap - 캠페인 타입 매핑
-   * @returns {Object} 집계된 데이터
+   * @param {number} brandSearchDailySpend - 해당 날짜의 브랜드검색 광고비 (계약 금액 일할)
+   * @returns {Object} 집계된 데이터 (광고 타입별 powerlink/brand와 캠페인별 campaignStats)
    */
-  static aggregateReports(adData, conversionData, campaignTypeMap) {
+  static aggregateReports(adData, conversionData, campaignTypeMap, brandSearchDailySpend) {
     console.log('🔄 데이터 병합 및 집계 시작...');
     
     // 캠페인별 성과 데이터 집계
@@ -486,13 +710,13 @@ class NaverDataAggregator {
     NaverDataAggregator.mergeConversionData(campaignStats, conversionData);
     
     // 광고 타입별 집계
-    const result = NaverDataAggregator.aggregateByAdType(campaignStats, campaignTypeMap);
+    const result = NaverDataAggregator.aggregateByAdType(campaignStats, campaignTypeMap, brandSearchDailySpend);
     
     console.log('📊 집계 완료:');
     console.log('🔸 파워링크:', result.powerlink);
     console.log('🔸 브랜드검색:', result.brand);
     
-    return result;
+    return { ...result, campaignStats };
   }
 
   /**
@@ -554,20 +778,154 @@ class NaverDataAggregator {
     }
   }
 
+  /**
+   * conversion/conversion_value 집계 대상 전환 유형만 남기기 (장바구니 등이 구매 전환에 섞이지 않도록)
+   * @param {Object[]} conversionData - 전환 리포트 데이터
+   * @param {string[]} conversionTypes - 포함할 전환 유형
+   * @returns {Object[]} 포함 대상 전환 데이터
+   */
+  static filterCountedConversions(conversionData, conversionTypes) {
+    const excluded = new Map();
+    const counted = conversionData.filter(conv => {
+      if (conversionTypes.includes(conv.conversionType)) return true;
+      excluded.set(conv.conversionType, (excluded.get(conv.conversionType) || 0) + conv.conversionCount);
+      return false;
+    });
+
+    if (excluded.size > 0) {
+      const summary = [...excluded].map(([type, count]) => `${type} ${count}건`).join(', ');
+      console.log(`🔸 전환 집계 제외 유형: ${summary}`);
+    }
+
+    return counted;
+  }
+
+  /**
+   * 캠페인 × 전환 방식(직접/간접) × 전환 유형별 집계
+   * @param {Object[]} conversionData - 전환 리포트 데이터 (유형 필터 전 전체)
+   * @returns {Map<string, Object>} 구분 키 -> 집계 데이터 (campaignId, conversionMethod, conversionType 포함)
+   */
+  static aggregateByConversionType(conversionData) {
+    const conversionStats = new Map();
+
+    for (const conv of conversionData) {
+      const conversionMethod = CONFIG.CONVERSION_METHOD_MAPPING[conv.conversionMethod] || conv.conversionMethod || 'UNKNOWN';
+      const conversionType = conv.conversionType || 'UNKNOWN';
+      const key = `${conv.campaignId}|${conversionMethod}|${conversionType}`;
+
+      if (!conversionStats.has(key)) {
+        conversionStats.set(key, {
+          campaignId: conv.campaignId, conversionMethod, conversionType,
+          conversions: 0, conversionValue: 0
+        });
+      }
+
+      const stats = conversionStats.get(key);
+      stats.conversions += conv.conversionCount;
+      stats.conversionValue += conv.conversionValue;
+    }
+
+    return conversionStats;
+  }
+
+  /**
+   * 키워드별 집계 (키워드가 없는 행 '-' 은 제외: 브랜드검색, 쇼핑 등)
+   * @param {Object[]} adData - AD 리포트 데이터
+   * @param {Object[]} conversionData - 전환 리포트 데이터
+   * @returns {Map<string, Object>} 키워드 ID -> 집계 데이터 (campaignId, adgroupId 포함)
+   */
+  static aggregateByKeyword(adData, conversionData) {
+    const keywordStats = new Map();
+    const hasKeyword = (keywordId) => keywordId && keywordId !== '-';
+
+    for (const ad of adData) {
+      if (!hasKeyword(ad.keywordId)) continue;
+
+      if (!keywordStats.has(ad.keywordId)) {
+        keywordStats.set(ad.keywordId, {
+          campaignId: ad.campaignId, adgroupId: ad.adgroupId,
+          impressions: 0, clicks: 0, cost: 0, sumAdRank: 0,
+          conversions: 0, conversionValue: 0
+        });
+      }
+
+      const stats = keywordStats.get(ad.keywordId);
+      stats.impressions += ad.impressions;
+      stats.clicks += ad.clicks;
+      stats.cost += ad.cost;
+      stats.sumAdRank += ad.sumAdRank;
+    }
+
+    // 노출 실적이 있는 키워드에만 전환 병합 (mergeConversionData와 동일한 기준)
+    for (const conv of conversionData) {
+      const stats = keywordStats.get(conv.keywordId);
+      if (!stats) continue;
+      stats.conversions += conv.conversionCount;
+      stats.conversionValue += conv.conversionValue;
+    }
+
+    return keywordStats;
+  }
+
+  /**
+   * 캠페인 타입 × 기기(PC/모바일) × 매체별 집계
+   * @param {Object[]} adData - AD 리포트 데이터
+   * @param {Object[]} conversionData - 전환 리포트 데이터
+   * @param {Map<string, Object>} campaigns - 캠페인 정보 (fetchCampaigns)
+   * @returns {Map<string, Object>} 구분 키 -> 집계 데이터 (campaignType, device, mediaCode 포함)
+   */
+  static aggregateByDeviceMedia(adData, conversionData, campaigns) {
+    const breakdownStats = new Map();
+    const breakdownOf = ({ campaignId, pcMobileType, mediaCode }) => {
+      const campaignType = campaigns.get(campaignId)?.campaignType || 'UNKNOWN';
+      const device = CONFIG.DEVICE_MAPPING[pcMobileType] || pcMobileType || 'UNKNOWN';
+      return { key: `${campaignType}|${device}|${mediaCode}`, campaignType, device, mediaCode };
+    };
+
+    for (const ad of adData) {
+      const { key, ...dimensions } = breakdownOf(ad);
+
+      if (!breakdownStats.has(key)) {
+        breakdownStats.set(key, {
+          ...dimensions,
+          impressions: 0, clicks: 0, cost: 0, sumAdRank: 0,
+          conversions: 0, conversionValue: 0
+        });
+      }
+
+      const stats = breakdownStats.get(key);
+      stats.impressions += ad.impressions;
+      stats.clicks += ad.clicks;
+      stats.cost += ad.cost;
+      stats.sumAdRank += ad.sumAdRank;
+    }
+
+    // 노출 실적이 있는 구분에만 전환 병합 (mergeConversionData와 동일한 기준)
+    for (const conv of conversionData) {
+      const stats = breakdownStats.get(breakdownOf(conv).key);
+      if (!stats) continue;
+      stats.conversions += conv.conversionCount;
+      stats.conversionValue += conv.conversionValue;
+    }
+
+    return breakdownStats;
+  }
+
   /**
    * 광고 타입별 집계
    * @param {Map<string, Object>} campaignStats - 캠페인별 집계 데이터
    * @param {Map<string, string>} campaignTypeMap - 캠페인 타입 매핑
+   * @param {number} [brandSearchDailySpend=0] - 해당 날짜의 브랜드검색 광고비 (계약 금액 일할)
    * @returns {Object} 광고 타입별 집계 결과
    */
-  static aggregateByAdType(campaignStats, campaignTypeMap) {
+  static aggregateByAdType(campaignStats, campaignTypeMap, brandSearchDailySpend = 0) {
     const powerlink = {
       spend: 0, impressions: 0, clicks: 0, conversion: 0, conversionValue: 0, 
       sumAdRank: 0, campaignCount: 0
     };
     
     const brand = {
-      spend: CONFIG.AD.BRAND_SEARCH_DAILY_SPEND,
+      spend: brandSearchDailySpend,
       impressions: 0, clicks: 0, conversion: 0, conversionValue: 0, 
       sumAdRank: 0, campaignCount: 0
     };
@@ -602,102 +960,266 @@ class NaverDataAggregator {
 // ========================================================================================
 
 /**
- * 네이버 광고 데이터 수집 메인 함수
- * @returns {Promise<void>}
+ * 네이버 어댑터 생성
+ * 픽스처 재생 중에는 대기 시간 기본값을 0으로 둔다.
+ * @param {Object} brand - 브랜드 설정
+ * @param {Object} [options] - NaverAPIClient 옵션 (pollingInterval, maxAttempts) 및 apiDelay
+ * @returns {import('./lib/collector.js').PlatformAdapter} 네이버 어댑터
  */
-async function fetchNaverData() {
-  // 우선순위: TARGET_DATE 환경변수 > testDates 배열 > 어제 날짜
-  const envTargetDate = getTargetDate();
-  const datesToRun = envTargetDate 
-    ? [envTargetDate]
-    : (Array.isArray(testDates) && testDates.length > 0)
-    ? testDates
-    : [getKSTYesterday()];
-  console.log(`\n📅 네이버 광고 데이터 수집 시작 (총 ${datesToRun.length}개 날짜)`);
+function createNaverAdapter(brand, options = {}) {
+  const naverConfig = getPlatformConfig(brand, 'naver');
+  const label = brandLabel(brand, '네이버');
+  const replaying = isFixtureReplay();
+  const apiDelay = options.apiDelay ?? (replaying ? 0 : CONFIG.REPORT.API_DELAY);
 
-  try {
-    // API 클라이언트 초기화
-    const apiClient = new NaverAPIClient();
-    
-    // Supabase 클라이언트 초기화
-    const supa = createClient(CONFIG.SUPABASE.URL, CONFIG.SUPABASE.KEY);
+  // API 클라이언트 초기화
+  const apiClient = new NaverAPIClient({
+    apiKey: readBrandEnv(brand, 'NAVER_API_KEY'),
+    secretKey: readBrandEnv(brand, 'NAVER_SECRET_KEY'),
+    customerId: readBrandEnv(brand, 'NAVER_CUSTOMER_ID')
+  }, { ...(replaying ? { pollingInterval: 0 } : {}), ...options });
 
-    // 1. 캠페인 타입 정보 수집 (1회 공통)
-    const campaignTypeMap = await apiClient.fetchCampaignTypes();
-    await sleep(CONFIG.REPORT.API_DELAY);
+  const campaignTable = naverConfig.tables.campaigns;
+  const keywordTable = naverConfig.tables.keywords;
+  const breakdownTable = naverConfig.tables.breakdown;
+  const conversionTable = naverConfig.tables.conversions;
+  const brandSearchContracts = resolveBrandSearchContracts(naverConfig, brand.id);
+  const { conversionTypes } = naverConfig;
+  if (!Array.isArray(conversionTypes) || conversionTypes.length === 0) {
+    throw new Error(`${brand.id}.naver: conversionTypes에 집계할 전환 유형 배열을 지정해야 합니다 (예: ["purchase"], ["join"])`);
+  }
+  const keywordNames = new Map();
+  const adgroupNames = new Map();
+  let campaigns = new Map();
+  let campaignTypeMap = new Map();
 
-    for (const targetDate of datesToRun) {
-      console.log(`\n📅 처리 날짜: ${targetDate}`);
+  /**
+   * StatReport 생성 → 완료 대기 → CSV 파싱
+   * @param {string} reportType - 리포트 타입
+   * @param {string} targetDate - 날짜
+   * @returns {Promise<string[][]>} CSV 데이터
+   */
+  const collectReport = async (reportType, targetDate) => {
+    const reportData = await apiClient.createStatReport(reportType, targetDate);
+    const jobId = reportData?.reportJobId || reportData?.id;
+
+    if (!jobId) {
+      throw new Error(`${reportType} 리포트 작업 ID를 받지 못했습니다`);
+    }
+
+    return apiClient.processStatReport(jobId, reportType);
+  };
 
+  /**
+   * 컬럼 수 부족으로 변환에서 제외된 리포트 행 경고
+   * @param {string} reportType - 리포트 타입
+   * @param {number} droppedCount - 제외된 행 수
+   * @returns {Object[]} 검증 위반 (없으면 빈 배열)
+   */
+  const droppedRowViolations = (reportType, droppedCount) => (droppedCount > 0
+    ? [{
+      level: 'warning',
+      rule: 'dropped_report_rows',
+      table: naverConfig.tables.insights,
+      key: reportType,
+      message: `${reportType} 리포트 ${droppedCount}행이 컬럼 수 부족으로 제외됨`
+    }]
+    : []);
+
+  /**
+   * 키워드별 행 생성 (키워드·광고그룹 이름은 날짜 간 캐시)
+   * @param {Object[]} adData - AD 리포트 데이터
+   * @param {Object[]} conversionData - 전환 리포트 데이터
+   * @param {string} targetDate - 날짜
+   * @returns {Promise<Object[]>} 키워드별 저장용 데이터
+   */
+  const collectKeywordRows = async (adData, conversionData, targetDate) => {
+    const keywordStats = NaverDataAggregator.aggregateByKeyword(adData, conversionData);
+
+    const newKeywordIds = [...keywordStats.keys()].filter(id => !keywordNames.has(id));
+    const newAdgroupIds = [...new Set([...keywordStats.values()].map(stats => stats.adgroupId))]
+      .filter(id => !adgroupNames.has(id));
+
+    if (newKeywordIds.length > 0) {
+      const fetched = await apiClient.fetchKeywords(newKeywordIds);
+      fetched.forEach((keyword, id) => keywordNames.set(id, keyword));
+    }
+    if (newAdgroupIds.length > 0) {
+      const fetched = await apiClient.fetchAdgroups(newAdgroupIds);
+      fetched.forEach((name, id) => adgroupNames.set(id, name));
+    }
+
+    return NaverDataTransformer.createKeywordData(
+      keywordStats, { keywords: keywordNames, adgroups: adgroupNames, campaigns }, targetDate
+    );
+  };
+
+  return {
+    platform: 'naver',
+    brand,
+    label,
+    spendIncludesVat: true,
+    datasets: {
+      insights: {
+        table: naverConfig.tables.insights,
+        onConflict: ['date', 'campaign'],
+        updatedAt: true,
+        clickBasedConversions: true
+      },
+      ...(campaignTable
+        ? {
+          campaigns: {
+            table: campaignTable,
+            onConflict: ['date', 'campaign_id'],
+            updatedAt: true,
+            clickBasedConversions: true
+          }
+        }
+        : {}),
+      ...(keywordTable
+        ? {
+          keywords: {
+            table: keywordTable,
+            onConflict: ['date', 'keyword_id'],
+            updatedAt: true,
+            clickBasedConversions: true
+          }
+        }
+        : {}),
+      ...(breakdownTable
+        ? {
+          breakdown: {
+            table: breakdownTable,
+            onConflict: ['date', 'campaign_type', 'device', 'media_code'],
+            updatedAt: true,
+            clickBasedConversions: true
+          }
+        }
+        : {}),
+      ...(conversionTable
+        ? {
+          conversions: {
+            table: conversionTable,
+            onConflict: ['date', 'campaign_id', 'conversion_method', 'conversion_type'],
+            updatedAt: true
+          }
+        }
+        : {})
+    },
+
+    async init() {
+      // 1. 캠페인 정보 수집 (1회 공통)
+      campaigns = await apiClient.fetchCampaigns();
+      campaignTypeMap = new Map([...campaigns].map(([campaignId, campaign]) => [campaignId, campaign.adType]));
+      await sleep(apiDelay);
+    },
+
+    async fetch(targetDate) {
       // 2. AD 성과 리포트 수집
-      const adReportData = await apiClient.createStatReport('AD', targetDate);
-      const adJobId = adReportData?.reportJobId || adReportData?.id;
-      
-      if (!adJobId) {
-        throw new Error('AD 리포트 작업 ID를 받지 못했습니다');
-      }
+      const adReport = await collectReport('AD', targetDate);
+      const adData = NaverDataTransformer.transformAdData(adReport);
 
-      const adCsvData = await apiClient.processStatReport(adJobId, 'AD');
-      const adData = NaverDataTransformer.transformAdData(adCsvData);
-      
       console.log(`✅ AD 성과 데이터 ${adData.length}개 수집 완료`);
       if (adData.length > 0) {
         console.log('📊 AD 데이터 샘플:', adData[0]);
       }
 
-      await sleep(CONFIG.REPORT.API_DELAY);
-      
-      // 3. 전환 리포트 수집
-      const convReportData = await apiClient.createStatReport('AD_CONVERSION', targetDate);
-      const convJobId = convReportData?.reportJobId || convReportData?.id;
-      
-      if (!convJobId) {
-        throw new Error('AD_CONVERSION 리포트 작업 ID를 받지 못했습니다');
+      await sleep(apiDelay);
+
+      // 3. 전환 리포트 수집 (conversion 집계는 브랜드 설정의 전환 유형만)
+      const conversionReport = await collectReport('AD_CONVERSION', targetDate);
+      const allConversionData = NaverDataTransformer.transformConversionData(conversionReport);
+
+      console.log(`✅ 전환 데이터 ${allConversionData.length}개 수집 완료`);
+      if (allConversionData.length > 0) {
+        console.log('📊 전환 데이터 샘플:', allConversionData[0]);
       }
 
-      const convCsvData = await apiClient.processStatReport(convJobId, 'AD_CONVERSION');
-      const conversionData = NaverDataTransformer.transformConversionData(convCsvData);
-      
-      console.log(`✅ 전환 데이터 ${conversionData.length}개 수집 완료`);
-      if (conversionData.length > 0) {
-        console.log('📊 전환 데이터 샘플:', conversionData[0]);
+      const conversionData = NaverDataAggregator.filterCountedConversions(allConversionData, conversionTypes);
+      // 전환은 있는데 설정한 유형이 하나도 없으면 유형 코드가 잘못됐을 수 있으므로 경고
+      const uncountedMessage = conversionData.length === 0 && allConversionData.length > 0
+        ? `설정한 전환 유형(${conversionTypes.join(', ')})의 전환이 없습니다. ` +
+          `리포트 전환 유형: ${[...new Set(allConversionData.map(conv => conv.conversionType))].join(', ')}`
+        : null;
+      if (uncountedMessage) {
+        console.log(`⚠️ ${label}: ${uncountedMessage}`);
+      }
+
+      // 4. 데이터 집계 (브랜드검색 광고비는 계약 기간 밖이면 0 - 경고로 보고)
+      const brandSearchSpend = getBrandSearchDailySpend(brandSearchContracts, targetDate, CONFIG.AD.VAT_RATE);
+      const uncoveredMessage = uncoveredContractMessage(brandSearchContracts, targetDate);
+      if (uncoveredMessage) {
+        console.log(`⚠️ ${label}: ${uncoveredMessage}`);
       }
-      
-      // 4. 데이터 집계
       const aggregatedData = NaverDataAggregator.aggregateReports(
-        adData, conversionData, campaignTypeMap
+        adData, conversionData, campaignTypeMap, brandSearchSpend
       );
-      
-      // 5. Supabase 저장용 데이터 생성
-      const rows = NaverDataTransformer.createSupabaseData(aggregatedData, targetDate);
-      
-      console.log(`📝 처리된 네이버 데이터 (${rows.length}건):`, rows);
-      
-      // 6. Supabase 저장
-      if (rows.length > 0) {
-        const now = new Date().toISOString();
-        rows.forEach(row => {
-          row.updated_at = now;
-        });
-        
-        console.log('💾 Supabase에 네이버 데이터 저장 중...');
-        const { data, error } = await supa
-          .from(CONFIG.SUPABASE.TABLE)
-          .upsert(rows, { onConflict: ['date', 'campaign'] });
-
-        if (error) {
-          console.error('❌ Supabase 에러:', error);
-          throw error;
-        }
 
-        console.log(`✅ ${targetDate} 네이버 데이터 ${rows.length}건 저장 완료`);
-      } else {
-        console.log('⚠️ 저장할 네이버 데이터가 없습니다.');
-      }
+      // 5. 저장용 데이터 생성 (컬럼 수가 부족해 버려진 리포트 행은 검증 경고로 보고)
+      return {
+        violations: [
+          ...droppedRowViolations('AD', adReport.length - adData.length),
+          ...droppedRowViolations('AD_CONVERSION', conversionReport.length - allConversionData.length),
+          ...(uncoveredMessage
+            ? [{
+              level: 'warning',
+              rule: 'brand_search_uncovered',
+              table: naverConfig.tables.insights,
+              key: `${targetDate} / Naver BS`,
+              message: uncoveredMessage
+            }]
+            : []),
+          ...(uncountedMessage
+            ? [{
+              level: 'warning',
+              rule: 'uncounted_conversion_types',
+              table: naverConfig.tables.insights,
+              key: targetDate,
+              message: uncountedMessage
+            }]
+            : [])
+        ],
+        insights: NaverDataTransformer.createSupabaseData(aggregatedData, targetDate),
+        campaigns: NaverDataTransformer.createCampaignData(aggregatedData.campaignStats, campaigns, targetDate),
+        ...(keywordTable ? { keywords: await collectKeywordRows(adData, conversionData, targetDate) } : {}),
+        ...(breakdownTable
+          ? {
+            breakdown: NaverDataTransformer.createBreakdownData(
+              NaverDataAggregator.aggregateByDeviceMedia(adData, conversionData, campaigns), targetDate
+            )
+          }
+          : {}),
+        ...(conversionTable
+          ? {
+            conversions: NaverDataTransformer.createConversionTypeData(
+              NaverDataAggregator.aggregateByConversionType(allConversionData), campaigns, conversionTypes, targetDate
+            )
+          }
+          : {})
+      };
     }
+  };
+}
+
+/**
+ * 네이버 광고 데이터 수집 메인 함수
+ * @param {Object} [options]
+ * @param {string} [options.brandId] - 브랜드 ID (config/brands.json, 비우면 기본 브랜드)
+ * @param {string[]} [options.dates] - 수집할 날짜 목록 (YYYY-MM-DD, 비우면 TARGET_DATE 또는 어제)
+ * @param {import('./lib/sinks/index.js').Sink} [options.sink] - 저장소 (비우면 설정에 따라 생성)
+ * @param {boolean} [options.dryRun] - true면 저장하지 않고 저장된 데이터와의 차이만 출력
+ * @returns {Promise<Array<{date: string, rows: number, spend: number}>>} 날짜별 저장 건수와 광고비
+ */
+async function fetchNaverData({ brandId, dates, sink, dryRun } = {}) {
+  const brand = getBrand(brandId);
+
+  try {
+    const adapter = createNaverAdapter(brand);
 
+    // 우선순위: dates 인자 > TARGET_DATE 환경변수 > 어제 날짜
+    return await runAdapter(adapter, resolveDates(dates), { sink, dryRun });
   } catch (error) {
-    console.error('💥 네이버 데이터 수집 실패:', error.message);
+    console.error(`💥 ${brandLabel(brand, '네이버')} 데이터 수집 실패:`, error.message);
     throw error;
   }
 }
@@ -708,10 +1230,10 @@ async function fetchNaverData() {
 
 // 스크립트 직접 실행 시
 if (import.meta.url === `file://${process.argv[1]}`) {
-  fetchNaverData().catch(err => {
+  fetchNaverData({ brandId: process.argv[2] }).catch(err => {
     console.error(err);
     process.exit(1);
   });
 }
 
-export { fetchNaverData }; 
\ No newline at end of file
+export { CONFIG, fetchNaverData, createNaverAdapter, NaverAPIClient, NaverDataTransformer, NaverDataAggregator, parseCSV }; 
\ No newline at end of file
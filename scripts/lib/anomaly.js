@@ -0,0 +1,249 @@
+// scripts/lib/anomaly.js
+// 일별 광고비·CPA·ROAS 이상 징후 탐지 (anomalies 테이블)
+//
+// 브랜드 × 플랫폼 insights 테이블의 채널(campaign)별로 대상 날짜 지표를 직전 14일·28일 기준선과 비교한다.
+// 기준선은 중앙값과 중앙값 절대 편차(MAD)로 잡아 하루 튀는 값에 끌려가지 않게 하고,
+// 수정 z-점수 0.6745 × (값 - 중앙값) / MAD 가 두 기준선 모두에서 같은 방향으로 임계값을 넘으면 이상으로 본다.
+//
+// 설정 우선순위: 환경변수 > config/brands.json 의 anomaly 항목 > 기본값
+//   ANOMALY_THRESHOLD          수정 z-점수 임계값 (기본 3.5)
+//   ANOMALY_MIN_BASELINE_DAYS  기준선 최소 일수 - 데이터가 이보다 적은 기간은 판단하지 않음 (기본 7)
+
+import { loadBrandRegistry } from './brand-registry.js';
+import { addDays } from './dates.js';
+import { sumMetrics } from './report.js';
+
+const ANOMALY_TABLE = 'anomalies';
+const ANOMALY_KEYS = ['date', 'brand', 'platform', 'campaign', 'metric'];
+
+/** 기준선 기간 (대상 날짜 직전 N일) */
+const BASELINE_WINDOWS = [14, 28];
+
+// MAD를 정규분포 표준편차 척도로 맞추는 상수
+const MAD_SCALE = 0.6745;
+
+// 기준선 변동이 거의 없을 때(예: 브랜드검색 계약 광고비) 중앙값의 5% 미만 변화는 이상으로 보지 않음
+const MIN_RELATIVE_DEVIATION = 0.05;
+
+const DEFAULTS = { threshold: 3.5, minBaselineDays: 7 };
+
+/**
+ * 탐지 지표 (값이 null인 날은 기준선에서 제외: 전환 없는 날의 CPA, 광고비 없는 날의 ROAS)
+ * @type {Array<{ metric: string, label: string, value: (metrics: import('./report.js').ReportMetrics) => number|null, format: (value: number) => string }>}
+ */
+const METRICS = [
+  { metric: 'spend', label: '광고비', value: m => m.spend, format: v => formatWon(v) },
+  { metric: 'cpa', label: 'CPA', value: m => (m.conversion > 0 ? m.cpa : null), format: v => formatWon(v) },
+  { metric: 'roas', label: 'ROAS', value: m => (m.spend > 0 ? m.roas : null), format: v => `${(v * 100).toFixed(0)}%` }
+];
+
+// 합산에 필요한 insights 컬럼 (광고비는 리포트와 같은 원화 VAT 별도 기준, 정규화 컬럼이 없는 이전 행은 spend)
+const INSIGHT_COLUMNS = [
+  'date', 'campaign', 'spend', 'spend_ex_vat_krw', 'fx_rate', 'impressions', 'clicks', 'conversion', 'conversion_value'
+];
+
+/**
+ * 이상 징후 행
+ * @typedef {Object} Anomaly
+ * @property {string} date - 대상 날짜
+ * @property {string} brand - 브랜드 ID
+ * @property {string} platform - 플랫폼
+ * @property {string} campaign - 채널 (insights 의 campaign)
+ * @property {'spend'|'cpa'|'roas'} metric - 지표
+ * @property {number} value - 대상 날짜 값
+ * @property {number} median_14d - 직전 14일 중앙값
+ * @property {number} score_14d - 직전 14일 기준 수정 z-점수
+ * @property {number} median_28d - 직전 28일 중앙값
+ * @property {number} score_28d - 직전 28일 기준 수정 z-점수
+ * @property {'high'|'low'} direction - 기준선보다 높음/낮음
+ * @property {number} threshold - 적용한 임계값
+ * @property {string} message - 설명
+ * @property {string} detected_at - 탐지 시각 (ISO)
+ */
+
+const formatWon = (value) => `₩${Math.round(value).toLocaleString('ko-KR')}`;
+
+/**
+ * 탐지 설정 결정
+ * @returns {{ threshold: number, minBaselineDays: number }} 탐지 설정
+ */
+const resolveAnomalyConfig = () => {
+  const fromRegistry = loadBrandRegistry().anomaly || {};
+  const config = { ...DEFAULTS, ...fromRegistry };
+
+  if (process.env.ANOMALY_THRESHOLD) config.threshold = Number(process.env.ANOMALY_THRESHOLD);
+  if (process.env.ANOMALY_MIN_BASELINE_DAYS) config.minBaselineDays = Number(process.env.ANOMALY_MIN_BASELINE_DAYS);
+
+  if (!(config.threshold > 0)) {
+    throw new Error(`이상 징후 임계값은 양수여야 합니다: ${config.threshold}`);
+  }
+  if (!Number.isInteger(config.minBaselineDays) || config.minBaselineDays < 1) {
+    throw new Error(`기준선 최소 일수는 1 이상의 정수여야 합니다: ${config.minBaselineDays}`);
+  }
+  return config;
+};
+
+/**
+ * 중앙값
+ * @param {number[]} values - 값 목록 (비어 있지 않음)
+ * @returns {number} 중앙값
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * 기준선 대비 수정 z-점수
+ * @param {number} value - 대상 값
+ * @param {number[]} baseline - 기준선 값 목록
+ * @returns {{ median: number, score: number }|null} 중앙값과 점수 (기준선이 비었거나 척도가 0이면 null)
+ */
+const robustScore = (value, baseline) => {
+  if (baseline.length === 0) return null;
+
+  const center = median(baseline);
+  const mad = median(baseline.map(v => Math.abs(v - center)));
+  const deviation = Math.max(mad / MAD_SCALE, Math.abs(center) * MIN_RELATIVE_DEVIATION);
+  if (deviation === 0) return null;
+
+  return { median: center, score: (value - center) / deviation };
+};
+
+/**
+ * 채널 하나의 날짜별 지표에서 이상 징후 판단
+ * @param {Map<string, import('./report.js').ReportMetrics>} metricsByDate - 날짜 -> 합산 지표
+ * @param {string} date - 대상 날짜
+ * @param {{ threshold: number, minBaselineDays: number }} config - 탐지 설정
+ * @returns {Array<Object>} 이상 지표 (metric, value, 기간별 median·score, direction, message)
+ */
+function findChannelAnomalies(metricsByDate, date, config) {
+  const current = metricsByDate.get(date);
+  if (!current) return [];
+
+  const anomalies = [];
+  for (const definition of METRICS) {
+    const value = definition.value(current);
+    if (value === null) continue;
+
+    const windows = BASELINE_WINDOWS.map(days => {
+      const baseline = [];
+      for (let offset = 1; offset <= days; offset++) {
+        const metrics = metricsByDate.get(addDays(date, -offset));
+        const baselineValue = metrics ? definition.value(metrics) : null;
+        if (baselineValue !== null) baseline.push(baselineValue);
+      }
+      const scored = baseline.length >= config.minBaselineDays ? robustScore(value, baseline) : null;
+      return scored ? { days, ...scored } : null;
+    });
+
+    // 기준선이 부족하거나 두 기간의 판단이 엇갈리면 이상으로 보지 않음
+    if (windows.some(w => w === null)) continue;
+    const flagged = windows.every(w => Math.abs(w.score) >= config.threshold) &&
+      windows.every(w => Math.sign(w.score) === Math.sign(windows[0].score));
+    if (!flagged) continue;
+
+    const reference = windows[windows.length - 1];
+    const change = reference.median !== 0 ? ((value - reference.median) / reference.median) * 100 : null;
+    const anomaly = {
+      metric: definition.metric,
+      value: Number(value.toFixed(4)),
+      direction: windows[0].score > 0 ? 'high' : 'low'
+    };
+    for (const w of windows) {
+      anomaly[`median_${w.days}d`] = Number(w.median.toFixed(4));
+      anomaly[`score_${w.days}d`] = Number(w.score.toFixed(2));
+    }
+    anomaly.message = `${definition.label} ${definition.format(value)} ` +
+      `(${reference.days}일 중앙값 ${definition.format(reference.median)}` +
+      `${change === null ? '' : ` 대비 ${change >= 0 ? '+' : ''}${change.toFixed(1)}%`})`;
+
+    anomalies.push(anomaly);
+  }
+
+  return anomalies;
+}
+
+/**
+ * 브랜드 × 플랫폼 이상 징후 탐지 (insights 채널별, 여러 날짜)
+ * @param {import('./sinks/index.js').Sink} sink - 저장소
+ * @param {Object} params
+ * @param {Object} params.brand - 브랜드 설정
+ * @param {string} params.platform - 플랫폼 (meta | naver | google)
+ * @param {string[]} params.dates - 대상 날짜
+ * @param {{ threshold: number, minBaselineDays: number }} [params.config] - 탐지 설정 (비우면 resolveAnomalyConfig())
+ * @returns {Promise<Anomaly[]>} 이상 징후 행
+ */
+async function detectAnomalies(sink, { brand, platform, dates, config = resolveAnomalyConfig() }) {
+  const table = brand.platforms?.[platform]?.tables?.insights;
+  if (!table || dates.length === 0) return [];
+
+  const sorted = [...dates].sort();
+  const rows = await sink.select(table, {
+    columns: INSIGHT_COLUMNS,
+    gte: { date: addDays(sorted[0], -Math.max(...BASELINE_WINDOWS)) },
+    lte: { date: sorted[sorted.length - 1] }
+  });
+
+  // 채널 -> 날짜 -> 행
+  const byCampaign = new Map();
+  for (const row of rows) {
+    const date = String(row.date).slice(0, 10);
+    if (!byCampaign.has(row.campaign)) byCampaign.set(row.campaign, new Map());
+    const byDate = byCampaign.get(row.campaign);
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push(row);
+  }
+
+  const detectedAt = new Date().toISOString();
+  const anomalies = [];
+  for (const [campaign, rowsByDate] of byCampaign) {
+    const metricsByDate = new Map([...rowsByDate].map(([date, dateRows]) => [date, sumMetrics(dateRows)]));
+
+    for (const date of sorted) {
+      for (const anomaly of findChannelAnomalies(metricsByDate, date, config)) {
+        anomalies.push({
+          date, brand: brand.id, platform, campaign, ...anomaly, threshold: config.threshold, detected_at: detectedAt
+        });
+      }
+    }
+  }
+
+  return anomalies;
+}
+
+/**
+ * 이상 징후 저장 (실패해도 수집 결과에는 영향을 주지 않도록 에러를 로그로만 남김)
+ * 같은 날짜·브랜드·플랫폼의 기존 탐지 결과를 지우고 새 결과로 바꿔, 재수집 후 사라진 이상 징후가 남지 않게 한다.
+ * @param {import('./sinks/index.js').Sink} sink - 저장소
+ * @param {Anomaly[]} anomalies - 이상 징후 행
+ * @param {Object} scope - 탐지 범위
+ * @param {string} scope.brand - 브랜드 ID
+ * @param {string} scope.platform - 플랫폼
+ * @param {string[]} scope.dates - 대상 날짜
+ * @returns {Promise<boolean>} 저장 성공 여부
+ */
+async function saveAnomalies(sink, anomalies, { brand, platform, dates }) {
+  if (dates.length === 0) return true;
+
+  try {
+    await sink.delete(ANOMALY_TABLE, { eq: { brand, platform }, in: { date: dates } });
+    await sink.upsert(ANOMALY_TABLE, anomalies, { onConflict: ANOMALY_KEYS });
+    console.log(`📈 이상 징후 ${anomalies.length}건 저장 (${ANOMALY_TABLE}, ${brand} ${platform})`);
+    return true;
+  } catch (error) {
+    console.error(`⚠️ 이상 징후 저장 실패 (${ANOMALY_TABLE}):`, error.message);
+    return false;
+  }
+}
+
+export {
+  ANOMALY_TABLE,
+  ANOMALY_KEYS,
+  BASELINE_WINDOWS,
+  resolveAnomalyConfig,
+  robustScore,
+  detectAnomalies,
+  saveAnomalies
+};
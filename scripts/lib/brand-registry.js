@@ -0,0 +1,136 @@
+// scripts/lib/brand-registry.js
+// 브랜드 레지스트리 (config/brands.json) 로더
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/** 기본 레지스트리 경로 (BRAND_CONFIG_PATH 환경변수로 변경 가능) */
+const DEFAULT_REGISTRY_PATH = path.resolve(__dirname, '../../config/brands.json');
+
+/** 지원하는 플랫폼 목록 (실행 순서) */
+const PLATFORMS = ['meta', 'naver', 'google'];
+
+let cachedRegistry = null;
+
+/**
+ * 브랜드 레지스트리 로드
+ * @param {string} [registryPath] - 레지스트리 파일 경로
+ * @returns {{ sharedEnv: string[], brands: Object[] }} 레지스트리
+ */
+const loadBrandRegistry = (registryPath = process.env.BRAND_CONFIG_PATH || DEFAULT_REGISTRY_PATH) => {
+  if (cachedRegistry && cachedRegistry.path === registryPath) {
+    return cachedRegistry.registry;
+  }
+
+  const registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+
+  if (!Array.isArray(registry.brands) || registry.brands.length === 0) {
+    throw new Error(`브랜드 레지스트리에 brands 항목이 없습니다: ${registryPath}`);
+  }
+
+  for (const brand of registry.brands) {
+    if (!brand.id) {
+      throw new Error(`브랜드 id가 없는 항목이 있습니다: ${registryPath}`);
+    }
+    for (const [platform, platformConfig] of Object.entries(brand.platforms || {})) {
+      if (!PLATFORMS.includes(platform)) {
+        throw new Error(`${brand.id}: 지원하지 않는 플랫폼입니다 (${platform})`);
+      }
+      if (!platformConfig?.tables?.insights) {
+        throw new Error(`${brand.id}.${platform}: tables.insights 설정이 없습니다`);
+      }
+    }
+  }
+
+  registry.sharedEnv = registry.sharedEnv || [];
+  cachedRegistry = { path: registryPath, registry };
+  return registry;
+};
+
+/**
+ * 브랜드 목록 조회
+ * @param {string[]} [brandIds] - 조회할 브랜드 ID (비우면 전체)
+ * @returns {Object[]} 브랜드 설정 목록
+ */
+const getBrands = (brandIds = []) => {
+  const { brands } = loadBrandRegistry();
+  if (!brandIds || brandIds.length === 0) return brands;
+
+  return brandIds.map(id => getBrand(id));
+};
+
+/**
+ * 브랜드 단건 조회
+ * @param {string} [brandId] - 브랜드 ID (비우면 첫 번째 브랜드)
+ * @returns {Object} 브랜드 설정
+ */
+const getBrand = (brandId) => {
+  const { brands } = loadBrandRegistry();
+  if (!brandId) return brands[0];
+
+  const brand = brands.find(b => b.id === brandId);
+  if (!brand) {
+    throw new Error(`등록되지 않은 브랜드입니다: ${brandId} (가능: ${brands.map(b => b.id).join(', ')})`);
+  }
+  return brand;
+};
+
+/**
+ * 브랜드의 플랫폼 설정 조회
+ * @param {Object} brand - 브랜드 설정
+ * @param {string} platform - 플랫폼 (meta | naver | google)
+ * @returns {Object} 플랫폼 설정
+ */
+const getPlatformConfig = (brand, platform) => {
+  const platformConfig = brand.platforms?.[platform];
+  if (!platformConfig) {
+    throw new Error(`${brand.id} 브랜드에 ${platform} 설정이 없습니다`);
+  }
+  return platformConfig;
+};
+
+/**
+ * 브랜드 접두사가 적용된 환경변수 읽기
+ * sharedEnv에 등록된 이름은 접두사 변수가 없으면 공통 변수로 대체한다.
+ * @param {Object} brand - 브랜드 설정
+ * @param {string} name - 접두사를 제외한 환경변수 이름
+ * @returns {string|undefined} 환경변수 값
+ */
+const readBrandEnv = (brand, name) => {
+  const prefix = brand.envPrefix || '';
+  const value = process.env[`${prefix}${name}`];
+  if (value) return value;
+
+  const { sharedEnv } = loadBrandRegistry();
+  return sharedEnv.includes(name) ? process.env[name] : value;
+};
+
+/**
+ * 로그/요약용 브랜드 환경변수 이름
+ * @param {Object} brand - 브랜드 설정
+ * @param {string} name - 접두사를 제외한 환경변수 이름
+ * @returns {string} 접두사가 붙은 환경변수 이름
+ */
+const brandEnvName = (brand, name) => `${brand.envPrefix || ''}${name}`;
+
+/**
+ * 플랫폼 표시 이름 (예: 'DOK 네이버')
+ * @param {Object} brand - 브랜드 설정
+ * @param {string} platformName - 플랫폼 이름
+ * @returns {string} 표시 이름
+ */
+const brandLabel = (brand, platformName) => `${brand.labelPrefix || ''}${platformName}`;
+
+export {
+  PLATFORMS,
+  loadBrandRegistry,
+  getBrands,
+  getBrand,
+  getPlatformConfig,
+  readBrandEnv,
+  brandEnvName,
+  brandLabel
+};
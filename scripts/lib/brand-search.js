@@ -0,0 +1,119 @@
+// scripts/lib/brand-search.js
+// 네이버 브랜드검색 계약 기반 일 광고비 계산
+//
+// 브랜드검색은 클릭 과금이 아닌 기간 계약이라 StatReport 비용이 0으로 나온다.
+// config/brands.json 의 naver.brandSearchContracts 계약 금액을 계약 일수로 나눠 하루 광고비로 배분한다.
+//
+//   { "start": "2025-08-01", "end": "2025-08-31", "price": 1400000, "vatIncluded": false, "memo": "8월 PC+모바일" }
+//   { "end": "2025-07-31", "dailySpend": 51333, "memo": "계약 내역이 없는 기간의 고정 일비" }
+//
+// - start, end: 계약 기간 (양 끝 포함)
+// - price: 계약 총액 (원) - start, end 모두 필요
+// - dailySpend: 하루 광고비 (원) - price 대신 사용, start/end를 비우면 그쪽으로 기간 제한 없음
+// - vatIncluded: 금액이 VAT 포함인지 (기본 true, false면 VAT를 더해 배분)
+// 계약 기간 밖의 날짜는 0원(수집·재계산 시 경고), 기간이 겹치는 계약은 합산한다.
+
+import { isValidDate } from './dates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 계약 일수 (시작·종료일 포함)
+ * @param {{ start: string, end: string }} contract - 계약
+ * @returns {number} 일수
+ */
+const contractDays = ({ start, end }) => (
+  Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS) + 1
+);
+
+/**
+ * 브랜드검색 계약
+ * @typedef {Object} BrandSearchContract
+ * @property {string} [start] - 시작일 (dailySpend 계약은 생략 가능)
+ * @property {string} [end] - 종료일 (dailySpend 계약은 생략 가능)
+ * @property {number} [price] - 계약 총액
+ * @property {number} [dailySpend] - 하루 광고비
+ * @property {boolean} vatIncluded - 금액이 VAT 포함인지
+ * @property {string} [memo] - 메모
+ */
+
+/**
+ * 브랜드 네이버 설정의 브랜드검색 계약 목록 검증
+ * @param {Object} naverConfig - config/brands.json 의 platforms.naver
+ * @param {string} brandId - 브랜드 ID (에러 메시지용)
+ * @returns {BrandSearchContract[]} 계약 목록
+ */
+const resolveBrandSearchContracts = (naverConfig, brandId) => {
+  const contracts = naverConfig?.brandSearchContracts || [];
+  if (!Array.isArray(contracts)) {
+    throw new Error(`${brandId}.naver: brandSearchContracts는 배열이어야 합니다`);
+  }
+
+  return contracts.map((contract, index) => {
+    const where = `${brandId}.naver.brandSearchContracts[${index}]`;
+    const isDaily = contract?.dailySpend !== undefined;
+    const isValidBound = (value) => (isDaily && value === undefined) || isValidDate(value);
+
+    if (!isValidBound(contract?.start) || !isValidBound(contract?.end)) {
+      throw new Error(`${where}: start, end는 YYYY-MM-DD 형식이어야 합니다`);
+    }
+    if (contract.start && contract.end && contract.start > contract.end) {
+      throw new Error(`${where}: 시작일이 종료일보다 늦습니다 (${contract.start} > ${contract.end})`);
+    }
+    if (isDaily) {
+      if (contract.price !== undefined) {
+        throw new Error(`${where}: price와 dailySpend는 함께 쓸 수 없습니다`);
+      }
+      if (typeof contract.dailySpend !== 'number' || !(contract.dailySpend >= 0)) {
+        throw new Error(`${where}: dailySpend는 0 이상의 숫자여야 합니다`);
+      }
+    } else if (typeof contract.price !== 'number' || !(contract.price >= 0)) {
+      throw new Error(`${where}: price는 0 이상의 숫자여야 합니다`);
+    }
+
+    return { ...contract, vatIncluded: contract.vatIncluded !== false };
+  });
+};
+
+/**
+ * 해당 날짜에 적용되는 계약
+ * @param {BrandSearchContract[]} contracts - 계약 목록
+ * @param {string} date - 날짜 (YYYY-MM-DD)
+ * @returns {BrandSearchContract[]} 기간에 날짜가 포함된 계약
+ */
+const findActiveContracts = (contracts, date) => contracts.filter(contract =>
+  (!contract.start || contract.start <= date) && (!contract.end || date <= contract.end)
+);
+
+/**
+ * 해당 날짜의 브랜드검색 광고비 (VAT 포함, 계약 기간 밖이면 0)
+ * @param {BrandSearchContract[]} contracts - 계약 목록
+ * @param {string} date - 날짜 (YYYY-MM-DD)
+ * @param {number} vatRate - VAT 배율 (예: 1.1)
+ * @returns {number} 하루 광고비
+ */
+const getBrandSearchDailySpend = (contracts, date, vatRate) => findActiveContracts(contracts, date)
+  .reduce((sum, contract) => {
+    const withVat = (amount) => (contract.vatIncluded ? amount : amount * vatRate);
+    return sum + (contract.dailySpend !== undefined
+      ? withVat(contract.dailySpend)
+      : withVat(contract.price) / contractDays(contract));
+  }, 0);
+
+/**
+ * 계약이 없는 날짜 경고 문구 (계약이 있으면 null)
+ * @param {BrandSearchContract[]} contracts - 계약 목록
+ * @param {string} date - 날짜 (YYYY-MM-DD)
+ * @returns {string|null} 경고 문구
+ */
+const uncoveredContractMessage = (contracts, date) => (findActiveContracts(contracts, date).length === 0
+  ? `${date} 브랜드검색 계약 없음 - 광고비 0원 (config/brands.json 의 naver.brandSearchContracts 확인)`
+  : null);
+
+export {
+  contractDays,
+  resolveBrandSearchContracts,
+  findActiveContracts,
+  getBrandSearchDailySpend,
+  uncoveredContractMessage
+};
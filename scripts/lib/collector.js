@@ -0,0 +1,154 @@
+// scripts/lib/collector.js
+// 플랫폼 어댑터 실행기 (날짜별 수집 → 저장)
+
+import { createSink } from './sinks/index.js';
+import { diffRows, selectStoredRows, printDiff } from './diff.js';
+import { getPlatformCurrency, normalizeSpend } from './currency.js';
+import { validateRows, guardZeroOverwrite, printViolations } from './validation.js';
+import { spendExVatKrw } from './report.js';
+
+/**
+ * 어댑터가 만들어내는 데이터셋 정의
+ * @typedef {Object} DatasetSpec
+ * @property {string} table - 저장 테이블
+ * @property {string[]} onConflict - upsert 키 컬럼
+ * @property {boolean} [updatedAt] - 저장 시 updated_at 컬럼 기록 여부
+ * @property {boolean} [clickBasedConversions] - 검색 광고처럼 전환이 클릭에서만 나오는 데이터 (전환 ≤ 클릭 검증)
+ */
+
+/**
+ * 플랫폼 어댑터 공통 계약
+ * - init(): 날짜와 무관한 1회 준비 작업 (인증, 캠페인 목록 등)
+ * - fetch(date): 해당 날짜의 정규화된 행을 데이터셋 이름별로 반환
+ *   (datasets에 처음 선언한 데이터셋이 대표 데이터셋, 보통 insights)
+ *   수집 중 발견한 문제(잘린 리포트 행 등)는 violations 키로 함께 돌려주면 검증 결과에 포함된다.
+ * @typedef {Object} PlatformAdapter
+ * @property {string} platform - 플랫폼 (meta | naver | google)
+ * @property {Object} brand - 브랜드 설정
+ * @property {string} label - 로그 표시 이름 (예: 'DOK 네이버')
+ * @property {Object<string, DatasetSpec>} datasets - 데이터셋 이름 → 저장 설정
+ * @property {boolean} [spendIncludesVat] - spend가 VAT 포함 금액인지 (네이버 true, 기본 false)
+ * @property {() => Promise<void>} [init] - 1회 준비 작업
+ * @property {(date: string) => Promise<Object<string, Object[]>>} fetch - 날짜별 수집
+ */
+
+// 행 목록의 원화 VAT 별도 광고비 합계 (리포트와 같은 기준, 광고비 컬럼이 없으면 0)
+const sumSpend = (rows) => rows.reduce((sum, row) => sum + spendExVatKrw(row), 0);
+
+/**
+ * 어댑터로 날짜별 데이터를 수집하고 저장
+ * @param {PlatformAdapter} adapter - 플랫폼 어댑터
+ * @param {string[]} dates - 수집할 날짜 목록
+ * @param {Object} [options]
+ * @param {import('./sinks/index.js').Sink} [options.sink] - 저장소 (비우면 설정에 따라 생성 후 종료 시 닫음)
+ * @param {boolean} [options.dryRun] - true면 저장하지 않고 저장된 행과의 차이만 출력
+ * @returns {Promise<Array<{date: string, rows: number, spend: number, violations: Object[]}>>} 날짜별 대표 데이터셋 저장 건수와 광고비 합계(원화, VAT 별도), 검증 위반
+ */
+async function runAdapter(adapter, dates, { sink, dryRun = false } = {}) {
+  const target = sink || await createSink();
+  const [primaryDataset] = Object.keys(adapter.datasets);
+  const currency = getPlatformCurrency(adapter.brand, adapter.platform);
+  const summary = [];
+
+  console.log(`\n📅 ${adapter.label} 데이터 수집 시작 (총 ${dates.length}개 날짜)${dryRun ? ' [dry-run]' : ''}`);
+
+  try {
+    if (adapter.init) {
+      await adapter.init();
+    }
+
+    for (const date of dates) {
+      console.log(`\n📅 처리 날짜: ${date}`);
+
+      const datasets = await adapter.fetch(date);
+      const violations = (datasets.violations || []).map(v => ({ date, ...v }));
+      let primaryRows = [];
+      printViolations(adapter.label, violations);
+
+      for (const [name, spec] of Object.entries(adapter.datasets)) {
+        // 통화·VAT 기준을 맞춘 원화 광고비 컬럼 추가
+        const fetchedRows = normalizeSpend(datasets[name] || [], {
+          currency,
+          vatIncluded: Boolean(adapter.spendIncludesVat),
+          date
+        });
+        console.log(`📝 처리된 ${adapter.label} ${name} 데이터 (${fetchedRows.length}건):`, fetchedRows);
+
+        if (fetchedRows.length === 0) {
+          console.log(`⚠️ 저장할 ${adapter.label} ${name} 데이터가 없습니다.`);
+          // 대표 데이터셋이 비면 인증·계정 문제로 빈 응답을 받은 것일 수 있어 경고로 남김
+          if (name === primaryDataset) {
+            const empty = {
+              level: 'warning', rule: 'empty_response', table: spec.table, key: date,
+              message: `${adapter.label} ${name} 응답에 데이터가 없습니다.`
+            };
+            printViolations(`${adapter.label} ${name}`, [empty]);
+            violations.push({ date, dataset: name, ...empty });
+          }
+          continue;
+        }
+
+        // 검증: 규칙 위반(error) 행과 저장된 실적을 0으로 덮어쓰는 행은 제외
+        const validated = validateRows(fetchedRows, spec);
+        const guarded = await guardZeroOverwrite(target, validated.rows, spec);
+        const datasetViolations = [...validated.violations, ...guarded.violations];
+        const rows = guarded.rows;
+
+        printViolations(`${adapter.label} ${name}`, datasetViolations);
+        violations.push(...datasetViolations.map(v => ({ date, dataset: name, ...v })));
+        if (name === primaryDataset) primaryRows = rows;
+
+        if (rows.length === 0) {
+          console.log(`⚠️ 검증을 통과한 ${adapter.label} ${name} 데이터가 없습니다.`);
+          continue;
+        }
+
+        if (dryRun) {
+          await printStoredDiff(target, adapter, name, spec, rows);
+          continue;
+        }
+
+        if (spec.updatedAt) {
+          const now = new Date().toISOString();
+          rows.forEach(row => {
+            row.updated_at = now;
+          });
+        }
+
+        console.log(`💾 ${target.description} ${spec.table}에 데이터 저장 중...`);
+        await target.upsert(spec.table, rows, { onConflict: spec.onConflict });
+
+        console.log(`✅ ${date} ${adapter.label} ${name} 데이터 ${rows.length}건 upsert 완료`);
+      }
+
+      summary.push({ date, rows: primaryRows.length, spend: sumSpend(primaryRows), violations });
+    }
+  } finally {
+    if (!sink) {
+      await target.close();
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * dry-run: 저장된 행과 비교해 차이 출력 (upsert 하지 않음)
+ * @param {import('./sinks/index.js').Sink} sink - 저장소
+ * @param {PlatformAdapter} adapter - 플랫폼 어댑터
+ * @param {string} name - 데이터셋 이름
+ * @param {DatasetSpec} spec - 데이터셋 저장 설정
+ * @param {Object[]} rows - 수집한 행
+ */
+async function printStoredDiff(sink, adapter, name, spec, rows) {
+  let storedRows = [];
+  try {
+    storedRows = await selectStoredRows(sink, spec.table, rows, spec.onConflict);
+  } catch (error) {
+    console.error(`⚠️ ${spec.table} 기존 데이터 조회 실패 - 모두 신규로 표시합니다:`, error.message);
+  }
+
+  printDiff(`${adapter.label} ${name} → ${spec.table}`, diffRows(rows, storedRows, spec.onConflict), spec.onConflict);
+}
+
+export { runAdapter };
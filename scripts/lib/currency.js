@@ -0,0 +1,114 @@
+// scripts/lib/currency.js
+// 광고비 통화·VAT 정규화 (원화 환산, VAT 포함/별도 컬럼)
+//
+// 플랫폼마다 spend 기준이 달라 채널 간 비교가 어긋난다.
+//   - Meta, Google: 광고 계정 통화, VAT 별도
+//   - 네이버: 원화, VAT 포함 (리포트 비용 × 1.1, 브랜드검색 계약 금액)
+// spend는 플랫폼 원래 값 그대로 두고, 아래 컬럼을 모든 행에 함께 기록한다.
+//   currency           spend의 통화 (config/brands.json 의 platforms.<플랫폼>.currency, 기본 KRW)
+//   fx_rate            1 currency = fx_rate 원
+//   spend_ex_vat_krw   원화, VAT 별도
+//   spend_inc_vat_krw  원화, VAT 포함
+//
+// 환율표: config/fx-rates.json (FX_RATES_PATH 환경변수로 변경 가능)
+//   { "rates": { "USD": [{ "from": "2025-01-01", "rate": 1380 }] } }
+//   날짜별로 from이 해당 날짜 이전인 것 중 가장 최근 환율을 사용한다.
+//   KRW가 아닌 통화를 설정하기 전에 환율을 넣어야 한다 (없으면 수집 실패).
+//
+// Postgres/Supabase 컬럼 추가: migrations/002_currency_columns.sql (migrations/README.md 참고)
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isValidDate } from './dates.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/** 기본 환율표 경로 */
+const DEFAULT_FX_RATES_PATH = path.resolve(__dirname, '../../config/fx-rates.json');
+
+/** 기준 통화 */
+const BASE_CURRENCY = 'KRW';
+
+/** 부가가치세 배율 (10%) */
+const VAT_RATE = 1.1;
+
+let cachedRates = null;
+
+/**
+ * 환율표 로드 (통화별 적용 시작일 오름차순 정렬)
+ * @param {string} [ratesPath] - 환율표 파일 경로
+ * @returns {Object<string, Array<{ from: string, rate: number }>>} 통화 -> 환율 목록
+ */
+const loadFxRates = (ratesPath = process.env.FX_RATES_PATH || DEFAULT_FX_RATES_PATH) => {
+  if (cachedRates && cachedRates.path === ratesPath) {
+    return cachedRates.rates;
+  }
+
+  const { rates = {} } = JSON.parse(fs.readFileSync(ratesPath, 'utf8'));
+
+  for (const [currency, entries] of Object.entries(rates)) {
+    if (!Array.isArray(entries) || entries.some(entry => !isValidDate(entry?.from) || !(entry?.rate > 0))) {
+      throw new Error(`환율표 ${currency}: { from: YYYY-MM-DD, rate: 양수 } 목록이어야 합니다 (${ratesPath})`);
+    }
+    entries.sort((a, b) => a.from.localeCompare(b.from));
+  }
+
+  cachedRates = { path: ratesPath, rates };
+  return rates;
+};
+
+/**
+ * 해당 날짜의 원화 환율
+ * @param {string} currency - 통화 코드 (예: USD)
+ * @param {string} date - 날짜 (YYYY-MM-DD)
+ * @returns {number} 1 currency 당 원화
+ */
+const getFxRate = (currency, date) => {
+  if (currency === BASE_CURRENCY) return 1;
+
+  const entries = loadFxRates()[currency] || [];
+  const entry = entries.filter(candidate => candidate.from <= date).pop();
+  if (!entry) {
+    throw new Error(`${currency} 환율이 없습니다 (${date}) - config/fx-rates.json 에 추가해 주세요`);
+  }
+  return entry.rate;
+};
+
+/**
+ * 브랜드 플랫폼의 광고비 통화
+ * @param {Object} brand - 브랜드 설정
+ * @param {string} platform - 플랫폼 (meta | naver | google)
+ * @returns {string} 통화 코드
+ */
+const getPlatformCurrency = (brand, platform) => brand.platforms?.[platform]?.currency || BASE_CURRENCY;
+
+/**
+ * 행에 통화·환율·원화 VAT 별도/포함 광고비 컬럼 추가 (spend가 없는 행은 그대로)
+ * @param {Object[]} rows - 저장할 행
+ * @param {Object} basis - spend 기준
+ * @param {string} basis.currency - spend 통화
+ * @param {boolean} basis.vatIncluded - spend가 VAT 포함 금액인지
+ * @param {string} basis.date - 환율 기준 날짜
+ * @returns {Object[]} 컬럼이 추가된 행
+ */
+const normalizeSpend = (rows, { currency, vatIncluded, date }) => {
+  const fxRate = getFxRate(currency, date);
+
+  return rows.map(row => {
+    if (row.spend === undefined || row.spend === null) return row;
+
+    const spendKrw = (Number(row.spend) || 0) * fxRate;
+    const exVat = vatIncluded ? spendKrw / VAT_RATE : spendKrw;
+
+    return {
+      ...row,
+      currency,
+      fx_rate: fxRate,
+      spend_ex_vat_krw: Number(exVat.toFixed(2)),
+      spend_inc_vat_krw: Number((exVat * VAT_RATE).toFixed(2))
+    };
+  });
+};
+
+export { BASE_CURRENCY, VAT_RATE, loadFxRates, getFxRate, getPlatformCurrency, normalizeSpend };
@@ -0,0 +1,89 @@
+// scripts/lib/dates.js
+// 수집 대상 날짜 계산 유틸리티
+
+const KST_OFFSET = 9 * 60 * 60 * 1000; // UTC+9
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * YYYY-MM-DD 형식의 실제 날짜인지 확인
+ * @param {string} value - 날짜 문자열
+ * @returns {boolean} 유효 여부
+ */
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * KST 어제 날짜 계산
+ * @returns {string} YYYY-MM-DD 형식의 어제 날짜
+ */
+const getKSTYesterday = () => {
+  const kstNow = new Date(Date.now() + KST_OFFSET);
+  const kstYesterday = new Date(kstNow.getTime() - DAY_MS);
+  return kstYesterday.toISOString().slice(0, 10);
+};
+
+/**
+ * 환경변수에서 TARGET_DATE 읽기 (수동 실행 지원)
+ * @returns {string|null} YYYY-MM-DD 또는 null
+ */
+const getTargetDate = () => {
+  const envDate = process.env.TARGET_DATE;
+  return isValidDate(envDate) ? envDate : null;
+};
+
+/**
+ * 날짜에 일수 더하기
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - 더할 일수 (음수 가능)
+ * @returns {string} YYYY-MM-DD
+ */
+const addDays = (date, days) => {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return new Date(parsed.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * 시작~종료일(포함) 날짜 목록 생성
+ * @param {string} from - 시작일 (YYYY-MM-DD)
+ * @param {string} to - 종료일 (YYYY-MM-DD)
+ * @returns {string[]} 날짜 목록
+ */
+const dateRange = (from, to) => {
+  if (!isValidDate(from) || !isValidDate(to)) {
+    throw new Error(`날짜 형식이 올바르지 않습니다 (YYYY-MM-DD): ${from} ~ ${to}`);
+  }
+  if (from > to) {
+    throw new Error(`시작일이 종료일보다 늦습니다: ${from} > ${to}`);
+  }
+
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * 실행할 날짜 목록 결정
+ * 우선순위: 명시적 dates 인자 > TARGET_DATE 환경변수 > 어제 날짜
+ * @param {string[]} [dates] - 명시적 날짜 목록
+ * @returns {string[]} 실행할 날짜 목록
+ */
+const resolveDates = (dates) => {
+  if (Array.isArray(dates) && dates.length > 0) {
+    const invalid = dates.filter(d => !isValidDate(d));
+    if (invalid.length > 0) {
+      throw new Error(`날짜 형식이 올바르지 않습니다 (YYYY-MM-DD): ${invalid.join(', ')}`);
+    }
+    return dates;
+  }
+
+  const envTargetDate = getTargetDate();
+  return envTargetDate ? [envTargetDate] : [getKSTYesterday()];
+};
+
+export { KST_OFFSET, isValidDate, getKSTYesterday, getTargetDate, addDays, dateRange, resolveDates };
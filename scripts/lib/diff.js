@@ -0,0 +1,107 @@
+// scripts/lib/diff.js
+// 수집 결과와 저장된 행 비교 (dry-run 용)
+
+import { rowKey } from './sinks/query.js';
+
+// 비교에서 제외하는 컬럼 (저장소가 관리하는 값)
+const IGNORED_COLUMNS = ['id', 'created_at', 'updated_at'];
+
+// 부동소수점 비교 허용 오차
+const EPSILON = 1e-6;
+
+/**
+ * 두 값이 같은지 비교 (숫자는 문자열로 저장되어 있어도 숫자로 비교)
+ * @param {*} a - 새 값
+ * @param {*} b - 저장된 값
+ * @returns {boolean} 같으면 true
+ */
+const isSameValue = (a, b) => {
+  if ((a === null || a === undefined) && (b === null || b === undefined)) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+
+  const numA = Number(a);
+  const numB = Number(b);
+  if (typeof a !== 'boolean' && a !== '' && b !== '' && Number.isFinite(numA) && Number.isFinite(numB)) {
+    return Math.abs(numA - numB) <= EPSILON * Math.max(1, Math.abs(numA), Math.abs(numB));
+  }
+
+  if (typeof a === 'object' || typeof b === 'object') {
+    const toJson = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+    return toJson(a) === toJson(b);
+  }
+  return String(a) === String(b);
+};
+
+/**
+ * 새 행과 저장된 행 비교
+ * @param {Object[]} rows - 새로 수집한 행
+ * @param {Object[]} storedRows - 저장소에 있는 행
+ * @param {string[]} onConflict - 키 컬럼
+ * @returns {{ added: Object[], changed: Array<{ row: Object, changes: Array<{ column: string, before: *, after: * }> }>, unchanged: Object[] }} 비교 결과
+ */
+function diffRows(rows, storedRows, onConflict) {
+  const stored = new Map(storedRows.map(row => [rowKey(row, onConflict), row]));
+  const result = { added: [], changed: [], unchanged: [] };
+
+  for (const row of rows) {
+    const before = stored.get(rowKey(row, onConflict));
+    if (!before) {
+      result.added.push(row);
+      continue;
+    }
+
+    const changes = Object.keys(row)
+      .filter(column => !IGNORED_COLUMNS.includes(column))
+      .filter(column => !isSameValue(row[column], before[column]))
+      .map(column => ({ column, before: before[column], after: row[column] }));
+
+    if (changes.length > 0) {
+      result.changed.push({ row, changes });
+    } else {
+      result.unchanged.push(row);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 저장소에서 새 행과 같은 키를 가진 행 조회
+ * @param {import('./sinks/index.js').Sink} sink - 저장소
+ * @param {string} table - 테이블
+ * @param {Object[]} rows - 새로 수집한 행
+ * @param {string[]} onConflict - 키 컬럼
+ * @returns {Promise<Object[]>} 저장된 행
+ */
+async function selectStoredRows(sink, table, rows, onConflict) {
+  const query = { in: {} };
+  for (const column of onConflict) {
+    query.in[column] = [...new Set(rows.map(row => row[column]))];
+  }
+  return sink.select(table, query);
+}
+
+/**
+ * 비교 결과 출력
+ * @param {string} title - 표시 제목 (예: 'DOK 네이버 insights → dok_naver_insights')
+ * @param {ReturnType<typeof diffRows>} diff - 비교 결과
+ * @param {string[]} onConflict - 키 컬럼
+ */
+function printDiff(title, diff, onConflict) {
+  const keyLabel = (row) => onConflict.map(column => row[column]).join(' / ');
+  const formatValue = (value) => (value === null || value === undefined ? '∅' : JSON.stringify(value));
+
+  console.log(`🔍 [dry-run] ${title}: 신규 ${diff.added.length}건 / 변경 ${diff.changed.length}건 / 동일 ${diff.unchanged.length}건`);
+
+  for (const row of diff.added) {
+    console.log(`  + ${keyLabel(row)}`);
+  }
+  for (const { row, changes } of diff.changed) {
+    console.log(`  ~ ${keyLabel(row)}`);
+    for (const { column, before, after } of changes) {
+      console.log(`      ${column}: ${formatValue(before)} → ${formatValue(after)}`);
+    }
+  }
+}
+
+export { diffRows, selectStoredRows, printDiff, isSameValue };
@@ -0,0 +1,252 @@
+// scripts/lib/fixtures.js
+// HTTP 응답 녹화/재생 (오프라인 테스트용)
+//
+// HTTP_FIXTURE_MODE=record  실제 API 응답을 HTTP_FIXTURE_FILE 에 기록
+// HTTP_FIXTURE_MODE=replay  HTTP_FIXTURE_FILE 의 응답을 돌려주고 네트워크는 사용하지 않음
+//
+// 픽스처 파일은 요청/응답 목록(JSON)이며, 같은 요청이 여러 번 기록되면(리포트 상태 폴링 등)
+// 기록된 순서대로 재생하고 마지막 응답을 반복한다.
+// 토큰류 쿼리 파라미터(access_token 등)는 기록 전에 제거한다.
+
+import fs from 'fs';
+import path from 'path';
+import fetch from 'node-fetch';
+
+const FIXTURE_MODES = ['record', 'replay'];
+
+// 기록하지 않고 매칭에서도 무시하는 쿼리 파라미터
+const SECRET_PARAMS = ['access_token', 'appsecret_proof', 'authtoken'];
+
+// 기록할 응답 헤더
+const RECORDED_HEADERS = ['content-type', 'retry-after'];
+
+/**
+ * 픽스처에서 요청을 찾지 못한 경우
+ */
+class FixtureMissingError extends Error {
+  /**
+   * @param {string} message - 에러 메시지
+   * @param {string} key - 매칭 키
+   */
+  constructor(message, key) {
+    super(message);
+    this.name = 'FixtureMissingError';
+    this.key = key;
+  }
+}
+
+// 파일별 기록 중인 요청 목록 / 재생 위치
+const recordings = new Map();
+const replayCursors = new Map();
+
+/**
+ * 녹화/재생 설정
+ * @returns {{ mode: 'record'|'replay'|null, file: string|null }}
+ */
+const resolveFixtureConfig = () => {
+  const mode = process.env.HTTP_FIXTURE_MODE || null;
+  if (mode && !FIXTURE_MODES.includes(mode)) {
+    throw new Error(`지원하지 않는 HTTP_FIXTURE_MODE 입니다: ${mode} (가능: ${FIXTURE_MODES.join(', ')})`);
+  }
+  if (mode && !process.env.HTTP_FIXTURE_FILE) {
+    throw new Error('HTTP_FIXTURE_MODE 사용 시 HTTP_FIXTURE_FILE 이 필요합니다.');
+  }
+  return { mode, file: mode ? process.env.HTTP_FIXTURE_FILE : null };
+};
+
+const isFixtureReplay = () => resolveFixtureConfig().mode === 'replay';
+
+/**
+ * URL에서 토큰류 파라미터 제거 후 파라미터 정렬
+ * @param {string} url - 요청 URL
+ * @returns {string} 정규화된 URL
+ */
+const normalizeUrl = (url) => {
+  const parsed = new URL(url);
+  for (const param of SECRET_PARAMS) {
+    parsed.searchParams.delete(param);
+  }
+  parsed.searchParams.sort();
+  return parsed.toString();
+};
+
+/**
+ * 응답 본문 안의 토큰류 파라미터 값 가리기 (paging.next, downloadUrl 등)
+ * @param {string} text - 응답 본문
+ * @returns {string} 가려진 본문
+ */
+const redactText = (text) => SECRET_PARAMS.reduce(
+  (result, param) => result.replace(new RegExp(`([?&]|\\\\u0026)${param}=[^&"\\\\\\s]*`, 'g'), `$1${param}=REDACTED`),
+  text
+);
+
+/**
+ * 요청 본문 정규화 (JSON은 키 정렬, 문자열 값의 연속 공백은 하나로 - GAQL 줄바꿈 차이 무시)
+ * @param {Object|string|undefined} body - 요청 본문
+ * @returns {string} 정규화된 본문
+ */
+const normalizeBody = (body) => {
+  if (body === undefined || body === null || body === '') return '';
+
+  let value = body;
+  if (typeof body === 'string') {
+    try {
+      value = JSON.parse(body);
+    } catch {
+      return body.replace(/\s+/g, ' ').trim();
+    }
+  }
+
+  const canonical = (v) => {
+    if (Array.isArray(v)) return v.map(canonical);
+    if (v && typeof v === 'object') {
+      return Object.fromEntries(Object.keys(v).sort().map(k => [k, canonical(v[k])]));
+    }
+    return typeof v === 'string' ? v.replace(/\s+/g, ' ').trim() : v;
+  };
+  return JSON.stringify(canonical(value));
+};
+
+/**
+ * 요청 매칭 키
+ * @param {{ method?: string, url: string, body?: * }} request - 요청
+ * @returns {string} 매칭 키
+ */
+const fixtureKey = ({ method = 'GET', url, body }) =>
+  `${method.toUpperCase()} ${normalizeUrl(url)} ${normalizeBody(body)}`;
+
+/**
+ * 픽스처 파일 읽기
+ * @param {string} file - 픽스처 파일 경로
+ * @returns {Object[]} 요청/응답 목록
+ */
+const readFixtureFile = (file) => {
+  if (!fs.existsSync(file)) {
+    throw new Error(`픽스처 파일이 없습니다: ${file}`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+/**
+ * 기록된 응답을 fetch Response 형태로 변환
+ * @param {Object} response - 기록된 응답 ({ status, headers, json | text })
+ * @returns {Object} Response 호환 객체 (ok, status, statusText, headers.get, text)
+ */
+const toResponse = ({ status = 200, statusText = '', headers = {}, json, text }) => {
+  const bodyText = text !== undefined ? text : (json === undefined ? '' : JSON.stringify(json));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText,
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    text: async () => bodyText
+  };
+};
+
+/**
+ * 재생: 픽스처에서 요청에 맞는 응답 찾기
+ * @param {string} file - 픽스처 파일
+ * @param {Object} request - 요청
+ * @returns {Object} Response 호환 객체
+ */
+const replay = (file, request) => {
+  const key = fixtureKey(request);
+  const matches = readFixtureFile(file).filter(entry => fixtureKey(entry.request) === key);
+
+  if (matches.length === 0) {
+    throw new FixtureMissingError(`픽스처에 없는 요청입니다 (${file}): ${key}`, key);
+  }
+
+  const cursorKey = `${path.resolve(file)}\u0000${key}`;
+  const index = replayCursors.get(cursorKey) || 0;
+  replayCursors.set(cursorKey, index + 1);
+
+  return toResponse(matches[Math.min(index, matches.length - 1)].response);
+};
+
+// 기록용 요청 본문 (JSON 문자열은 객체로 저장해 읽기 쉽게)
+const safeJson = (body) => {
+  if (typeof body !== 'string') return body;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+};
+
+/**
+ * 녹화: 실제 요청 후 응답을 픽스처 파일에 추가
+ * 프로세스에서 처음 기록할 때 기존 파일 내용은 새 기록으로 대체된다.
+ * @param {string} file - 픽스처 파일
+ * @param {Object} request - 요청
+ * @param {Object} init - fetch 옵션
+ * @returns {Promise<Object>} Response 호환 객체
+ */
+const record = async (file, request, init) => {
+  const res = await fetch(request.url, init);
+  const text = await res.text();
+
+  const headers = {};
+  for (const name of RECORDED_HEADERS) {
+    const value = res.headers.get(name);
+    if (value !== null) headers[name] = value;
+  }
+
+  const redacted = redactText(text);
+  let body;
+  try {
+    body = { json: JSON.parse(redacted) };
+  } catch {
+    body = { text: redacted };
+  }
+
+  const entries = recordings.get(file) || [];
+  entries.push({
+    request: {
+      method: request.method,
+      url: normalizeUrl(request.url),
+      ...(request.body === undefined ? {} : { body: safeJson(request.body) })
+    },
+    response: { status: res.status, statusText: res.statusText, headers, ...body }
+  });
+  recordings.set(file, entries);
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(entries, null, 2) + '\n');
+
+  return toResponse({ status: res.status, statusText: res.statusText, headers, text });
+};
+
+/**
+ * 녹화/재생 설정에 따른 fetch
+ * 설정이 없으면 node-fetch를 그대로 사용한다.
+ * @param {string} url - 요청 URL
+ * @param {Object} [init] - fetch 옵션 (method, headers, body)
+ * @returns {Promise<Object>} Response 또는 호환 객체
+ */
+async function fixtureFetch(url, init = {}) {
+  const { mode, file } = resolveFixtureConfig();
+  const request = { method: (init.method || 'GET').toUpperCase(), url, body: init.body };
+
+  if (mode === 'replay') return replay(file, request);
+  if (mode === 'record') return record(file, request, init);
+  return fetch(url, init);
+}
+
+/**
+ * 녹화/재생 상태 초기화 (테스트용)
+ */
+const resetFixtures = () => {
+  recordings.clear();
+  replayCursors.clear();
+};
+
+export {
+  FIXTURE_MODES,
+  FixtureMissingError,
+  fixtureFetch,
+  fixtureKey,
+  isFixtureReplay,
+  resetFixtures,
+  resolveFixtureConfig
+};
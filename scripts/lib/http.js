@@ -0,0 +1,268 @@
+// scripts/lib/http.js
+// 공통 HTTP 호출 레이어 (재시도, 지수 백오프 + 지터, Retry-After, 플랫폼별 Rate Limit 분류)
+// HTTP_FIXTURE_MODE 설정 시 응답을 녹화/재생한다 (lib/fixtures.js)
+
+import { fixtureFetch, FixtureMissingError } from './fixtures.js';
+
+/**
+ * 플랫폼별 기본 재시도 설정
+ * maxRetries는 첫 요청을 뺀 재시도 횟수 (0이면 한 번만 요청), maxDelay는 Retry-After 대기에도 적용
+ * 환경변수 HTTP_MAX_RETRIES / HTTP_BASE_DELAY_MS / HTTP_MAX_DELAY_MS 로 전체 덮어쓰기 가능
+ */
+const RETRY_DEFAULTS = {
+  default: { maxRetries: 2, baseDelay: 1000, maxDelay: 60000 },
+  meta: { maxRetries: 2, baseDelay: 30000, maxDelay: 120000 },
+  naver: { maxRetries: 2, baseDelay: 2000, maxDelay: 30000 },
+  google: { maxRetries: 2, baseDelay: 5000, maxDelay: 60000 }
+};
+
+/**
+ * HTTP 요청 실패 에러
+ */
+class HttpError extends Error {
+  /**
+   * @param {string} message - 에러 메시지
+   * @param {Object} details
+   * @param {number} [details.status] - HTTP 상태 코드
+   * @param {string} [details.body] - 응답 본문
+   * @param {*} [details.data] - JSON 파싱된 응답 본문
+   * @param {number} [details.attempts] - 시도 횟수
+   */
+  constructor(message, { status, body, data, attempts } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.body = body;
+    this.data = data;
+    this.attempts = attempts;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const safeJsonParse = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+// ========================================================================================
+// 플랫폼별 에러 분류
+// ========================================================================================
+
+/**
+ * 기본 분류: 429는 Rate Limit, 5xx는 일시적 오류로 재시도
+ * @param {{ status: number, data: * }} response - 실패 응답
+ * @returns {{ retryable: boolean, rateLimit: boolean, message?: string }}
+ */
+const classifyDefaultError = ({ status }) => ({
+  retryable: status === 429 || status >= 500,
+  rateLimit: status === 429
+});
+
+/**
+ * Meta Graph API 분류 (error.code 4, 17, 32, 613 또는 is_transient)
+ */
+const classifyMetaError = ({ status, data }) => {
+  const error = data?.error || {};
+  const rateLimit = [4, 17, 32, 613].includes(error.code);
+  return {
+    retryable: rateLimit || error.is_transient === true || status >= 500,
+    rateLimit,
+    message: error.error_user_msg || error.message
+  };
+};
+
+/**
+ * 네이버 검색광고 API 분류 (429 / code 1016 호출 한도 초과)
+ */
+const classifyNaverError = ({ status, data }) => {
+  const rateLimit = status === 429 || data?.code === 1016;
+  return {
+    retryable: rateLimit || status >= 500,
+    rateLimit,
+    message: data?.title || data?.message
+  };
+};
+
+/**
+ * Google Ads API 분류 (RESOURCE_EXHAUSTED / UNAVAILABLE / DEADLINE_EXCEEDED / INTERNAL)
+ */
+const classifyGoogleError = ({ status, data }) => {
+  const error = Array.isArray(data) ? data[0]?.error : data?.error;
+  const grpcStatus = error?.status;
+  const rateLimit = status === 429 || grpcStatus === 'RESOURCE_EXHAUSTED';
+  return {
+    retryable: rateLimit || ['UNAVAILABLE', 'DEADLINE_EXCEEDED', 'INTERNAL'].includes(grpcStatus) || status >= 500,
+    rateLimit,
+    message: error?.message
+  };
+};
+
+const CLASSIFIERS = {
+  default: classifyDefaultError,
+  meta: classifyMetaError,
+  naver: classifyNaverError,
+  google: classifyGoogleError
+};
+
+// ========================================================================================
+// 재시도 정책
+// ========================================================================================
+
+/**
+ * 플랫폼 재시도 설정 (기본값 + 환경변수 + 호출 옵션)
+ * @param {string} platform - 플랫폼
+ * @param {Object} [overrides] - 호출별 설정
+ * @returns {{ maxRetries: number, baseDelay: number, maxDelay: number }}
+ */
+const resolveRetryPolicy = (platform, overrides = {}) => {
+  const envNumber = (name) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) ? value : undefined;
+  };
+  const fromEnv = {
+    maxRetries: envNumber('HTTP_MAX_RETRIES'),
+    baseDelay: envNumber('HTTP_BASE_DELAY_MS'),
+    maxDelay: envNumber('HTTP_MAX_DELAY_MS')
+  };
+
+  const policy = { ...(RETRY_DEFAULTS[platform] || RETRY_DEFAULTS.default) };
+  for (const source of [fromEnv, overrides]) {
+    for (const [key, value] of Object.entries(source)) {
+      if (value !== undefined) policy[key] = value;
+    }
+  }
+  return policy;
+};
+
+/**
+ * Retry-After 헤더 해석 (초 또는 HTTP-date)
+ * @param {string|null} header - Retry-After 헤더 값
+ * @returns {number|null} 대기 시간(ms)
+ */
+const parseRetryAfter = (header) => {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+};
+
+/**
+ * 지수 백오프 + 지터 대기 시간 계산
+ * 기본 대기 시간의 50~100% 범위에서 무작위로 선택한다.
+ * @param {number} attempt - 시도 번호 (1부터)
+ * @param {{ baseDelay: number, maxDelay: number }} policy - 재시도 설정
+ * @returns {number} 대기 시간(ms)
+ */
+const backoffDelay = (attempt, { baseDelay, maxDelay }) => {
+  const exponential = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+};
+
+// ========================================================================================
+// 요청 함수
+// ========================================================================================
+
+/**
+ * 재시도를 포함한 HTTP 요청
+ * @param {string} url - 요청 URL
+ * @param {Object} [options]
+ * @param {string} [options.method='GET'] - HTTP 메서드
+ * @param {Object|Function} [options.headers] - 헤더 (함수이면 시도마다 새로 생성, 서명 헤더용)
+ * @param {Object|string} [options.body] - 요청 본문 (객체는 JSON 직렬화)
+ * @param {'json'|'text'} [options.responseType='json'] - 응답 형식
+ * @param {string} [options.platform='default'] - 에러 분류/재시도 기본값 플랫폼
+ * @param {string} [options.label] - 로그 표시 이름
+ * @param {Object} [options.retry] - 재시도 설정 덮어쓰기
+ * @returns {Promise<*>} 응답 본문
+ */
+async function httpRequest(url, {
+  method = 'GET',
+  headers = {},
+  body,
+  responseType = 'json',
+  platform = 'default',
+  label = 'HTTP',
+  retry
+} = {}) {
+  const policy = resolveRetryPolicy(platform, retry);
+  const classify = CLASSIFIERS[platform] || CLASSIFIERS.default;
+  const payload = body === undefined || typeof body === 'string' ? body : JSON.stringify(body);
+  const maxAttempts = Math.max(0, policy.maxRetries) + 1;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let res;
+    try {
+      res = await fixtureFetch(url, {
+        method,
+        headers: typeof headers === 'function' ? headers() : headers,
+        body: payload
+      });
+    } catch (networkError) {
+      if (networkError instanceof FixtureMissingError) throw networkError;
+      if (attempt >= maxAttempts) {
+        throw new HttpError(`${label} 네트워크 에러: ${networkError.message}`, { attempts: attempt });
+      }
+      const waitTime = backoffDelay(attempt, policy);
+      console.log(`⚠️ ${label} 네트워크 에러 (시도 ${attempt}/${maxAttempts}): ${(waitTime / 1000).toFixed(1)}초 후 재시도...`);
+      await sleep(waitTime);
+      continue;
+    }
+
+    const text = await res.text();
+
+    if (res.ok) {
+      if (attempt > 1) {
+        console.log(`✅ ${label} 재시도 ${attempt}번째 성공!`);
+      }
+      if (responseType === 'text') return text;
+      return text ? JSON.parse(text) : null;
+    }
+
+    const data = safeJsonParse(text);
+    const { retryable, rateLimit, message } = classify({ status: res.status, data });
+
+    if (retryable && attempt < maxAttempts) {
+      // Retry-After가 지나치게 크거나 잘못된 값이어도 maxDelay 이상 기다리지 않음
+      const retryAfter = parseRetryAfter(res.headers.get('retry-after'));
+      const waitTime = retryAfter === null ? backoffDelay(attempt, policy) : Math.min(policy.maxDelay, retryAfter);
+      const reason = rateLimit ? 'Rate Limit' : `일시적 오류 ${res.status}`;
+      console.log(`⚠️ ${label} ${reason} (시도 ${attempt}/${maxAttempts}): ${(waitTime / 1000).toFixed(1)}초 대기 후 재시도...`);
+      if (message) {
+        console.log(`📄 에러 내용: ${message}`);
+      }
+      await sleep(waitTime);
+      continue;
+    }
+
+    // 재시도 불가능한 에러 또는 최대 시도 횟수 초과
+    console.error(`❌ ${label} 에러:`, res.status, res.statusText);
+    console.error('응답 내용:', text);
+    throw new HttpError(`${label} 에러: ${res.status} ${res.statusText}${message ? ` - ${message}` : ''}`, {
+      status: res.status,
+      body: text,
+      data,
+      attempts: attempt
+    });
+  }
+
+  throw new HttpError(`${label} 요청 실패`, { attempts: maxAttempts });
+}
+
+export {
+  HttpError,
+  RETRY_DEFAULTS,
+  httpRequest,
+  resolveRetryPolicy,
+  parseRetryAfter,
+  backoffDelay,
+  classifyMetaError,
+  classifyNaverError,
+  classifyGoogleError
+};
@@ -0,0 +1,151 @@
+// scripts/lib/mailer.js
+// 일일 리포트 메일 발송 (SMTP)
+//
+// SMTP 설정 (환경변수)
+//   SMTP_HOST, SMTP_PORT(기본 587), SMTP_SECURE(465 포트면 기본 true), SMTP_USER, SMTP_PASS
+//   MAIL_FROM  보내는 사람 (기본: SMTP_USER)
+//
+// 수신자: config/brands.json 의 브랜드별 report.recipients
+//   환경변수 REPORT_RECIPIENTS (브랜드 접두사 적용, 예: DOK_REPORT_RECIPIENTS, 쉼표 구분)가 있으면 우선
+
+import nodemailer from 'nodemailer';
+import { PLATFORMS, getBrands, readBrandEnv } from './brand-registry.js';
+import { buildDailyReport, renderHtml, renderMarkdown } from './report.js';
+import { toCsv } from './sinks/file.js';
+
+const isTruthy = (value) => ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+
+/**
+ * SMTP 설정 결정
+ * @returns {{ host: string, port: number, secure: boolean, auth?: { user: string, pass: string }, from: string }} SMTP 설정
+ */
+const resolveSmtpConfig = () => {
+  const host = process.env.SMTP_HOST;
+  if (!host) {
+    throw new Error('SMTP_HOST 환경변수가 설정되지 않았습니다.');
+  }
+
+  const port = Number(process.env.SMTP_PORT || 587);
+  const secure = process.env.SMTP_SECURE !== undefined ? isTruthy(process.env.SMTP_SECURE) : port === 465;
+  const user = process.env.SMTP_USER;
+  const from = process.env.MAIL_FROM || user;
+
+  if (!from) {
+    throw new Error('MAIL_FROM 또는 SMTP_USER 환경변수가 필요합니다.');
+  }
+
+  return {
+    host,
+    port,
+    secure,
+    ...(user ? { auth: { user, pass: process.env.SMTP_PASS } } : {}),
+    from
+  };
+};
+
+/**
+ * 브랜드 리포트 수신자 목록
+ * @param {Object} brand - 브랜드 설정
+ * @returns {string[]} 수신자 주소
+ */
+const getRecipients = (brand) => {
+  const fromEnv = readBrandEnv(brand, 'REPORT_RECIPIENTS');
+  const recipients = fromEnv ? fromEnv.split(',') : (brand.report?.recipients || []);
+  return recipients.map(address => address.trim()).filter(Boolean);
+};
+
+/**
+ * 브랜드의 해당 날짜 insights 행 (CSV 첨부용, 플랫폼 컬럼 추가)
+ * @param {import('./sinks/index.js').Sink} sink - 저장소
+ * @param {Object} brand - 브랜드 설정
+ * @param {string} date - 날짜 (YYYY-MM-DD)
+ * @returns {Promise<Object[]>} 행 목록
+ */
+const selectInsightsRows = async (sink, brand, date) => {
+  const rows = [];
+  for (const platform of PLATFORMS) {
+    const table = brand.platforms?.[platform]?.tables?.insights;
+    if (!table) continue;
+
+    const platformRows = await sink.select(table, { eq: { date } });
+    rows.push(...platformRows.map(row => ({ platform, ...row })));
+  }
+  return rows;
+};
+
+/**
+ * 브랜드 리포트 메일 생성
+ * @param {import('./sinks/index.js').Sink} sink - 저장소
+ * @param {Object} brand - 브랜드 설정
+ * @param {string} date - 리포트 날짜
+ * @returns {Promise<{ subject: string, html: string, text: string, attachments: Object[] }>} 메일 내용
+ */
+async function buildReportMail(sink, brand, date) {
+  const report = await buildDailyReport(sink, date, { brandIds: [brand.id] });
+  const rows = await selectInsightsRows(sink, brand, date);
+
+  return {
+    subject: `[${brand.name || brand.id}] 광고 일일 리포트 (${date})`,
+    html: renderHtml(report),
+    text: renderMarkdown(report),
+    attachments: [{
+      filename: `ad-insights-${brand.id}-${date}.csv`,
+      // 엑셀에서 한글이 깨지지 않도록 BOM 추가
+      content: `\uFEFF${toCsv(rows)}`,
+      contentType: 'text/csv; charset=utf-8'
+    }]
+  };
+}
+
+/**
+ * 브랜드별 일일 리포트 메일 발송
+ * 브랜드 하나의 발송 실패가 다른 브랜드 발송을 막지 않도록 결과로 반환한다.
+ * @param {Object} params
+ * @param {import('./sinks/index.js').Sink} params.sink - 저장소
+ * @param {string} params.date - 리포트 날짜
+ * @param {string[]} [params.brandIds] - 브랜드 ID 목록 (비우면 전체)
+ * @param {Object} [params.smtp] - SMTP 설정 (비우면 resolveSmtpConfig())
+ * @returns {Promise<Array<{ brand: string, status: 'sent'|'skipped'|'failed', recipients: string[], error: string|null }>>} 브랜드별 결과
+ */
+async function sendDailyReports({ sink, date, brandIds = [], smtp }) {
+  const targets = getBrands(brandIds).map(brand => ({ brand, recipients: getRecipients(brand) }));
+  const skip = ({ brand, recipients }) => {
+    console.log(`⏭️ ${brand.name || brand.id}: 리포트 수신자가 없어 발송 생략`);
+    return { brand: brand.id, status: 'skipped', recipients, error: null };
+  };
+
+  // 수신자가 있는 브랜드가 없으면 SMTP 설정 없이 종료 (SMTP를 설정하지 않은 환경)
+  if (targets.every(t => t.recipients.length === 0)) {
+    return targets.map(skip);
+  }
+
+  const config = smtp || resolveSmtpConfig();
+  const { from, ...transportOptions } = config;
+  const transporter = nodemailer.createTransport(transportOptions);
+  const results = [];
+
+  try {
+    for (const { brand, recipients } of targets) {
+      if (recipients.length === 0) {
+        results.push(skip({ brand, recipients }));
+        continue;
+      }
+
+      try {
+        const mail = await buildReportMail(sink, brand, date);
+        await transporter.sendMail({ from, to: recipients, ...mail });
+        console.log(`📧 ${brand.name || brand.id}: ${date} 리포트 발송 완료 (${recipients.length}명)`);
+        results.push({ brand: brand.id, status: 'sent', recipients, error: null });
+      } catch (error) {
+        console.error(`❌ ${brand.name || brand.id}: 리포트 발송 실패 -`, error.message);
+        results.push({ brand: brand.id, status: 'failed', recipients, error: error.message });
+      }
+    }
+  } finally {
+    transporter.close();
+  }
+
+  return results;
+}
+
+export { resolveSmtpConfig, getRecipients, buildReportMail, sendDailyReports };
@@ -0,0 +1,213 @@
+// scripts/lib/meta-graph.js
+// Meta Graph API 공통 처리 (insights 페이지 순회, ID 일괄 조회, action 매핑, 전환 지표 계산)
+
+import { httpRequest } from './http.js';
+
+const META_GRAPH_URL = 'https://graph.facebook.com/v16.0';
+
+// ids 조회 1회당 최대 ID 수
+const ID_BATCH_SIZE = 50;
+
+// 브랜드에 actions 설정이 없을 때의 기본 매핑 (구매 기준)
+// 목록은 우선순위 순서 - 먼저 있는 action_type 하나만 사용 (purchase는 픽셀 구매를 포함하므로 합산하지 않음)
+const DEFAULT_ACTION_MAPPING = {
+  conversion: ['purchase', 'offsite_conversion.fb_pixel_purchase'],
+  value: ['purchase', 'offsite_conversion.fb_pixel_purchase'],
+  clicks: ['link_click']
+};
+
+// 매핑에 없어도 경고하지 않는 action_type (참여·퍼널 단계 등)
+const KNOWN_EVENTS = [
+  'view_content', 'add_to_cart', 'add_to_wishlist', 'initiate_checkout', 'add_payment_info',
+  'purchase', 'complete_registration', 'lead', 'search'
+];
+const KNOWN_ACTION_TYPES = new Set([
+  'link_click', 'landing_page_view', 'page_engagement', 'post_engagement', 'post', 'post_reaction',
+  'comment', 'like', 'photo_view', 'video_view', 'onsite_conversion.post_save',
+  'omni_initiated_checkout', 'omni_activate_app', 'omni_app_install',
+  ...KNOWN_EVENTS.flatMap(event => [event, `offsite_conversion.fb_pixel_${event}`, `omni_${event}`, `onsite_web_${event}`])
+]);
+
+// 이미 경고한 action_type (실행 중 한 번만 출력)
+const reportedActionTypes = new Set();
+
+// 숫자 변환 (NaN/undefined는 0)
+const toNumber = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : 0;
+};
+
+/**
+ * 액션 목록에서 특정 action_type 값 찾기
+ * @param {Array<{action_type: string, value: string}>} [actions] - actions / action_values / cost_per_action_type
+ * @param {string} type - action_type
+ * @returns {number} 값 (없으면 0)
+ */
+const findActionValue = (actions = [], type) => {
+  const entry = (actions || []).find((action) => action?.action_type === type);
+  return toNumber(entry?.value);
+};
+
+/**
+ * 우선순위 목록에서 처음으로 존재하는 action_type 값
+ * @param {Array<{action_type: string, value: string}>} [actions] - actions / action_values / cost_per_action_type
+ * @param {string[]} types - action_type 우선순위 목록
+ * @returns {number} 값 (모두 없으면 0)
+ */
+const pickActionValue = (actions = [], types) => {
+  const type = types.find(candidate => (actions || []).some(action => action?.action_type === candidate));
+  return type ? findActionValue(actions, type) : 0;
+};
+
+/**
+ * 브랜드 Meta 설정의 action 매핑 (conversion / value / clicks)
+ * 지정하지 않은 항목은 기본 매핑(구매, 링크 클릭)을 사용한다.
+ * @param {Object} metaConfig - config/brands.json 의 platforms.meta
+ * @returns {{ conversion: string[], value: string[], clicks: string[] }} action 매핑
+ */
+const resolveActionMapping = (metaConfig = {}) => {
+  const mapping = { ...DEFAULT_ACTION_MAPPING, ...metaConfig.actions };
+
+  for (const [key, types] of Object.entries(mapping)) {
+    if (!Array.isArray(types) || types.length === 0 || !types.every(type => typeof type === 'string')) {
+      throw new Error(`meta.actions.${key}: action_type 문자열 배열이어야 합니다`);
+    }
+  }
+
+  return mapping;
+};
+
+/**
+ * 매핑에도 없고 알려진 목록에도 없는 action_type 찾기
+ * @param {Object[]} rows - insights 응답 행
+ * @param {{ conversion: string[], value: string[], clicks: string[] }} mapping - action 매핑
+ * @returns {string[]} 처음 보는 action_type 목록 (정렬)
+ */
+const findUnknownActionTypes = (rows, mapping) => {
+  const mapped = new Set(Object.values(mapping).flat());
+  const unknown = new Set();
+
+  for (const row of rows) {
+    for (const action of [...(row?.actions || []), ...(row?.action_values || [])]) {
+      const type = action?.action_type;
+      if (type && !mapped.has(type) && !KNOWN_ACTION_TYPES.has(type)) {
+        unknown.add(type);
+      }
+    }
+  }
+
+  return [...unknown].sort();
+};
+
+/**
+ * 매핑되지 않은 action_type 경고 (같은 타입은 한 번만 출력)
+ * 새 전환 이벤트가 생겼는데 매핑에 빠져 전환이 0으로 집계되는 것을 알아차리기 위함
+ * @param {Object[]} rows - insights 응답 행
+ * @param {{ conversion: string[], value: string[], clicks: string[] }} mapping - action 매핑
+ * @param {string} label - 로그 표시 이름
+ */
+const warnUnknownActionTypes = (rows, mapping, label) => {
+  const newTypes = findUnknownActionTypes(rows, mapping).filter(type => !reportedActionTypes.has(type));
+  if (newTypes.length === 0) return;
+
+  newTypes.forEach(type => reportedActionTypes.add(type));
+  console.log(`⚠️ ${label}: 매핑되지 않은 action_type - ${newTypes.join(', ')} (config/brands.json meta.actions 확인)`);
+};
+
+/**
+ * 페이지가 나뉜 응답을 끝까지 이어서 조회 (paging.next)
+ * @param {string} url - 첫 페이지 URL
+ * @param {string} label - 로그 표시 이름
+ * @returns {Promise<Object[]>} 모든 페이지의 data 행
+ */
+async function fetchAllPages(url, label) {
+  let pageUrl = url;
+  const rows = [];
+
+  while (pageUrl) {
+    console.log(`🌐 ${label} 호출 중...`);
+    const responseData = await httpRequest(pageUrl, { platform: 'meta', label });
+
+    const pageData = Array.isArray(responseData?.data) ? responseData.data : [];
+    rows.push(...pageData);
+
+    pageUrl = responseData?.paging?.next || null;
+    if (pageUrl) {
+      console.log('🔁 다음 페이지 데이터가 존재합니다. 이어서 호출합니다.');
+    }
+  }
+
+  console.log(`📊 ${label} 수집 결과: ${rows.length}건`);
+  return rows;
+}
+
+/**
+ * ID 목록으로 오브젝트 상세 조회 (ids 파라미터, 배치 단위)
+ * @param {string} token - 액세스 토큰
+ * @param {string[]} ids - 조회할 ID 목록
+ * @param {string[]} fields - 조회 필드
+ * @param {string} label - 로그 표시 이름
+ * @returns {Promise<Object<string, Object>>} ID -> 상세 정보
+ */
+async function fetchObjectsByIds(token, ids, fields, label) {
+  const details = {};
+
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const url = new URL(`${META_GRAPH_URL}/`);
+    url.searchParams.set('ids', ids.slice(i, i + ID_BATCH_SIZE).join(','));
+    url.searchParams.set('fields', fields.join(','));
+    url.searchParams.set('access_token', token);
+
+    const data = await httpRequest(url.toString(), { platform: 'meta', label });
+    Object.assign(details, data);
+  }
+
+  return details;
+}
+
+/**
+ * insights 행의 성과 지표 계산 (클릭·전환·전환 가치는 action 매핑 기준)
+ * @param {Object} row - insights 응답 행
+ * @param {{ conversion: string[], value: string[], clicks: string[] }} [mapping] - action 매핑 (기본: 구매, 링크 클릭)
+ * @returns {Object} spend, impressions, clicks, conversion, conversion_value 및 비율 지표
+ */
+function computeMetaMetrics(row, mapping = DEFAULT_ACTION_MAPPING) {
+  const spend = toNumber(row?.spend);
+  const impressions = toNumber(row?.impressions);
+  const linkClicks = pickActionValue(row?.actions, mapping.clicks);
+
+  const conversionCount = pickActionValue(row?.actions, mapping.conversion);
+  const conversionValue = pickActionValue(row?.action_values, mapping.value);
+
+  const cpaRaw = pickActionValue(row?.cost_per_action_type, mapping.conversion);
+  const cpa = cpaRaw > 0 ? cpaRaw : (conversionCount > 0 ? spend / conversionCount : 0);
+
+  return {
+    spend,
+    impressions,
+    clicks: linkClicks,
+    ctr: impressions > 0 ? linkClicks / impressions : 0,
+    cpc: linkClicks > 0 ? spend / linkClicks : 0,
+    conversion: conversionCount,
+    conversion_value: conversionValue,
+    roas: spend > 0 ? conversionValue / spend : 0,
+    cvr: linkClicks > 0 ? conversionCount / linkClicks : 0,
+    cpm: impressions > 0 ? (spend / impressions) * 1000 : 0,
+    cpa,
+    aov: conversionCount > 0 ? conversionValue / conversionCount : 0
+  };
+}
+
+export {
+  META_GRAPH_URL,
+  DEFAULT_ACTION_MAPPING,
+  toNumber,
+  findActionValue,
+  pickActionValue,
+  resolveActionMapping,
+  findUnknownActionTypes,
+  warnUnknownActionTypes,
+  fetchAllPages,
+  fetchObjectsByIds,
+  computeMetaMetrics
+};
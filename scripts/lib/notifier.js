@@ -0,0 +1,246 @@
+// scripts/lib/notifier.js
+// 수집 결과 알림 (Slack Incoming Webhook / 일반 웹훅)
+//
+// 설정 우선순위: 환경변수 > config/brands.json 의 notify 항목
+//   NOTIFY_WEBHOOK_URL      웹훅 주소 (없으면 알림 생략)
+//   NOTIFY_FORMAT           slack | json (기본: hooks.slack.com 주소면 slack, 아니면 json)
+//   NOTIFY_ONLY_ON_FAILURE  true 이면 수집 실패·검증 위반·이상 징후 중 하나라도 있을 때만 전송
+//
+// dry-run 실행은 저장소와 마찬가지로 웹훅에도 아무것도 보내지 않는다.
+
+import { httpRequest } from './http.js';
+import { loadBrandRegistry } from './brand-registry.js';
+
+const NOTIFY_FORMATS = ['slack', 'json'];
+
+// 알림에 포함할 에러 메시지 최대 길이
+const ERROR_EXCERPT_LENGTH = 200;
+
+// 대상별로 알림에 포함할 검증 위반 최대 건수
+const MAX_VIOLATIONS = 20;
+
+// Slack 메시지에 표시할 검증 위반 최대 줄 수
+const SLACK_VIOLATION_LINES = 10;
+
+/**
+ * 실행 결과 알림 내용
+ * @typedef {Object} RunReport
+ * @property {string[]} dates - 수집 대상 날짜
+ * @property {boolean} success - 전체 성공 여부
+ * @property {boolean} dryRun - dry-run 여부
+ * @property {number} durationSec - 총 소요 시간(초)
+ * @property {string} [runId] - 실행 ID (collection_runs)
+ * @property {Array<{ brand: string, platform: string, label: string, success: boolean, rows: number, spend: number, error: string|null, violationCount: number, violations: Object[], anomalies: import('./anomaly.js').Anomaly[] }>} entries - 브랜드·플랫폼별 결과 (violations는 최대 MAX_VIOLATIONS건)
+ * @property {Array<{ id: string, name: string, rows: number, spend: number }>} brands - 브랜드별 합계
+ * @property {{ rows: number, spend: number, succeeded: number, total: number, violations: number, anomalies: number }} totals - 전체 합계
+ */
+
+const isTruthy = (value) => ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+
+/**
+ * 알림 설정 결정
+ * @returns {{ url: string|null, format: 'slack'|'json', onlyOnFailure: boolean }} 알림 설정
+ */
+const resolveNotifyConfig = () => {
+  const fromRegistry = loadBrandRegistry().notify || {};
+
+  const url = process.env.NOTIFY_WEBHOOK_URL || fromRegistry.url || null;
+  const format = process.env.NOTIFY_FORMAT || fromRegistry.format ||
+    (url && url.includes('hooks.slack.com') ? 'slack' : 'json');
+  const onlyOnFailure = process.env.NOTIFY_ONLY_ON_FAILURE !== undefined
+    ? isTruthy(process.env.NOTIFY_ONLY_ON_FAILURE)
+    : Boolean(fromRegistry.onlyOnFailure);
+
+  if (!NOTIFY_FORMATS.includes(format)) {
+    throw new Error(`지원하지 않는 알림 형식입니다: ${format} (가능: ${NOTIFY_FORMATS.join(', ')})`);
+  }
+  return { url, format, onlyOnFailure };
+};
+
+/**
+ * 에러 메시지 요약
+ * @param {string|null} error - 에러 메시지
+ * @returns {string|null} 요약된 메시지
+ */
+const excerpt = (error) => {
+  if (!error) return null;
+  const oneLine = String(error).replace(/\s+/g, ' ').trim();
+  return oneLine.length > ERROR_EXCERPT_LENGTH ? `${oneLine.slice(0, ERROR_EXCERPT_LENGTH)}…` : oneLine;
+};
+
+/**
+ * fetchAllPlatforms 결과를 알림 내용으로 변환
+ * @param {Object} params
+ * @param {Object<string, { success: boolean, error: string|null, count: number, spend?: number, violations?: Object[], anomalies?: Object[] }>} params.results - 대상 키별 결과
+ * @param {Object[]} params.targets - 실행 대상 (buildTargets 결과)
+ * @param {string[]} params.dates - 수집 대상 날짜
+ * @param {number} params.startTime - 시작 시각 (ms)
+ * @param {boolean} [params.dryRun] - dry-run 여부
+ * @param {string} [params.runId] - 실행 ID
+ * @returns {RunReport} 알림 내용
+ */
+function buildRunReport({ results, targets, dates, startTime, dryRun = false, runId }) {
+  const entries = targets.map(target => {
+    const result = results[target.key];
+    const violations = result.violations || [];
+    return {
+      brand: target.brand.id,
+      platform: target.platform,
+      label: target.label,
+      success: result.success,
+      rows: result.count || 0,
+      spend: result.spend || 0,
+      error: excerpt(result.error),
+      violationCount: violations.length,
+      violations: violations.slice(0, MAX_VIOLATIONS),
+      anomalies: result.anomalies || []
+    };
+  });
+
+  const brands = [...new Map(targets.map(t => [t.brand.id, t.brand])).values()].map(brand => {
+    const brandEntries = entries.filter(e => e.brand === brand.id);
+    return {
+      id: brand.id,
+      name: brand.name || brand.id,
+      rows: brandEntries.reduce((sum, e) => sum + e.rows, 0),
+      spend: brandEntries.reduce((sum, e) => sum + e.spend, 0)
+    };
+  });
+
+  const succeeded = entries.filter(e => e.success).length;
+
+  return {
+    dates,
+    success: succeeded === entries.length,
+    dryRun,
+    durationSec: Number(((Date.now() - startTime) / 1000).toFixed(1)),
+    ...(runId ? { runId } : {}),
+    entries,
+    brands,
+    totals: {
+      rows: entries.reduce((sum, e) => sum + e.rows, 0),
+      spend: brands.reduce((sum, b) => sum + b.spend, 0),
+      succeeded,
+      total: entries.length,
+      violations: entries.reduce((sum, e) => sum + e.violationCount, 0),
+      anomalies: entries.reduce((sum, e) => sum + e.anomalies.length, 0)
+    }
+  };
+}
+
+const formatWon = (value) => `₩${Math.round(value).toLocaleString('ko-KR')}`;
+
+/**
+ * Slack 메시지 (mrkdwn 블록)
+ * @param {RunReport} report - 알림 내용
+ * @returns {{ text: string, blocks: Object[] }} Slack 페이로드
+ */
+function formatSlackMessage(report) {
+  const { totals } = report;
+  const dateText = report.dates.length > 1
+    ? `${report.dates[0]} ~ ${report.dates[report.dates.length - 1]}`
+    : report.dates[0];
+  const title = report.success
+    ? `✅ 광고 데이터 수집 완료 (${dateText}) - ${totals.succeeded}/${totals.total} 성공`
+    : `🚨 광고 데이터 수집 실패 (${dateText}) - ${totals.total - totals.succeeded}/${totals.total} 실패`;
+
+  const blocks = [
+    { type: 'section', text: { type: 'mrkdwn', text: `*${title}*${report.dryRun ? ' _[dry-run]_' : ''}` } }
+  ];
+
+  for (const brand of report.brands) {
+    const lines = report.entries
+      .filter(entry => entry.brand === brand.id)
+      .map(entry => (entry.success
+        ? `✅ ${entry.label}: ${entry.rows}건 · ${formatWon(entry.spend)}${entry.violationCount > 0 ? ` · 🚧 검증 ${entry.violationCount}건` : ''}${entry.anomalies.length > 0 ? ` · 📈 이상 ${entry.anomalies.length}건` : ''}`
+        : `❌ ${entry.label}: \`${entry.error || '알 수 없는 에러'}\``));
+
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: [`*${brand.name}* 합계 ${brand.rows}건 · ${formatWon(brand.spend)}`, ...lines].join('\n')
+      }
+    });
+  }
+
+  // 검증 위반 (저장 제외 ✖ / 경고 !) - 메시지가 길어지지 않도록 일부만
+  const violationLines = report.entries
+    .flatMap(entry => entry.violations.map(v => `${v.level === 'error' ? '✖' : '!'} ${entry.label} ${v.date} [${v.rule}] ${v.key}: ${v.message}`))
+    .slice(0, SLACK_VIOLATION_LINES);
+  if (violationLines.length > 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: [`*🚧 데이터 검증 ${report.totals.violations}건*`, ...violationLines].join('\n') }
+    });
+  }
+
+  // 이상 징후 (직전 14일·28일 기준선 대비)
+  const anomalyLines = report.entries
+    .flatMap(entry => entry.anomalies.map(a => `${a.direction === 'high' ? '▲' : '▼'} ${entry.label} ${a.date} ${a.campaign}: ${a.message}`));
+  if (anomalyLines.length > 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: [`*📈 이상 징후 ${report.totals.anomalies}건*`, ...anomalyLines].join('\n') }
+    });
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [{
+      type: 'mrkdwn',
+      text: `전체 ${totals.rows}건 · ${formatWon(totals.spend)} (VAT 별도) · ⏱️ ${report.durationSec}초${report.runId ? ` · run ${report.runId}` : ''}`
+    }]
+  });
+
+  return { text: title, blocks };
+}
+
+/**
+ * 수집 결과 알림 전송
+ * 알림 실패는 수집 결과에 영향을 주지 않도록 로그만 남긴다.
+ * @param {RunReport} report - 알림 내용
+ * @param {Object} [config] - 알림 설정 (비우면 resolveNotifyConfig())
+ * @returns {Promise<'sent'|'skipped'|'failed'>} 전송 결과
+ */
+async function notifyRunResult(report, config) {
+  try {
+    config = config || resolveNotifyConfig();
+  } catch (error) {
+    console.error('⚠️ 알림 설정 오류:', error.message);
+    return 'failed';
+  }
+
+  if (!config.url) {
+    return 'skipped';
+  }
+  if (report.dryRun) {
+    console.log('🔕 dry-run - 수집 결과 알림 전송 생략');
+    return 'skipped';
+  }
+  const needsAttention = !report.success || report.totals.violations > 0 || report.totals.anomalies > 0;
+  if (config.onlyOnFailure && !needsAttention) {
+    console.log('🔕 수집 실패·검증 위반·이상 징후 없음 - 실패 시에만 알림 설정으로 전송 생략');
+    return 'skipped';
+  }
+
+  const body = config.format === 'slack' ? formatSlackMessage(report) : report;
+
+  try {
+    await httpRequest(config.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      responseType: 'text',
+      label: '알림 웹훅',
+      retry: { maxRetries: 2, baseDelay: 1000, maxDelay: 5000 }
+    });
+    console.log(`📣 수집 결과 알림 전송 완료 (${config.format})`);
+    return 'sent';
+  } catch (error) {
+    console.error('⚠️ 수집 결과 알림 전송 실패:', error.message);
+    return 'failed';
+  }
+}
+
+export { NOTIFY_FORMATS, resolveNotifyConfig, buildRunReport, formatSlackMessage, notifyRunResult };
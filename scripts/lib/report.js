@@ -0,0 +1,253 @@
+// scripts/lib/report.js
+// 일일 통합 리포트 생성 (채널별 광고비·ROAS·CPA, 브랜드 합계, 전일/전주 대비)
+//
+// 광고비는 채널 간 비교가 되도록 원화 VAT 별도(spend_ex_vat_krw) 기준으로 합산하고,
+// 전환 매출도 환율(fx_rate)로 원화 환산한다. 정규화 컬럼이 없는 이전 행은 spend 그대로 사용한다.
+
+import { PLATFORMS, getBrands } from './brand-registry.js';
+import { addDays } from './dates.js';
+
+// 플랫폼 표시 이름
+const PLATFORM_NAMES = { meta: 'Meta', naver: '네이버', google: '구글' };
+
+/**
+ * 채널/합계 지표
+ * @typedef {Object} ReportMetrics
+ * @property {number} spend - 광고비 (원화, VAT 별도)
+ * @property {number} impressions - 노출
+ * @property {number} clicks - 클릭
+ * @property {number} conversion - 전환
+ * @property {number} conversion_value - 전환 매출 (원화)
+ * @property {number} roas - 전환 매출 / 광고비
+ * @property {number} cpa - 광고비 / 전환
+ */
+
+/**
+ * 비교 기간을 포함한 지표 묶음
+ * @typedef {Object} ReportLine
+ * @property {string} label - 표시 이름
+ * @property {ReportMetrics} current - 대상 날짜
+ * @property {ReportMetrics|null} dod - 전일 (데이터 없으면 null)
+ * @property {ReportMetrics|null} wow - 전주 같은 요일 (데이터 없으면 null)
+ */
+
+const EMPTY_METRICS = { spend: 0, impressions: 0, clicks: 0, conversion: 0, conversion_value: 0, roas: 0, cpa: 0 };
+
+const hasValue = (value) => value !== undefined && value !== null;
+
+/**
+ * 행의 원화 VAT 별도 광고비 (spend_ex_vat_krw가 없는 이전 행은 spend)
+ * @param {Object} row - insights 행
+ * @returns {number} 광고비
+ */
+const spendExVatKrw = (row) => Number(hasValue(row.spend_ex_vat_krw) ? row.spend_ex_vat_krw : row.spend) || 0;
+
+/**
+ * 행의 원화 전환 매출 (환율이 없는 이전 행은 그대로)
+ * @param {Object} row - insights 행
+ * @returns {number} 전환 매출
+ */
+const conversionValueKrw = (row) => (Number(row.conversion_value) || 0) * (hasValue(row.fx_rate) ? Number(row.fx_rate) : 1);
+
+/**
+ * 행 목록 합산 후 ROAS/CPA 재계산 (비율은 합산하지 않고 합계로 다시 계산)
+ * @param {Object[]} rows - insights 행
+ * @returns {ReportMetrics|null} 합산 지표 (행이 없으면 null)
+ */
+const sumMetrics = (rows) => {
+  if (rows.length === 0) return null;
+
+  const total = { spend: 0, impressions: 0, clicks: 0, conversion: 0, conversion_value: 0 };
+  for (const row of rows) {
+    total.spend += spendExVatKrw(row);
+    total.impressions += Number(row.impressions) || 0;
+    total.clicks += Number(row.clicks) || 0;
+    total.conversion += Number(row.conversion) || 0;
+    total.conversion_value += conversionValueKrw(row);
+  }
+
+  return {
+    ...total,
+    roas: total.spend > 0 ? total.conversion_value / total.spend : 0,
+    cpa: total.conversion > 0 ? total.spend / total.conversion : 0
+  };
+};
+
+/**
+ * 날짜별 행 묶음을 비교 지표로 변환
+ * @param {string} label - 표시 이름
+ * @param {Object<string, Object[]>} rowsByPeriod - { current, dod, wow } 기간별 행
+ * @returns {ReportLine} 비교 지표
+ */
+const toLine = (label, { current, dod, wow }) => ({
+  label,
+  current: sumMetrics(current) || { ...EMPTY_METRICS },
+  dod: sumMetrics(dod),
+  wow: sumMetrics(wow)
+});
+
+/**
+ * 리포트 데이터 수집
+ * @param {import('./sinks/index.js').Sink} sink - 저장소
+ * @param {string} date - 리포트 날짜 (YYYY-MM-DD)
+ * @param {Object} [options]
+ * @param {string[]} [options.brandIds] - 브랜드 ID 목록 (비우면 전체)
+ * @returns {Promise<Object>} 리포트 데이터 ({ date, compare, brands, total })
+ */
+async function buildDailyReport(sink, date, { brandIds = [] } = {}) {
+  const compare = { dod: addDays(date, -1), wow: addDays(date, -7) };
+  const periods = { current: date, ...compare };
+  const brands = [];
+  const allRows = { current: [], dod: [], wow: [] };
+
+  for (const brand of getBrands(brandIds)) {
+    const channels = [];
+    const brandRows = { current: [], dod: [], wow: [] };
+
+    for (const platform of PLATFORMS) {
+      const table = brand.platforms?.[platform]?.tables?.insights;
+      if (!table) continue;
+
+      const rows = await sink.select(table, { in: { date: Object.values(periods) } });
+
+      // 캠페인(채널) 단위로 기간별 행 분류
+      const byCampaign = new Map();
+      for (const row of rows) {
+        const period = Object.keys(periods).find(key => String(row.date) === periods[key]);
+        if (!byCampaign.has(row.campaign)) {
+          byCampaign.set(row.campaign, { current: [], dod: [], wow: [] });
+        }
+        byCampaign.get(row.campaign)[period].push(row);
+        brandRows[period].push(row);
+        allRows[period].push(row);
+      }
+
+      for (const [campaign, rowsByPeriod] of byCampaign) {
+        channels.push({ platform, campaign, ...toLine(`${PLATFORM_NAMES[platform]} · ${campaign}`, rowsByPeriod) });
+      }
+    }
+
+    brands.push({ id: brand.id, name: brand.name || brand.id, channels, total: toLine('합계', brandRows) });
+  }
+
+  return { date, compare, brands, total: toLine('전체 합계', allRows) };
+}
+
+// ========================================================================================
+// 출력 형식
+// ========================================================================================
+
+const formatWon = (value) => `₩${Math.round(value).toLocaleString('ko-KR')}`;
+const formatRoas = (value) => `${(value * 100).toFixed(0)}%`;
+
+/**
+ * 증감률 표시 (비교 값이 없거나 0이면 '-')
+ * @param {number} current - 현재 값
+ * @param {number|undefined} previous - 비교 값
+ * @returns {string} 증감률 (예: '+12.5%')
+ */
+const formatDelta = (current, previous) => {
+  if (!previous) return '-';
+  const change = ((current - previous) / previous) * 100;
+  return `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`;
+};
+
+// 표 컬럼: [헤더, 값 함수]
+const COLUMNS = [
+  ['채널', line => line.label],
+  ['광고비', line => formatWon(line.current.spend)],
+  ['전일 대비', line => formatDelta(line.current.spend, line.dod?.spend)],
+  ['전주 대비', line => formatDelta(line.current.spend, line.wow?.spend)],
+  ['ROAS', line => formatRoas(line.current.roas)],
+  ['전일 대비', line => formatDelta(line.current.roas, line.dod?.roas)],
+  ['전주 대비', line => formatDelta(line.current.roas, line.wow?.roas)],
+  ['CPA', line => formatWon(line.current.cpa)],
+  ['전일 대비', line => formatDelta(line.current.cpa, line.dod?.cpa)],
+  ['전주 대비', line => formatDelta(line.current.cpa, line.wow?.cpa)]
+];
+
+// 브랜드 섹션 표 행 (채널 + 합계)
+const brandLines = (brand) => [...brand.channels, brand.total];
+
+/**
+ * Markdown 리포트
+ * @param {Object} report - buildDailyReport 결과
+ * @returns {string} Markdown 텍스트
+ */
+function renderMarkdown(report) {
+  const table = (lines, boldLast = false) => {
+    const header = `| ${COLUMNS.map(([title]) => title).join(' | ')} |`;
+    const divider = `| ${COLUMNS.map((_, i) => (i === 0 ? '---' : '---:')).join(' | ')} |`;
+    const body = lines.map((line, index) => {
+      const cells = COLUMNS.map(([, value]) => value(line));
+      if (boldLast && index === lines.length - 1) {
+        return `| ${cells.map(cell => `**${cell}**`).join(' | ')} |`;
+      }
+      return `| ${cells.join(' | ')} |`;
+    });
+    return [header, divider, ...body].join('\n');
+  };
+
+  const sections = [
+    `# 광고 일일 리포트 (${report.date})`,
+    `비교 기준: 전일 ${report.compare.dod} / 전주 ${report.compare.wow} · 광고비: 원화, VAT 별도`
+  ];
+
+  for (const brand of report.brands) {
+    sections.push(`## ${brand.name}`);
+    sections.push(brand.channels.length > 0 ? table(brandLines(brand), true) : '_데이터 없음_');
+  }
+
+  sections.push('## 브랜드 합계');
+  sections.push(table([
+    ...report.brands.map(brand => ({ ...brand.total, label: brand.name })),
+    report.total
+  ], true));
+
+  return sections.join('\n\n') + '\n';
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * HTML 리포트 (메일 본문용, 인라인 스타일)
+ * @param {Object} report - buildDailyReport 결과
+ * @returns {string} HTML 텍스트
+ */
+function renderHtml(report) {
+  const cellStyle = 'border:1px solid #ddd;padding:4px 8px;';
+  const table = (lines) => {
+    const header = COLUMNS
+      .map(([title]) => `<th style="${cellStyle}background:#f5f5f5;">${escapeHtml(title)}</th>`)
+      .join('');
+    const body = lines.map((line, index) => {
+      const weight = index === lines.length - 1 ? 'font-weight:bold;' : '';
+      const cells = COLUMNS.map(([, value], i) =>
+        `<td style="${cellStyle}${weight}text-align:${i === 0 ? 'left' : 'right'};">${escapeHtml(value(line))}</td>`
+      ).join('');
+      return `<tr>${cells}</tr>`;
+    }).join('\n');
+    return `<table style="border-collapse:collapse;font-size:13px;">\n<tr>${header}</tr>\n${body}\n</table>`;
+  };
+
+  const sections = [
+    `<h1>광고 일일 리포트 (${escapeHtml(report.date)})</h1>`,
+    `<p>비교 기준: 전일 ${escapeHtml(report.compare.dod)} / 전주 ${escapeHtml(report.compare.wow)} · 광고비: 원화, VAT 별도</p>`
+  ];
+
+  for (const brand of report.brands) {
+    sections.push(`<h2>${escapeHtml(brand.name)}</h2>`);
+    sections.push(brand.channels.length > 0 ? table(brandLines(brand)) : '<p><em>데이터 없음</em></p>');
+  }
+
+  sections.push('<h2>브랜드 합계</h2>');
+  sections.push(table([...report.brands.map(brand => ({ ...brand.total, label: brand.name })), report.total]));
+
+  return `<!DOCTYPE html>\n<html><head><meta charset="utf-8"></head><body>\n${sections.join('\n')}\n</body></html>\n`;
+}
+
+export { buildDailyReport, renderMarkdown, renderHtml, formatDelta, sumMetrics, spendExVatKrw };
@@ -0,0 +1,121 @@
+// scripts/lib/run-history.js
+// 수집 실행 이력 (collection_runs 테이블)
+//
+// 실행 1회 × 브랜드 × 플랫폼 × 날짜마다 1행을 남겨 실패한 날짜 감사와 데이터 최신성 확인에 사용한다.
+
+import crypto from 'crypto';
+import { execSync } from 'child_process';
+
+const RUN_HISTORY_TABLE = 'collection_runs';
+const RUN_HISTORY_KEYS = ['run_id', 'brand', 'platform', 'target_date'];
+
+/**
+ * 실행 이력 행
+ * @typedef {Object} RunRecord
+ * @property {string} run_id - 실행 ID (실행 1회에 공통)
+ * @property {string} trigger - 실행 계기 (schedule | workflow_dispatch | manual | backfill ...)
+ * @property {string} target_date - 수집 대상 날짜
+ * @property {string} platform - 플랫폼
+ * @property {string} brand - 브랜드 ID
+ * @property {'success'|'failed'} status - 결과
+ * @property {number} row_count - 저장한 대표 데이터셋 행 수
+ * @property {string|null} error - 에러 메시지
+ * @property {number} duration_ms - 브랜드·플랫폼 수집 소요 시간
+ * @property {string|null} git_sha - 실행한 코드 커밋
+ * @property {string} started_at - 시작 시각 (ISO)
+ * @property {string} finished_at - 종료 시각 (ISO)
+ */
+
+let cachedGitSha;
+
+/**
+ * 실행 중인 코드의 git 커밋 (GitHub Actions는 GITHUB_SHA, 로컬은 git rev-parse)
+ * @returns {string|null} 커밋 SHA
+ */
+const resolveGitSha = () => {
+  if (process.env.GITHUB_SHA) return process.env.GITHUB_SHA;
+  if (cachedGitSha !== undefined) return cachedGitSha;
+
+  try {
+    cachedGitSha = execSync('git rev-parse HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim() || null;
+  } catch {
+    cachedGitSha = null;
+  }
+  return cachedGitSha;
+};
+
+/**
+ * 실행 계기 (RUN_TRIGGER > GitHub Actions 이벤트 > 기본값)
+ * @param {string} [fallback='manual'] - 기본 계기
+ * @returns {string} 실행 계기
+ */
+const resolveTrigger = (fallback = 'manual') =>
+  process.env.RUN_TRIGGER || process.env.GITHUB_EVENT_NAME || fallback;
+
+/**
+ * 실행 이력 기록기 생성
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - 실행 계기 (비우면 resolveTrigger())
+ * @returns {{ runId: string, trigger: string, gitSha: string|null, build: Function }} 기록기
+ */
+function createRunContext({ trigger } = {}) {
+  const context = {
+    runId: crypto.randomUUID(),
+    trigger: trigger || resolveTrigger(),
+    gitSha: resolveGitSha()
+  };
+
+  /**
+   * 브랜드·플랫폼 1회 수집 결과를 날짜별 이력 행으로 변환
+   * @param {Object} attempt
+   * @param {string} attempt.brand - 브랜드 ID
+   * @param {string} attempt.platform - 플랫폼
+   * @param {string[]} attempt.dates - 대상 날짜
+   * @param {Array<{date: string, rows: number}>} [attempt.summary] - 날짜별 저장 건수 (성공 시)
+   * @param {Error} [attempt.error] - 실패 에러
+   * @param {number} attempt.startedAt - 시작 시각 (ms)
+   * @param {number} [attempt.finishedAt] - 종료 시각 (ms)
+   * @returns {RunRecord[]} 이력 행
+   */
+  context.build = ({ brand, platform, dates, summary = [], error = null, startedAt, finishedAt = Date.now() }) => {
+    const rowsByDate = new Map(summary.map(s => [s.date, s.rows]));
+
+    return dates.map(date => ({
+      run_id: context.runId,
+      trigger: context.trigger,
+      target_date: date,
+      platform,
+      brand,
+      status: error ? 'failed' : 'success',
+      row_count: rowsByDate.get(date) ?? 0,
+      error: error ? error.message : null,
+      duration_ms: finishedAt - startedAt,
+      git_sha: context.gitSha,
+      started_at: new Date(startedAt).toISOString(),
+      finished_at: new Date(finishedAt).toISOString()
+    }));
+  };
+
+  return context;
+}
+
+/**
+ * 실행 이력 저장 (실패해도 수집 결과에는 영향을 주지 않도록 에러를 로그로만 남김)
+ * @param {import('./sinks/index.js').Sink} sink - 저장소
+ * @param {RunRecord[]} records - 이력 행
+ * @returns {Promise<boolean>} 저장 성공 여부
+ */
+async function saveRunRecords(sink, records) {
+  if (records.length === 0) return true;
+
+  try {
+    await sink.upsert(RUN_HISTORY_TABLE, records, { onConflict: RUN_HISTORY_KEYS });
+    console.log(`🗂️ 실행 이력 ${records.length}건 저장 (${RUN_HISTORY_TABLE}, run_id ${records[0].run_id})`);
+    return true;
+  } catch (error) {
+    console.error(`⚠️ 실행 이력 저장 실패 (${RUN_HISTORY_TABLE}):`, error.message);
+    return false;
+  }
+}
+
+export { RUN_HISTORY_TABLE, RUN_HISTORY_KEYS, createRunContext, saveRunRecords, resolveTrigger, resolveGitSha };
@@ -0,0 +1,117 @@
+// scripts/lib/sinks/file.js
+// JSONL / CSV 파일 저장소 (테이블당 파일 1개, 오프라인 실행·테스트용)
+
+import fs from 'fs';
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import { matchesQuery, assertDeleteQuery, pickColumns, rowKey, collectColumns } from './query.js';
+
+// ========================================================================================
+// 포맷별 읽기/쓰기
+// ========================================================================================
+
+/**
+ * 행 목록을 CSV 텍스트로 변환 (컬럼은 행 전체에서 수집, 객체 값은 JSON 문자열)
+ * @param {Object[]} rows - 행 목록
+ * @returns {string} CSV 텍스트 (헤더 포함)
+ */
+const toCsv = (rows) => {
+  const columns = collectColumns(rows);
+  const escape = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    columns.map(escape).join(','),
+    ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+  ].join('\n') + '\n';
+};
+
+const FORMATS = {
+  jsonl: {
+    extension: 'jsonl',
+    read: (text) => text
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line)),
+    write: (rows) => rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '')
+  },
+
+  csv: {
+    extension: 'csv',
+    // 숫자 형태의 값은 숫자로, 빈 값은 null로 읽음
+    read: (text) => parse(text, {
+      columns: true,
+      skip_empty_lines: true,
+      cast: (value, context) => {
+        if (context.header) return value;
+        if (value === '') return null;
+        const num = Number(value);
+        return Number.isFinite(num) && /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(value) ? num : value;
+      }
+    }),
+    write: (rows) => toCsv(rows)
+  }
+};
+
+/**
+ * 파일 저장소 생성
+ * @param {Object} [options]
+ * @param {'jsonl'|'csv'} [options.format='jsonl'] - 파일 형식
+ * @param {string} [options.dir] - 저장 디렉터리 (기본: SINK_PATH 또는 data/)
+ * @returns {import('./index.js').Sink} 저장소
+ */
+function createFileSink({ format = 'jsonl', dir = process.env.SINK_PATH || 'data' } = {}) {
+  const handler = FORMATS[format];
+  if (!handler) {
+    throw new Error(`지원하지 않는 파일 형식입니다: ${format} (가능: ${Object.keys(FORMATS).join(', ')})`);
+  }
+
+  const filePath = (table) => path.join(dir, `${table}.${handler.extension}`);
+
+  const readTable = (table) => {
+    const file = filePath(table);
+    return fs.existsSync(file) ? handler.read(fs.readFileSync(file, 'utf8')) : [];
+  };
+
+  return {
+    type: format,
+    description: `${format.toUpperCase()}(${path.resolve(dir)})`,
+
+    async upsert(table, rows, { onConflict }) {
+      if (rows.length === 0) return;
+
+      // 기존 행과 키 기준으로 병합 (기존 행 순서 유지, 새 행은 뒤에 추가)
+      const merged = new Map(readTable(table).map(row => [rowKey(row, onConflict), row]));
+      for (const row of rows) {
+        const key = rowKey(row, onConflict);
+        merged.set(key, { ...(merged.get(key) || {}), ...row });
+      }
+
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(filePath(table), handler.write([...merged.values()]));
+    },
+
+    async select(table, query = {}) {
+      return readTable(table)
+        .filter(row => matchesQuery(row, query))
+        .map(row => pickColumns(row, query.columns));
+    },
+
+    async count(table, query = {}) {
+      return readTable(table).filter(row => matchesQuery(row, query)).length;
+    },
+
+    async delete(table, query) {
+      assertDeleteQuery(table, query);
+      if (!fs.existsSync(filePath(table))) return;
+
+      fs.writeFileSync(filePath(table), handler.write(readTable(table).filter(row => !matchesQuery(row, query))));
+    },
+
+    async close() {}
+  };
+}
+
+export { createFileSink, toCsv };
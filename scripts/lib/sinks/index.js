@@ -0,0 +1,64 @@
+// scripts/lib/sinks/index.js
+// 저장소(Sink) 선택 및 생성
+//
+// 설정 우선순위: 환경변수(SINK_TYPE, SINK_PATH) > config/brands.json 의 sink 항목 > supabase
+
+import { loadBrandRegistry } from '../brand-registry.js';
+import { createSupabaseSink } from './supabase.js';
+import { createPostgresSink } from './postgres.js';
+import { createSqliteSink } from './sqlite.js';
+import { createFileSink } from './file.js';
+
+/**
+ * 저장소 공통 인터페이스
+ * @typedef {Object} Sink
+ * @property {string} type - 저장소 종류 (supabase | postgres | sqlite | jsonl | csv)
+ * @property {string} description - 로그 표시용 설명
+ * @property {(table: string, rows: Object[], options: { onConflict: string[] }) => Promise<void>} upsert - 키 기준 upsert
+ * @property {(table: string, query?: import('./query.js').SinkQuery) => Promise<Object[]>} select - 조건 조회
+ * @property {(table: string, query?: import('./query.js').SinkQuery) => Promise<number>} count - 조건 건수
+ * @property {(table: string, query: import('./query.js').SinkQuery) => Promise<void>} delete - 조건 삭제 (조건 없이는 삭제하지 않음)
+ * @property {() => Promise<void>} close - 연결 종료
+ */
+
+const SINK_TYPES = ['supabase', 'postgres', 'sqlite', 'jsonl', 'csv'];
+
+/**
+ * 저장소 설정 결정
+ * @returns {{ type: string, path?: string, url?: string }} 저장소 설정
+ */
+const resolveSinkConfig = () => {
+  const fromRegistry = loadBrandRegistry().sink || {};
+  const config = { type: 'supabase', ...fromRegistry };
+
+  if (process.env.SINK_TYPE) config.type = process.env.SINK_TYPE;
+  if (process.env.SINK_PATH) config.path = process.env.SINK_PATH;
+
+  if (!SINK_TYPES.includes(config.type)) {
+    throw new Error(`지원하지 않는 저장소입니다: ${config.type} (가능: ${SINK_TYPES.join(', ')})`);
+  }
+  return config;
+};
+
+/**
+ * 저장소 생성
+ * @param {Object} [config] - 저장소 설정 (비우면 resolveSinkConfig())
+ * @returns {Promise<Sink>} 저장소
+ */
+async function createSink(config = resolveSinkConfig()) {
+  switch (config.type) {
+    case 'supabase':
+      return createSupabaseSink({ url: config.url, key: config.key });
+    case 'postgres':
+      return createPostgresSink({ connectionString: config.url });
+    case 'sqlite':
+      return createSqliteSink({ path: config.path });
+    case 'jsonl':
+    case 'csv':
+      return createFileSink({ format: config.type, dir: config.path });
+    default:
+      throw new Error(`지원하지 않는 저장소입니다: ${config.type}`);
+  }
+}
+
+export { SINK_TYPES, resolveSinkConfig, createSink };
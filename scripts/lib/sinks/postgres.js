@@ -0,0 +1,102 @@
+// scripts/lib/sinks/postgres.js
+// 로컬/웨어하우스 Postgres 저장소 (pg 패키지 필요, 테이블은 미리 생성되어 있어야 함)
+
+import { quoteIdent, buildSqlWhere, collectColumns, assertDeleteQuery } from './query.js';
+
+// 쿼리 1개에 넣을 수 있는 바인딩 파라미터 최대 개수 (Postgres 프로토콜 한도)
+const MAX_BIND_PARAMS = 65535;
+
+/**
+ * Postgres 저장소 생성
+ * @param {Object} [options]
+ * @param {string} [options.connectionString] - 접속 문자열 (기본: DATABASE_URL)
+ * @returns {Promise<import('./index.js').Sink>} 저장소
+ */
+async function createPostgresSink({ connectionString = process.env.DATABASE_URL } = {}) {
+  if (!connectionString) {
+    throw new Error('Postgres 저장소에는 DATABASE_URL 환경변수가 필요합니다.');
+  }
+
+  let pg;
+  try {
+    pg = (await import('pg')).default;
+  } catch {
+    throw new Error('Postgres 저장소를 사용하려면 pg 패키지를 설치하세요 (npm install pg).');
+  }
+
+  // date는 'YYYY-MM-DD' 문자열, numeric은 숫자로 받아 다른 저장소와 같은 형태 유지
+  pg.types.setTypeParser(1082, value => value);
+  pg.types.setTypeParser(1700, value => Number(value));
+
+  const pool = new pg.Pool({ connectionString });
+  const placeholder = (index) => `$${index}`;
+
+  return {
+    type: 'postgres',
+    description: `Postgres(${new URL(connectionString).host})`,
+
+    async upsert(table, rows, { onConflict }) {
+      if (rows.length === 0) return;
+
+      const columns = collectColumns(rows);
+      const updates = columns
+        .filter(column => !onConflict.includes(column))
+        .map(column => `${quoteIdent(column)} = EXCLUDED.${quoteIdent(column)}`);
+
+      // 바인딩 파라미터 한도(65535)를 넘지 않도록 행을 나눠 저장
+      const chunkSize = Math.max(1, Math.floor(MAX_BIND_PARAMS / columns.length));
+      for (let start = 0; start < rows.length; start += chunkSize) {
+        const params = [];
+        const values = rows.slice(start, start + chunkSize).map(row => {
+          const slots = columns.map(column => {
+            params.push(row[column] ?? null);
+            return placeholder(params.length);
+          });
+          return `(${slots.join(', ')})`;
+        });
+
+        const sql =
+          `INSERT INTO ${quoteIdent(table)} (${columns.map(quoteIdent).join(', ')}) ` +
+          `VALUES ${values.join(', ')} ` +
+          `ON CONFLICT (${onConflict.map(quoteIdent).join(', ')}) ` +
+          (updates.length > 0 ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING');
+
+        try {
+          await pool.query(sql, params);
+        } catch (error) {
+          throw new Error(`${table} upsert 실패: ${error.message}`);
+        }
+      }
+    },
+
+    async select(table, query = {}) {
+      const columns = query.columns?.length ? query.columns.map(quoteIdent).join(', ') : '*';
+      const { clause, params } = buildSqlWhere(query, placeholder);
+      const { rows } = await pool.query(`SELECT ${columns} FROM ${quoteIdent(table)}${clause}`, params);
+      return rows;
+    },
+
+    async count(table, query = {}) {
+      const { clause, params } = buildSqlWhere(query, placeholder);
+      const { rows } = await pool.query(`SELECT COUNT(*) AS count FROM ${quoteIdent(table)}${clause}`, params);
+      return Number(rows[0].count);
+    },
+
+    async delete(table, query) {
+      assertDeleteQuery(table, query);
+      const { clause, params } = buildSqlWhere(query, placeholder);
+
+      try {
+        await pool.query(`DELETE FROM ${quoteIdent(table)}${clause}`, params);
+      } catch (error) {
+        throw new Error(`${table} 삭제 실패: ${error.message}`);
+      }
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
+
+export { createPostgresSink };
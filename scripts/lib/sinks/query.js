@@ -0,0 +1,126 @@
+// scripts/lib/sinks/query.js
+// 저장소 공통 조회 조건 처리
+
+/**
+ * 저장소 조회 조건 (모든 저장소 구현이 같은 형식을 사용)
+ * @typedef {Object} SinkQuery
+ * @property {string[]} [columns] - 조회할 컬럼 (비우면 전체)
+ * @property {Object<string, *>} [eq] - 컬럼 = 값
+ * @property {Object<string, *>} [gte] - 컬럼 >= 값
+ * @property {Object<string, *>} [lte] - 컬럼 <= 값
+ * @property {Object<string, Array>} [in] - 컬럼 IN (값 목록)
+ */
+
+/**
+ * 행이 조회 조건을 만족하는지 확인 (파일 저장소용)
+ * @param {Object} row - 행
+ * @param {SinkQuery} [query] - 조회 조건
+ * @returns {boolean} 만족 여부
+ */
+const matchesQuery = (row, query = {}) => {
+  for (const [column, value] of Object.entries(query.eq || {})) {
+    if (String(row[column]) !== String(value)) return false;
+  }
+  for (const [column, value] of Object.entries(query.gte || {})) {
+    if (row[column] === undefined || row[column] === null || row[column] < value) return false;
+  }
+  for (const [column, value] of Object.entries(query.lte || {})) {
+    if (row[column] === undefined || row[column] === null || row[column] > value) return false;
+  }
+  for (const [column, values] of Object.entries(query.in || {})) {
+    if (!values.map(String).includes(String(row[column]))) return false;
+  }
+  return true;
+};
+
+/**
+ * 삭제 조건 확인 (실수로 테이블 전체를 지우지 않도록 조건이 하나도 없으면 에러)
+ * @param {string} table - 테이블 이름
+ * @param {SinkQuery} [query] - 삭제 조건
+ */
+const assertDeleteQuery = (table, query = {}) => {
+  const hasCondition = ['eq', 'gte', 'lte', 'in'].some(key => Object.keys(query[key] || {}).length > 0);
+  if (!hasCondition) {
+    throw new Error(`${table} 삭제에는 조건이 필요합니다.`);
+  }
+};
+
+/**
+ * 조회 컬럼만 남기기
+ * @param {Object} row - 행
+ * @param {string[]} [columns] - 조회할 컬럼
+ * @returns {Object} 선택된 컬럼만 가진 행
+ */
+const pickColumns = (row, columns) => {
+  if (!columns || columns.length === 0) return row;
+  return Object.fromEntries(columns.map(column => [column, row[column]]));
+};
+
+/**
+ * SQL 식별자 인용
+ * @param {string} name - 테이블/컬럼 이름
+ * @returns {string} 인용된 식별자
+ */
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+/**
+ * 조회 조건을 SQL WHERE 절로 변환 (Postgres / SQLite 공용)
+ * @param {SinkQuery} [query] - 조회 조건
+ * @param {(index: number) => string} placeholder - 바인딩 자리표시자 생성 함수
+ * @returns {{ clause: string, params: Array }} WHERE 절과 바인딩 값
+ */
+const buildSqlWhere = (query = {}, placeholder) => {
+  const conditions = [];
+  const params = [];
+  const bind = (value) => {
+    params.push(value);
+    return placeholder(params.length);
+  };
+
+  for (const [column, value] of Object.entries(query.eq || {})) {
+    conditions.push(`${quoteIdent(column)} = ${bind(value)}`);
+  }
+  for (const [column, value] of Object.entries(query.gte || {})) {
+    conditions.push(`${quoteIdent(column)} >= ${bind(value)}`);
+  }
+  for (const [column, value] of Object.entries(query.lte || {})) {
+    conditions.push(`${quoteIdent(column)} <= ${bind(value)}`);
+  }
+  for (const [column, values] of Object.entries(query.in || {})) {
+    if (values.length === 0) {
+      conditions.push('1 = 0');
+      continue;
+    }
+    conditions.push(`${quoteIdent(column)} IN (${values.map(bind).join(', ')})`);
+  }
+
+  return {
+    clause: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+/**
+ * upsert 키 값 생성
+ * @param {Object} row - 행
+ * @param {string[]} onConflict - 키 컬럼
+ * @returns {string} 키 문자열
+ */
+const rowKey = (row, onConflict) => onConflict.map(column => String(row[column])).join('\u0000');
+
+/**
+ * 행 목록의 전체 컬럼 (등장 순서 유지)
+ * @param {Object[]} rows - 행 목록
+ * @returns {string[]} 컬럼 목록
+ */
+const collectColumns = (rows) => {
+  const columns = [];
+  for (const row of rows) {
+    for (const column of Object.keys(row)) {
+      if (!columns.includes(column)) columns.push(column);
+    }
+  }
+  return columns;
+};
+
+export { matchesQuery, assertDeleteQuery, pickColumns, quoteIdent, buildSqlWhere, rowKey, collectColumns };
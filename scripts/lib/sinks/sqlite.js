@@ -0,0 +1,134 @@
+// scripts/lib/sinks/sqlite.js
+// SQLite 저장소 (better-sqlite3 패키지 필요, 테이블/컬럼은 첫 저장 시 자동 생성)
+
+import fs from 'fs';
+import path from 'path';
+import { quoteIdent, buildSqlWhere, collectColumns, assertDeleteQuery } from './query.js';
+
+/**
+ * 값으로부터 SQLite 컬럼 타입 추론
+ * @param {*} value - 값
+ * @returns {string} 컬럼 타입
+ */
+const inferColumnType = (value) => {
+  if (typeof value === 'number') return 'REAL';
+  if (typeof value === 'boolean') return 'INTEGER';
+  return 'TEXT';
+};
+
+/**
+ * SQLite 바인딩 값으로 변환 (boolean/객체는 SQLite가 직접 저장하지 못함)
+ * @param {*} value - 값
+ * @returns {*} 바인딩 값
+ */
+const toSqliteValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+/**
+ * SQLite 저장소 생성
+ * @param {Object} [options]
+ * @param {string} [options.path] - DB 파일 경로 (기본: SINK_PATH 또는 data/ad-report.sqlite)
+ * @returns {Promise<import('./index.js').Sink>} 저장소
+ */
+async function createSqliteSink({ path: dbPath = process.env.SINK_PATH || 'data/ad-report.sqlite' } = {}) {
+  let Database;
+  try {
+    Database = (await import('better-sqlite3')).default;
+  } catch {
+    throw new Error('SQLite 저장소를 사용하려면 better-sqlite3 패키지를 설치하세요 (npm install better-sqlite3).');
+  }
+
+  if (dbPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(dbPath)), { recursive: true });
+  }
+  const db = new Database(dbPath);
+  const placeholder = () => '?';
+
+  const tableColumns = (table) =>
+    db.prepare(`PRAGMA table_info(${quoteIdent(table)})`).all().map(column => column.name);
+
+  // 테이블/컬럼/유니크 인덱스 자동 생성
+  const ensureTable = (table, rows, onConflict) => {
+    const columns = collectColumns(rows);
+    const sample = (column) => rows.find(row => row[column] !== undefined && row[column] !== null)?.[column];
+    const existing = tableColumns(table);
+
+    if (existing.length === 0) {
+      const definitions = columns.map(column => `${quoteIdent(column)} ${inferColumnType(sample(column))}`);
+      db.exec(`CREATE TABLE ${quoteIdent(table)} (${definitions.join(', ')})`);
+    } else {
+      for (const column of columns.filter(c => !existing.includes(c))) {
+        db.exec(`ALTER TABLE ${quoteIdent(table)} ADD COLUMN ${quoteIdent(column)} ${inferColumnType(sample(column))}`);
+      }
+    }
+
+    const indexName = `${table}_${onConflict.join('_')}_key`;
+    db.exec(
+      `CREATE UNIQUE INDEX IF NOT EXISTS ${quoteIdent(indexName)} ` +
+      `ON ${quoteIdent(table)} (${onConflict.map(quoteIdent).join(', ')})`
+    );
+
+    return columns;
+  };
+
+  return {
+    type: 'sqlite',
+    description: `SQLite(${dbPath})`,
+
+    async upsert(table, rows, { onConflict }) {
+      if (rows.length === 0) return;
+
+      const columns = ensureTable(table, rows, onConflict);
+      const updates = columns
+        .filter(column => !onConflict.includes(column))
+        .map(column => `${quoteIdent(column)} = excluded.${quoteIdent(column)}`);
+
+      const statement = db.prepare(
+        `INSERT INTO ${quoteIdent(table)} (${columns.map(quoteIdent).join(', ')}) ` +
+        `VALUES (${columns.map(() => '?').join(', ')}) ` +
+        `ON CONFLICT (${onConflict.map(quoteIdent).join(', ')}) ` +
+        (updates.length > 0 ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING')
+      );
+
+      const insertAll = db.transaction((items) => {
+        for (const row of items) {
+          statement.run(columns.map(column => toSqliteValue(row[column])));
+        }
+      });
+      insertAll(rows);
+    },
+
+    async select(table, query = {}) {
+      if (tableColumns(table).length === 0) return [];
+
+      const columns = query.columns?.length ? query.columns.map(quoteIdent).join(', ') : '*';
+      const { clause, params } = buildSqlWhere(query, placeholder);
+      return db.prepare(`SELECT ${columns} FROM ${quoteIdent(table)}${clause}`).all(params.map(toSqliteValue));
+    },
+
+    async count(table, query = {}) {
+      if (tableColumns(table).length === 0) return 0;
+
+      const { clause, params } = buildSqlWhere(query, placeholder);
+      return db.prepare(`SELECT COUNT(*) AS count FROM ${quoteIdent(table)}${clause}`).get(params.map(toSqliteValue)).count;
+    },
+
+    async delete(table, query) {
+      assertDeleteQuery(table, query);
+      if (tableColumns(table).length === 0) return;
+
+      const { clause, params } = buildSqlWhere(query, placeholder);
+      db.prepare(`DELETE FROM ${quoteIdent(table)}${clause}`).run(params.map(toSqliteValue));
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+export { createSqliteSink };
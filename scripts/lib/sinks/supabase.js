@@ -0,0 +1,97 @@
+// scripts/lib/sinks/supabase.js
+// Supabase 저장소
+
+import { createClient } from '@supabase/supabase-js';
+import { assertDeleteQuery } from './query.js';
+
+const PAGE_SIZE = 1000; // Supabase 기본 최대 조회 건수
+
+/**
+ * 조회 조건을 Supabase 쿼리 빌더에 적용
+ * @param {Object} builder - Supabase 쿼리 빌더
+ * @param {import('./query.js').SinkQuery} query - 조회 조건
+ * @returns {Object} 조건이 적용된 쿼리 빌더
+ */
+const applyFilters = (builder, query = {}) => {
+  let result = builder;
+  for (const [column, value] of Object.entries(query.eq || {})) result = result.eq(column, value);
+  for (const [column, value] of Object.entries(query.gte || {})) result = result.gte(column, value);
+  for (const [column, value] of Object.entries(query.lte || {})) result = result.lte(column, value);
+  for (const [column, values] of Object.entries(query.in || {})) result = result.in(column, values);
+  return result;
+};
+
+/**
+ * Supabase 저장소 생성
+ * @param {Object} [options]
+ * @param {string} [options.url] - Supabase URL (기본: SUPABASE_URL)
+ * @param {string} [options.key] - Supabase 키 (기본: SUPABASE_KEY)
+ * @returns {import('./index.js').Sink} 저장소
+ */
+function createSupabaseSink({ url = process.env.SUPABASE_URL, key = process.env.SUPABASE_KEY } = {}) {
+  if (!url || !key) {
+    throw new Error('Supabase 저장소에는 SUPABASE_URL, SUPABASE_KEY 환경변수가 필요합니다.');
+  }
+
+  const supa = createClient(url, key);
+
+  return {
+    type: 'supabase',
+    description: `Supabase(${url})`,
+
+    async upsert(table, rows, { onConflict }) {
+      const { error } = await supa
+        .from(table)
+        .upsert(rows, { onConflict: onConflict.join(',') });
+
+      if (error) {
+        console.error('❌ Supabase 에러:', error);
+        throw new Error(`${table} upsert 실패: ${error.message}`);
+      }
+    },
+
+    async select(table, query = {}) {
+      const columns = query.columns?.length ? query.columns.join(',') : '*';
+      const rows = [];
+
+      for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await applyFilters(supa.from(table).select(columns), query)
+          .range(from, from + PAGE_SIZE - 1);
+
+        if (error) {
+          throw new Error(`${table} 조회 실패: ${error.message}`);
+        }
+
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) break;
+      }
+
+      return rows;
+    },
+
+    async count(table, query = {}) {
+      const { count, error } = await applyFilters(
+        supa.from(table).select('*', { count: 'exact', head: true }),
+        query
+      );
+
+      if (error) {
+        throw new Error(`${table} 건수 조회 실패: ${error.message}`);
+      }
+      return count || 0;
+    },
+
+    async delete(table, query) {
+      assertDeleteQuery(table, query);
+      const { error } = await applyFilters(supa.from(table).delete(), query);
+
+      if (error) {
+        throw new Error(`${table} 삭제 실패: ${error.message}`);
+      }
+    },
+
+    async close() {}
+  };
+}
+
+export { createSupabaseSink };
@@ -0,0 +1,159 @@
+// scripts/lib/validation.js
+// 저장 전 행 검증 (스키마·상식 규칙·0 덮어쓰기 방지)
+//
+// 검증 결과는 위반(violation) 목록으로 모아 실행 요약·알림에 표시한다.
+//   error   - 저장하지 않음 (키 누락, 숫자가 아닌 지표, 음수, 0으로 덮어쓰기)
+//   warning - 저장은 하되 표시 (클릭 > 노출, 검색 광고 전환 > 클릭, 대표 데이터셋 빈 응답)
+//
+// ALLOW_ZERO_OVERWRITE=true 이면 0 덮어쓰기 방지를 끈다 (실제로 실적이 0이 된 날짜를 고칠 때).
+
+import { rowKey } from './sinks/query.js';
+import { selectStoredRows } from './diff.js';
+
+// 있으면 유한한 0 이상의 숫자여야 하는 지표 컬럼
+const METRIC_COLUMNS = [
+  'spend', 'impressions', 'clicks', 'reach', 'conversion', 'conversion_value',
+  'spend_ex_vat_krw', 'spend_inc_vat_krw'
+];
+
+// 0 덮어쓰기 판단에 쓰는 실적 컬럼
+const VOLUME_COLUMNS = ['spend', 'impressions', 'clicks'];
+
+/**
+ * 검증 위반
+ * @typedef {Object} Violation
+ * @property {'error'|'warning'} level - 심각도
+ * @property {string} rule - 규칙 이름
+ * @property {string} table - 테이블
+ * @property {string} key - 행 키 (onConflict 컬럼 값)
+ * @property {string} message - 설명
+ */
+
+const isTruthy = (value) => ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const keyLabel = (row, onConflict) => onConflict.map(column => row[column]).join(' / ');
+
+/**
+ * 한 행의 규칙 위반 목록
+ * @param {Object} row - 행
+ * @param {import('./collector.js').DatasetSpec} spec - 데이터셋 저장 설정
+ * @returns {Violation[]} 위반 목록
+ */
+const checkRow = (row, spec) => {
+  const violations = [];
+  const violation = (level, rule, message) => violations.push({
+    level, rule, table: spec.table, key: keyLabel(row, spec.onConflict), message
+  });
+
+  const missingKeys = spec.onConflict.filter(column => isBlank(row[column]));
+  if (missingKeys.length > 0) {
+    violation('error', 'missing_key', `키 컬럼 값 없음: ${missingKeys.join(', ')}`);
+  }
+
+  for (const column of METRIC_COLUMNS) {
+    if (!(column in row)) continue;
+
+    const value = row[column];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      violation('error', 'not_a_number', `${column} 값이 숫자가 아닙니다: ${JSON.stringify(value)}`);
+    } else if (value < 0) {
+      violation('error', 'negative', `${column} 값이 음수입니다: ${value}`);
+    }
+  }
+
+  if (row.clicks > row.impressions) {
+    violation('warning', 'clicks_over_impressions', `클릭(${row.clicks}) > 노출(${row.impressions})`);
+  }
+  if (spec.clickBasedConversions && row.conversion > row.clicks) {
+    violation('warning', 'conversions_over_clicks', `전환(${row.conversion}) > 클릭(${row.clicks})`);
+  }
+
+  return violations;
+};
+
+/**
+ * 스키마·상식 규칙 검증 (error가 있는 행은 제외)
+ * @param {Object[]} rows - 저장할 행
+ * @param {import('./collector.js').DatasetSpec} spec - 데이터셋 저장 설정
+ * @returns {{ rows: Object[], violations: Violation[] }} 저장할 행과 위반 목록
+ */
+function validateRows(rows, spec) {
+  const valid = [];
+  const violations = [];
+
+  for (const row of rows) {
+    const rowViolations = checkRow(row, spec);
+    violations.push(...rowViolations);
+    if (!rowViolations.some(v => v.level === 'error')) {
+      valid.push(row);
+    }
+  }
+
+  return { rows: valid, violations };
+}
+
+/**
+ * 저장된 실적이 있는 행을 실적 0인 행으로 덮어쓰지 않도록 제외
+ * API가 빈 응답이나 잘린 리포트를 돌려줘 멀쩡한 데이터가 0으로 바뀌는 것을 막는다.
+ * 저장된 행 조회에 실패하면 검사 없이 그대로 저장한다.
+ * @param {import('./sinks/index.js').Sink} sink - 저장소
+ * @param {Object[]} rows - 저장할 행
+ * @param {import('./collector.js').DatasetSpec} spec - 데이터셋 저장 설정
+ * @returns {Promise<{ rows: Object[], violations: Violation[] }>} 저장할 행과 위반 목록
+ */
+async function guardZeroOverwrite(sink, rows, spec) {
+  const hasVolume = (row) => VOLUME_COLUMNS.some(column => Number(row[column]) > 0);
+  // 실적 컬럼이 없는 데이터셋(전환 유형 등)은 검사 대상 아님
+  const isZeroRow = (row) => VOLUME_COLUMNS.some(column => column in row) && !hasVolume(row);
+  const zeroRows = rows.filter(isZeroRow);
+
+  if (zeroRows.length === 0 || isTruthy(process.env.ALLOW_ZERO_OVERWRITE)) {
+    return { rows, violations: [] };
+  }
+
+  let storedRows;
+  try {
+    storedRows = await selectStoredRows(sink, spec.table, zeroRows, spec.onConflict);
+  } catch (error) {
+    console.error(`⚠️ ${spec.table} 기존 데이터 조회 실패 - 0 덮어쓰기 검사를 건너뜁니다:`, error.message);
+    return { rows, violations: [] };
+  }
+
+  const storedWithVolume = new Set(
+    storedRows.filter(hasVolume).map(row => rowKey(row, spec.onConflict))
+  );
+  const violations = [];
+  const kept = rows.filter(row => {
+    if (!isZeroRow(row) || !storedWithVolume.has(rowKey(row, spec.onConflict))) return true;
+
+    violations.push({
+      level: 'error',
+      rule: 'zero_overwrite',
+      table: spec.table,
+      key: keyLabel(row, spec.onConflict),
+      message: '저장된 실적을 0으로 덮어쓰지 않고 건너뜀'
+    });
+    return false;
+  });
+
+  return { rows: kept, violations };
+}
+
+/**
+ * 위반 목록 출력
+ * @param {string} title - 표시 제목 (예: 'DOK 네이버 insights')
+ * @param {Violation[]} violations - 위반 목록
+ */
+function printViolations(title, violations) {
+  if (violations.length === 0) return;
+
+  const errors = violations.filter(v => v.level === 'error').length;
+  console.log(`🚧 ${title} 검증: 제외 ${errors}건 / 경고 ${violations.length - errors}건`);
+  for (const v of violations) {
+    console.log(`  ${v.level === 'error' ? '✖' : '!'} [${v.rule}] ${v.key}: ${v.message}`);
+  }
+}
+
+export { METRIC_COLUMNS, validateRows, guardZeroOverwrite, printViolations };
@@ -0,0 +1,178 @@
+// scripts/recompute-brand-search.js
+// 네이버 브랜드검색(Naver BS) 광고비 재계산 스크립트
+//
+// 사용법:
+//   node scripts/recompute-brand-search.js --from 2025-08-01 --to 2025-08-31 [--brand main,dok] [--dry-run]
+//
+// 계약(config/brands.json 의 naver.brandSearchContracts)을 수정한 뒤 과거 날짜의 Naver BS 행을
+// API 재수집 없이 다시 계산한다. 노출·클릭·전환은 그대로 두고 spend와 비용 기반 지표,
+// 원화 VAT 별도/포함 광고비 컬럼만 갱신하며, 행이 없는 날짜라도 계약 광고비가 있으면 새로 만든다.
+// 저장 전에 수집과 같은 검증을 거친다.
+
+import dotenv from 'dotenv';
+import { CONFIG as NAVER_CONFIG, NaverDataTransformer } from './fetch-naver.js';
+import { getBrands, brandLabel } from './lib/brand-registry.js';
+import { resolveBrandSearchContracts, getBrandSearchDailySpend, uncoveredContractMessage } from './lib/brand-search.js';
+import { BASE_CURRENCY, normalizeSpend } from './lib/currency.js';
+import { validateRows, printViolations } from './lib/validation.js';
+import { dateRange } from './lib/dates.js';
+import { createSink } from './lib/sinks/index.js';
+
+// 환경변수 로드
+dotenv.config();
+
+const CAMPAIGN = 'Naver BS';
+const USAGE = '사용법: node scripts/recompute-brand-search.js --from YYYY-MM-DD --to YYYY-MM-DD [--brand main,dok] [--dry-run]';
+
+/**
+ * 명령행 인자 파싱
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{ from: string, to: string, brandIds: string[], dryRun: boolean }}
+ */
+function parseArgs(argv) {
+  const args = { from: null, to: null, brandIds: [], dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split('=');
+    const value = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+
+    switch (flag) {
+      case '--from':
+        args.from = value();
+        break;
+      case '--to':
+        args.to = value();
+        break;
+      case '--brand':
+        args.brandIds = (value() || '').split(',').map(v => v.trim()).filter(Boolean);
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      default:
+        throw new Error(`알 수 없는 인자: ${argv[i]}\n${USAGE}`);
+    }
+  }
+
+  if (!args.from || !args.to) {
+    throw new Error(`--from, --to 인자가 필요합니다.\n${USAGE}`);
+  }
+
+  return args;
+}
+
+/**
+ * 광고비를 바꾼 Naver BS 행 (비용 기반 지표 재계산, 평균 순위는 유지)
+ * @param {Object} row - 기존 행 (없으면 date만 가진 빈 행)
+ * @param {number} spend - 새 광고비
+ * @returns {Object} 갱신된 행
+ */
+const withSpend = (row, spend) => {
+  const impressions = Number(row.impressions) || 0;
+  const data = {
+    spend,
+    impressions,
+    clicks: Number(row.clicks) || 0,
+    conversion: Number(row.conversion) || 0,
+    conversionValue: Number(row.conversion_value) || 0,
+    sumAdRank: (Number(row.rank_avg) || 0) * impressions
+  };
+
+  return {
+    ...row,
+    campaign: CAMPAIGN,
+    spend: Number(spend.toFixed(2)),
+    impressions: data.impressions,
+    clicks: data.clicks,
+    conversion: data.conversion,
+    conversion_value: data.conversionValue,
+    quality_index: row.quality_index ?? 0,
+    ...NaverDataTransformer.calculateAllMetrics(data)
+  };
+};
+
+/**
+ * 기간 내 Naver BS 광고비 재계산
+ * @param {Object} options
+ * @param {import('./lib/sinks/index.js').Sink} options.sink - 저장소
+ * @param {string} options.from - 시작일 (YYYY-MM-DD)
+ * @param {string} options.to - 종료일 (YYYY-MM-DD)
+ * @param {string[]} [options.brandIds] - 브랜드 ID 목록 (비우면 네이버 설정이 있는 전체)
+ * @param {boolean} [options.dryRun] - true면 저장하지 않고 변경 내역만 반환
+ * @returns {Promise<Array<{ brand: string, date: string, before: number|null, after: number }>>} 변경 내역
+ */
+async function recomputeBrandSearch({ sink, from, to, brandIds = [], dryRun = false }) {
+  const dates = dateRange(from, to);
+  const changes = [];
+
+  for (const brand of getBrands(brandIds)) {
+    const naverConfig = brand.platforms?.naver;
+    if (!naverConfig) continue;
+
+    const label = brandLabel(brand, '네이버');
+    const table = naverConfig.tables.insights;
+    const contracts = resolveBrandSearchContracts(naverConfig, brand.id);
+
+    const stored = await sink.select(table, { eq: { campaign: CAMPAIGN }, gte: { date: from }, lte: { date: to } });
+    const storedByDate = new Map(stored.map(row => [row.date, row]));
+    const updates = [];
+
+    for (const date of dates) {
+      const spend = Number(getBrandSearchDailySpend(contracts, date, NAVER_CONFIG.AD.VAT_RATE).toFixed(2));
+      const uncoveredMessage = uncoveredContractMessage(contracts, date);
+      if (uncoveredMessage) {
+        console.log(`⚠️ ${label}: ${uncoveredMessage}`);
+      }
+      const row = storedByDate.get(date);
+      const before = row ? Number(row.spend) || 0 : null;
+
+      // 행이 없고 계약도 없는 날짜, 이미 같은 금액인 행은 그대로
+      if (row ? before === spend : spend === 0) continue;
+
+      changes.push({ brand: brand.id, date, before, after: spend });
+      updates.push(withSpend(row || { date }, spend));
+    }
+
+    console.log(`🔁 ${label} ${CAMPAIGN}: ${updates.length}일 광고비 변경${dryRun ? ' [dry-run]' : ''}`);
+    changes.filter(change => change.brand === brand.id).forEach(({ date, before, after }) => {
+      console.log(`  ${date}: ${before === null ? '(없음)' : before.toLocaleString()} → ${after.toLocaleString()}`);
+    });
+
+    if (dryRun || updates.length === 0) continue;
+
+    // 브랜드검색 광고비는 원화 VAT 포함 계약 금액 기준
+    const normalized = updates.flatMap(row => normalizeSpend([row], { currency: BASE_CURRENCY, vatIncluded: true, date: row.date }));
+    const spec = { table, onConflict: ['date', 'campaign'], clickBasedConversions: true };
+    const { rows: valid, violations } = validateRows(normalized, spec);
+    printViolations(`${label} ${CAMPAIGN}`, violations);
+    if (valid.length === 0) continue;
+
+    const now = new Date().toISOString();
+    valid.forEach(row => {
+      row.updated_at = now;
+    });
+    await sink.upsert(table, valid, { onConflict: spec.onConflict });
+    console.log(`✅ ${label} ${table} 저장 완료`);
+  }
+
+  return changes;
+}
+
+// 스크립트 직접 실행 시
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const sink = await createSink();
+
+    try {
+      await recomputeBrandSearch({ sink, ...args });
+    } finally {
+      await sink.close();
+    }
+  } catch (error) {
+    console.error('💥 브랜드검색 광고비 재계산 에러:', error.message);
+    process.exit(1);
+  }
+}
+
+export { recomputeBrandSearch };
@@ -0,0 +1,69 @@
+// scripts/send-daily-report.js
+// 일일 리포트 메일 발송 스크립트 (브랜드별 수신자에게 HTML 본문 + insights CSV 첨부)
+//
+// 사용법:
+//   node scripts/send-daily-report.js [--date 2025-08-01] [--brand main,dok]
+//
+// 날짜를 지정하지 않으면 TARGET_DATE 또는 어제(KST). SMTP 설정은 scripts/lib/mailer.js 참고.
+
+import dotenv from 'dotenv';
+import { createSink } from './lib/sinks/index.js';
+import { resolveDates } from './lib/dates.js';
+import { sendDailyReports } from './lib/mailer.js';
+
+// 환경변수 로드
+dotenv.config();
+
+const USAGE = '사용법: node scripts/send-daily-report.js [--date YYYY-MM-DD] [--brand main,dok]';
+
+/**
+ * 명령행 인자 파싱
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{ date: string|null, brandIds: string[] }}
+ */
+function parseArgs(argv) {
+  const args = { date: null, brandIds: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split('=');
+    const value = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+
+    switch (flag) {
+      case '--date':
+        args.date = value();
+        break;
+      case '--brand':
+        args.brandIds = (value() || '').split(',').map(v => v.trim()).filter(Boolean);
+        break;
+      default:
+        throw new Error(`알 수 없는 인자: ${argv[i]}\n${USAGE}`);
+    }
+  }
+
+  return args;
+}
+
+// 스크립트 직접 실행 시
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const { date, brandIds } = parseArgs(process.argv.slice(2));
+    const [reportDate] = resolveDates(date ? [date] : undefined);
+    const sink = await createSink();
+
+    let results;
+    try {
+      results = await sendDailyReports({ sink, date: reportDate, brandIds });
+    } finally {
+      await sink.close();
+    }
+
+    const failed = results.filter(r => r.status === 'failed');
+    if (failed.length > 0) {
+      console.error(`💥 ${failed.length}개 브랜드 리포트 발송 실패: ${failed.map(r => r.brand).join(', ')}`);
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('💥 리포트 발송 에러:', error.message);
+    process.exit(1);
+  }
+}
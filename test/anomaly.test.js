@@ -0,0 +1,101 @@
+// test/anomaly.test.js
+// 광고비·CPA·ROAS 이상 징후 탐지 테스트
+
+import { test, mock, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileSink } from '../scripts/lib/sinks/file.js';
+import { addDays } from '../scripts/lib/dates.js';
+import { ANOMALY_TABLE, ANOMALY_KEYS, robustScore, detectAnomalies, saveAnomalies } from '../scripts/lib/anomaly.js';
+
+// 테스트 임시 디렉터리 (끝나면 삭제)
+const TMP_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'anomaly-'));
+after(() => fs.rmSync(TMP_ROOT, { recursive: true, force: true }));
+
+const DATE = '2025-08-29';
+const CONFIG = { threshold: 3.5, minBaselineDays: 7 };
+const BRAND = { id: 'main', platforms: { google: { tables: { insights: 'google_insights' } } } };
+
+// 직전 days일 동안 광고비가 조금씩 흔들리는 채널 (ROAS 약 300%, CPA 약 ₩20,000)
+const history = (campaign, days, spendAt = () => 100000) => Array.from({ length: days }, (_, i) => {
+  const spend = spendAt(i) + (i % 5) * 2000;
+  return {
+    date: addDays(DATE, -(i + 1)), campaign, spend, impressions: 10000, clicks: 300,
+    conversion: spend / 20000, conversion_value: spend * 3
+  };
+});
+
+test('수정 z-점수: 중앙값·MAD 기준, 변동이 없으면 중앙값 5%를 최소 척도로 사용', () => {
+  const scored = robustScore(130, [90, 100, 100, 110, 120]);
+  assert.equal(scored.median, 100);
+  assert.equal(scored.score.toFixed(2), '2.02'); // 0.6745 × 30 / 10
+
+  assert.equal(robustScore(110, [100, 100, 100]).score, 2); // 10 / (100 × 5%)
+  assert.equal(robustScore(0, [0, 0, 0]), null);
+  assert.equal(robustScore(1, []), null);
+});
+
+test('광고비 급증과 ROAS 급락을 두 기준선 모두에서 잡고, 평소 범위·기준선 부족 채널은 제외', async () => {
+  const sink = createFileSink({ dir: fs.mkdtempSync(path.join(TMP_ROOT, 'anomaly-')) });
+  await sink.upsert('google_insights', [
+    ...history('Google PMAX', 28),
+    { date: DATE, campaign: 'Google PMAX', spend: 900000, impressions: 20000, clicks: 600, conversion: 6, conversion_value: 300000 },
+    ...history('Google SA', 28),
+    { date: DATE, campaign: 'Google SA', spend: 104000, impressions: 10000, clicks: 300, conversion: 5.2, conversion_value: 312000 },
+    ...history('Google Demand Gen', 5),
+    { date: DATE, campaign: 'Google Demand Gen', spend: 900000, impressions: 10000, clicks: 300, conversion: 1, conversion_value: 0 }
+  ], { onConflict: ['date', 'campaign'] });
+
+  const anomalies = await detectAnomalies(sink, { brand: BRAND, platform: 'google', dates: [DATE], config: CONFIG });
+
+  assert.deepEqual(anomalies.map(a => [a.campaign, a.metric, a.direction]), [
+    ['Google PMAX', 'spend', 'high'],
+    ['Google PMAX', 'cpa', 'high'],
+    ['Google PMAX', 'roas', 'low']
+  ]);
+
+  const [spend] = anomalies;
+  assert.equal(spend.brand, 'main');
+  assert.equal(spend.platform, 'google');
+  assert.equal(spend.value, 900000);
+  assert.equal(spend.median_14d, 104000);
+  assert.equal(spend.median_28d, 104000);
+  assert.ok(spend.score_14d > CONFIG.threshold && spend.score_28d > CONFIG.threshold);
+  assert.equal(spend.message, '광고비 ₩900,000 (28일 중앙값 ₩104,000 대비 +765.4%)');
+
+  mock.method(console, 'log', () => {});
+  try {
+    const scope = { brand: 'main', platform: 'google', dates: [DATE] };
+    assert.equal(await saveAnomalies(sink, anomalies, scope), true);
+    await saveAnomalies(sink, anomalies, scope); // 다시 탐지해도 키 기준으로 덮어씀
+    assert.equal((await sink.select(ANOMALY_TABLE)).length, 3);
+
+    // 재수집 후 사라진 이상 징후는 지우고, 다른 브랜드·날짜의 결과는 그대로 둠
+    await sink.upsert(ANOMALY_TABLE, [
+      { ...spend, brand: 'dok' },
+      { ...spend, date: addDays(DATE, -1) }
+    ], { onConflict: ANOMALY_KEYS });
+    await saveAnomalies(sink, anomalies.filter(a => a.metric === 'spend'), scope);
+  } finally {
+    mock.restoreAll();
+  }
+  assert.deepEqual((await sink.select(ANOMALY_TABLE)).map(a => [a.date, a.brand, a.metric]), [
+    [DATE, 'dok', 'spend'],
+    [addDays(DATE, -1), 'main', 'spend'],
+    [DATE, 'main', 'spend']
+  ]);
+});
+
+test('14일 기준선으로만 벗어난 값(2주 전 수준으로 복귀)은 제외', async () => {
+  const sink = createFileSink({ dir: fs.mkdtempSync(path.join(TMP_ROOT, 'anomaly-')) });
+  // 최근 14일은 ₩100,000 수준, 그 전 14일은 ₩300,000 수준
+  await sink.upsert('google_insights', [
+    ...history('Google PMAX', 28, i => (i < 14 ? 100000 : 300000)),
+    { date: DATE, campaign: 'Google PMAX', spend: 300000, impressions: 10000, clicks: 300, conversion: 15, conversion_value: 900000 }
+  ], { onConflict: ['date', 'campaign'] });
+
+  // 14일 기준 z-점수는 30 이상이지만 28일 중앙값(₩204,000) 기준으로는 평소 범위
+  assert.deepEqual(await detectAnomalies(sink, { brand: BRAND, platform: 'google', dates: [DATE], config: CONFIG }), []);
+});
@@ -0,0 +1,98 @@
+// test/backfill.test.js
+// 기간 백필 (저장된 날짜 건너뛰기, --force, 날짜별 결과) 테스트
+
+import { test, mock, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileSink } from '../scripts/lib/sinks/file.js';
+import { RUN_HISTORY_TABLE } from '../scripts/lib/run-history.js';
+import { runBackfill } from '../scripts/backfill.js';
+
+// 테스트 임시 디렉터리 (끝나면 삭제)
+const TMP_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-'));
+after(() => fs.rmSync(TMP_ROOT, { recursive: true, force: true }));
+
+const RANGE = { from: '2025-08-01', to: '2025-08-04', brandIds: ['main'], platforms: ['naver'] };
+
+let sink;
+let calls;
+
+// 받은 날짜마다 2건을 수집했다고 요약하는 수집 함수
+const runners = (fetch = async ({ dates }) => dates.map(date => ({ date, rows: 2, spend: 1000, violations: [] }))) => ({
+  naver: {
+    name: '네이버',
+    fetch: async (options) => {
+      calls.push(options);
+      return fetch(options);
+    }
+  }
+});
+
+beforeEach(async () => {
+  sink = createFileSink({ dir: fs.mkdtempSync(path.join(TMP_ROOT, 'backfill-')) });
+  calls = [];
+  await sink.upsert('naver_insights', [
+    { date: '2025-08-02', campaign: 'Naver SA', spend: 1000 },
+    { date: '2025-08-04', campaign: 'Naver SA', spend: 1000 }
+  ], { onConflict: ['date', 'campaign'] });
+
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  mock.method(console, 'table', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('저장된 날짜는 건너뛰고 나머지 날짜를 브랜드·플랫폼당 한 번에 수집', async () => {
+  const report = await runBackfill({ ...RANGE, sink, runners: runners() });
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].brandId, 'main');
+  assert.deepEqual(calls[0].dates, ['2025-08-01', '2025-08-03']);
+  assert.equal(calls[0].sink, sink);
+
+  assert.deepEqual(report.map(e => [e.date, e.status, e.rows]), [
+    ['2025-08-01', 'success', 2],
+    ['2025-08-02', 'skipped', null],
+    ['2025-08-03', 'success', 2],
+    ['2025-08-04', 'skipped', null]
+  ]);
+
+  const records = await sink.select(RUN_HISTORY_TABLE);
+  assert.deepEqual(records.map(r => [r.target_date, r.status, r.row_count]), [
+    ['2025-08-01', 'success', 2],
+    ['2025-08-03', 'success', 2]
+  ]);
+});
+
+test('모든 날짜가 저장돼 있으면 수집하지 않고, --force면 전체 기간을 다시 수집', async () => {
+  const stored = await runBackfill({ ...RANGE, from: '2025-08-04', sink, runners: runners() });
+  assert.equal(calls.length, 0);
+  assert.deepEqual(stored.map(e => e.status), ['skipped']);
+
+  const forced = await runBackfill({ ...RANGE, force: true, sink, runners: runners() });
+  assert.deepEqual(calls.map(c => c.dates), [['2025-08-01', '2025-08-02', '2025-08-03', '2025-08-04']]);
+  assert.ok(forced.every(e => e.status === 'success'));
+});
+
+test('수집 실패 시 대상 날짜 전체를 실패로 기록', async () => {
+  const failing = runners(async () => {
+    throw new Error('네이버 API 에러: 500');
+  });
+
+  const report = await runBackfill({ ...RANGE, sink, runners: failing });
+
+  assert.deepEqual(report.map(e => [e.date, e.status, e.error]), [
+    ['2025-08-01', 'failed', '네이버 API 에러: 500'],
+    ['2025-08-02', 'skipped', null],
+    ['2025-08-03', 'failed', '네이버 API 에러: 500'],
+    ['2025-08-04', 'skipped', null]
+  ]);
+
+  const records = await sink.select(RUN_HISTORY_TABLE);
+  assert.deepEqual(records.map(r => [r.target_date, r.status]), [['2025-08-01', 'failed'], ['2025-08-03', 'failed']]);
+});
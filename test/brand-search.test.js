@@ -0,0 +1,136 @@
+// test/brand-search.test.js
+// 브랜드검색 계약 광고비 일할 계산·재계산 테스트
+
+import { test, mock, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileSink } from '../scripts/lib/sinks/file.js';
+import {
+  contractDays, resolveBrandSearchContracts, getBrandSearchDailySpend, uncoveredContractMessage
+} from '../scripts/lib/brand-search.js';
+import { recomputeBrandSearch } from '../scripts/recompute-brand-search.js';
+
+// 테스트 임시 디렉터리 (끝나면 삭제)
+const TMP_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'brand-search-'));
+after(() => fs.rmSync(TMP_ROOT, { recursive: true, force: true }));
+
+const VAT_RATE = 1.1;
+
+test('계약 일수는 시작·종료일 포함', () => {
+  assert.equal(contractDays({ start: '2025-08-01', end: '2025-08-31' }), 31);
+  assert.equal(contractDays({ start: '2025-08-01', end: '2025-08-01' }), 1);
+});
+
+test('일 광고비: VAT 별도 계약은 VAT를 더해 일할, 기간 밖은 0, 겹치는 계약은 합산', () => {
+  const contracts = resolveBrandSearchContracts({
+    brandSearchContracts: [
+      { start: '2025-08-01', end: '2025-08-10', price: 1000000, vatIncluded: false },
+      { start: '2025-08-10', end: '2025-08-11', price: 30000 }
+    ]
+  }, 'main');
+
+  assert.equal(contracts[1].vatIncluded, true); // 기본값 VAT 포함
+  assert.equal(getBrandSearchDailySpend(contracts, '2025-08-01', VAT_RATE), 110000);
+  assert.equal(getBrandSearchDailySpend(contracts, '2025-08-10', VAT_RATE), 125000);
+  assert.equal(getBrandSearchDailySpend(contracts, '2025-08-11', VAT_RATE), 15000);
+  assert.equal(getBrandSearchDailySpend(contracts, '2025-07-31', VAT_RATE), 0);
+  assert.equal(getBrandSearchDailySpend([], '2025-08-01', VAT_RATE), 0);
+});
+
+test('일비 계약: 기간을 비우면 제한 없이 적용, 계약 없는 날짜는 경고 문구', () => {
+  const contracts = resolveBrandSearchContracts({
+    brandSearchContracts: [
+      { end: '2025-07-31', dailySpend: 51333 },
+      { start: '2025-08-01', end: '2025-08-31', price: 3100000 },
+      { start: '2025-10-01', dailySpend: 10000, vatIncluded: false }
+    ]
+  }, 'main');
+
+  assert.equal(getBrandSearchDailySpend(contracts, '2020-01-01', VAT_RATE), 51333);
+  assert.equal(getBrandSearchDailySpend(contracts, '2025-08-15', VAT_RATE), 100000);
+  assert.equal(getBrandSearchDailySpend(contracts, '2030-01-01', VAT_RATE), 11000);
+
+  assert.equal(uncoveredContractMessage(contracts, '2025-08-15'), null);
+  assert.match(uncoveredContractMessage(contracts, '2025-09-15'), /2025-09-15 브랜드검색 계약 없음/);
+  assert.equal(getBrandSearchDailySpend(contracts, '2025-09-15', VAT_RATE), 0);
+});
+
+test('계약 설정 검증', () => {
+  const resolve = (contract) => resolveBrandSearchContracts({ brandSearchContracts: [contract] }, 'dok');
+
+  assert.throws(() => resolve({ start: '2025-8-1', end: '2025-08-31', price: 1 }), /dok\.naver\.brandSearchContracts\[0\]: start, end/);
+  assert.throws(() => resolve({ start: '2025-09-01', end: '2025-08-31', price: 1 }), /시작일이 종료일보다 늦습니다/);
+  assert.throws(() => resolve({ start: '2025-08-01', end: '2025-08-31', price: '1000' }), /price/);
+  assert.throws(() => resolve({ end: '2025-08-31', price: 1000 }), /start, end/); // 총액 계약은 기간 필수
+  assert.throws(() => resolve({ dailySpend: 1000, price: 1000 }), /함께 쓸 수 없습니다/);
+  assert.throws(() => resolve({ dailySpend: -1 }), /dailySpend/);
+  assert.deepEqual(resolveBrandSearchContracts({}, 'dok'), []);
+});
+
+test('재계산: 기존 행 광고비·비용 지표 갱신, 계약 기간 밖은 0, 없는 날짜는 행 생성', async (t) => {
+  const dir = fs.mkdtempSync(path.join(TMP_ROOT, 'brand-search-'));
+  const registryPath = path.join(dir, 'brands.json');
+  fs.writeFileSync(registryPath, JSON.stringify({
+    brands: [{
+      id: 'main',
+      platforms: {
+        naver: {
+          tables: { insights: 'naver_insights' },
+          brandSearchContracts: [{ start: '2025-08-02', end: '2025-08-03', price: 20000 }]
+        }
+      }
+    }]
+  }));
+  process.env.BRAND_CONFIG_PATH = registryPath;
+  t.after(() => delete process.env.BRAND_CONFIG_PATH);
+  mock.method(console, 'log', () => {});
+  t.after(() => mock.restoreAll());
+
+  const sink = createFileSink({ dir });
+  const bsRow = (date) => ({
+    date, campaign: 'Naver BS', spend: 51333, impressions: 500, clicks: 100,
+    conversion: 3, conversion_value: 150000, quality_index: 0, rank_avg: 1,
+    currency: 'KRW', fx_rate: 1, spend_ex_vat_krw: 46666.36, spend_inc_vat_krw: 51333
+  });
+  await sink.upsert('naver_insights', [
+    bsRow('2025-08-01'),
+    bsRow('2025-08-02'),
+    { ...bsRow('2025-08-02'), campaign: 'Naver SA', spend: 88000 }
+  ], { onConflict: ['date', 'campaign'] });
+
+  const preview = await recomputeBrandSearch({ sink, from: '2025-08-01', to: '2025-08-04', dryRun: true });
+  assert.deepEqual(preview, [
+    { brand: 'main', date: '2025-08-01', before: 51333, after: 0 },
+    { brand: 'main', date: '2025-08-02', before: 51333, after: 10000 },
+    { brand: 'main', date: '2025-08-03', before: null, after: 10000 }
+  ]);
+  assert.equal((await sink.select('naver_insights', { eq: { date: '2025-08-01', campaign: 'Naver BS' } }))[0].spend, 51333);
+
+  await recomputeBrandSearch({ sink, from: '2025-08-01', to: '2025-08-04' });
+  const rows = await sink.select('naver_insights', { eq: { campaign: 'Naver BS' } });
+  const byDate = Object.fromEntries(rows.map(row => [row.date, row]));
+
+  assert.equal(byDate['2025-08-01'].spend, 0);
+  assert.equal(byDate['2025-08-01'].spend_ex_vat_krw, 0); // 원화 광고비 컬럼도 함께 갱신
+  assert.equal(byDate['2025-08-01'].roas, 0);
+  assert.equal(byDate['2025-08-01'].clicks, 100); // 광고비 외 실적은 유지
+  assert.equal(byDate['2025-08-02'].spend, 10000);
+  assert.equal(byDate['2025-08-02'].spend_ex_vat_krw, 9090.91);
+  assert.equal(byDate['2025-08-02'].spend_inc_vat_krw, 10000);
+  assert.equal(byDate['2025-08-02'].roas, 15);
+  assert.equal(byDate['2025-08-02'].cpc, 100);
+  assert.equal(byDate['2025-08-02'].rank_avg, 1);
+  assert.equal(byDate['2025-08-03'].spend, 10000);
+  assert.equal(byDate['2025-08-03'].impressions, 0);
+  assert.equal(byDate['2025-08-03'].currency, 'KRW');
+  assert.equal(byDate['2025-08-04'], undefined);
+
+  // 다른 캠페인 행은 건드리지 않음
+  const [powerlink] = await sink.select('naver_insights', { eq: { campaign: 'Naver SA' } });
+  assert.equal(powerlink.spend, 88000);
+
+  // 다시 실행하면 변경 없음
+  assert.deepEqual(await recomputeBrandSearch({ sink, from: '2025-08-01', to: '2025-08-04' }), []);
+});
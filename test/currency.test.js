@@ -0,0 +1,101 @@
+// test/currency.test.js
+// 광고비 통화·VAT 정규화 테스트
+
+import { test, mock, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileSink } from '../scripts/lib/sinks/file.js';
+import { runAdapter } from '../scripts/lib/collector.js';
+import { getFxRate, getPlatformCurrency, normalizeSpend } from '../scripts/lib/currency.js';
+
+// 테스트 임시 디렉터리 (끝나면 삭제)
+const TMP_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'currency-'));
+after(() => fs.rmSync(TMP_ROOT, { recursive: true, force: true }));
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(TMP_ROOT, 'currency-'));
+  const ratesPath = path.join(dir, 'fx-rates.json');
+  fs.writeFileSync(ratesPath, JSON.stringify({
+    rates: {
+      USD: [
+        { from: '2025-08-01', rate: 1400 },
+        { from: '2025-01-01', rate: 1300 }
+      ]
+    }
+  }));
+  process.env.FX_RATES_PATH = ratesPath;
+});
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('환율: 원화는 1, 날짜 이전 가장 최근 환율 사용, 없으면 에러', () => {
+  assert.equal(getFxRate('KRW', '2020-01-01'), 1);
+  assert.equal(getFxRate('USD', '2025-07-31'), 1300);
+  assert.equal(getFxRate('USD', '2025-08-01'), 1400);
+  assert.throws(() => getFxRate('USD', '2024-12-31'), /USD 환율이 없습니다 \(2024-12-31\)/);
+  assert.throws(() => getFxRate('JPY', '2025-08-01'), /JPY 환율이 없습니다/);
+});
+
+test('플랫폼 통화: 설정이 없으면 KRW', () => {
+  const brand = { platforms: { meta: { currency: 'USD' }, naver: {} } };
+  assert.equal(getPlatformCurrency(brand, 'meta'), 'USD');
+  assert.equal(getPlatformCurrency(brand, 'naver'), 'KRW');
+});
+
+test('정규화: VAT 별도/포함 원화 컬럼, spend 없는 행은 그대로', () => {
+  const [meta] = normalizeSpend([{ campaign: 'Meta', spend: 100 }], { currency: 'USD', vatIncluded: false, date: '2025-08-01' });
+  assert.deepEqual(meta, {
+    campaign: 'Meta', spend: 100, currency: 'USD', fx_rate: 1400,
+    spend_ex_vat_krw: 140000, spend_inc_vat_krw: 154000
+  });
+
+  const [naver, conversion] = normalizeSpend(
+    [{ campaign: 'Naver SA', spend: 88000 }, { conversion_type: 'cart', conversion: 5 }],
+    { currency: 'KRW', vatIncluded: true, date: '2025-08-01' }
+  );
+  assert.equal(naver.spend, 88000);
+  assert.equal(naver.spend_ex_vat_krw, 80000);
+  assert.equal(naver.spend_inc_vat_krw, 88000);
+  assert.deepEqual(conversion, { conversion_type: 'cart', conversion: 5 });
+});
+
+test('수집기: 모든 데이터셋 행에 통화 컬럼을 붙여 저장', async () => {
+  const sink = createFileSink({ dir });
+  const adapter = {
+    platform: 'meta',
+    brand: { id: 'test', platforms: { meta: { currency: 'USD' } } },
+    label: 'Test Meta',
+    datasets: {
+      insights: { table: 'test_meta_insights', onConflict: ['date', 'campaign'] },
+      ads: { table: 'test_meta_ad_insights', onConflict: ['date', 'ad_id'] }
+    },
+    async fetch(date) {
+      return {
+        insights: [{ date, campaign: 'Meta', spend: 10 }],
+        ads: [{ date, ad_id: 'a1', spend: 4 }]
+      };
+    }
+  };
+
+  const summary = await runAdapter(adapter, ['2025-07-15'], { sink });
+  assert.deepEqual(summary, [{ date: '2025-07-15', rows: 1, spend: 13000, violations: [] }]); // 요약은 원화 VAT 별도 기준
+
+  const [insight] = await sink.select('test_meta_insights');
+  assert.equal(insight.currency, 'USD');
+  assert.equal(insight.spend_ex_vat_krw, 13000);
+  assert.equal(insight.spend_inc_vat_krw, 14300);
+
+  const [ad] = await sink.select('test_meta_ad_insights');
+  assert.equal(ad.fx_rate, 1300);
+  assert.equal(ad.spend_ex_vat_krw, 5200);
+});
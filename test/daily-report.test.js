@@ -0,0 +1,138 @@
+// test/daily-report.test.js
+// 일일 통합 리포트 집계·렌더링 테스트
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileSink } from '../scripts/lib/sinks/file.js';
+import { buildDailyReport, renderMarkdown, renderHtml, formatDelta } from '../scripts/lib/report.js';
+
+// 테스트 임시 디렉터리 (끝나면 삭제)
+const TMP_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+after(() => fs.rmSync(TMP_ROOT, { recursive: true, force: true }));
+
+const DATE = '2025-08-08';
+const KEYS = { onConflict: ['date', 'campaign'] };
+
+const row = (date, campaign, spend, conversion, conversionValue) => ({
+  date, campaign, spend, impressions: 1000, clicks: 50, conversion, conversion_value: conversionValue
+});
+
+let sink;
+let report;
+
+before(async () => {
+  sink = createFileSink({ dir: fs.mkdtempSync(path.join(TMP_ROOT, 'report-')) });
+
+  await sink.upsert('naver_insights', [
+    row(DATE, 'Naver SA', 110000, 10, 440000),
+    row(DATE, 'Naver BS', 51333, 5, 300000),
+    row('2025-08-07', 'Naver SA', 100000, 8, 400000),
+    row('2025-08-01', 'Naver SA', 220000, 10, 440000),
+    row('2025-08-05', 'Naver SA', 999999, 99, 9999999) // 비교 대상이 아닌 날짜
+  ], KEYS);
+  await sink.upsert('google_insights', [
+    row(DATE, 'GoogleSA', 50000, 0, 0),
+    row('2025-08-07', 'GoogleSA', 40000, 2, 100000)
+  ], KEYS);
+  await sink.upsert('dok_meta_insights', [
+    row(DATE, 'Meta', 30000, 3, 90000)
+  ], KEYS);
+
+  report = await buildDailyReport(sink, DATE);
+});
+
+test('전일·전주 비교 날짜', () => {
+  assert.deepEqual(report.compare, { dod: '2025-08-07', wow: '2025-08-01' });
+});
+
+test('채널별 광고비·ROAS·CPA와 비교 지표', () => {
+  const main = report.brands.find(b => b.id === 'main');
+  const naverSA = main.channels.find(c => c.campaign === 'Naver SA');
+
+  assert.equal(naverSA.label, '네이버 · Naver SA');
+  assert.equal(naverSA.current.spend, 110000);
+  assert.equal(naverSA.current.roas, 4);
+  assert.equal(naverSA.current.cpa, 11000);
+  assert.equal(naverSA.dod.spend, 100000);
+  assert.equal(naverSA.wow.spend, 220000);
+
+  // 비교 기간 데이터가 없는 채널
+  const naverBS = main.channels.find(c => c.campaign === 'Naver BS');
+  assert.equal(naverBS.dod, null);
+  assert.equal(naverBS.wow, null);
+
+  // 전환이 없으면 CPA 0
+  const google = main.channels.find(c => c.campaign === 'GoogleSA');
+  assert.equal(google.current.cpa, 0);
+  assert.equal(google.current.roas, 0);
+});
+
+test('브랜드 합계와 전체 합계는 합산 후 비율을 다시 계산', () => {
+  const main = report.brands.find(b => b.id === 'main');
+  assert.equal(main.total.current.spend, 211333);
+  assert.equal(main.total.current.conversion, 15);
+  assert.equal(main.total.current.roas, 740000 / 211333);
+  assert.equal(main.total.dod.spend, 140000);
+
+  const dok = report.brands.find(b => b.id === 'dok');
+  assert.deepEqual(dok.channels.map(c => c.label), ['Meta · Meta']);
+
+  assert.equal(report.total.current.spend, 241333);
+  assert.equal(report.total.current.conversion_value, 830000);
+});
+
+test('증감률 표시', () => {
+  assert.equal(formatDelta(110000, 100000), '+10.0%');
+  assert.equal(formatDelta(110000, 220000), '-50.0%');
+  assert.equal(formatDelta(100, 0), '-');
+  assert.equal(formatDelta(100, undefined), '-');
+});
+
+test('Markdown: 브랜드 섹션, 채널 표, 합계 행', () => {
+  const markdown = renderMarkdown(report);
+
+  assert.match(markdown, /^# 광고 일일 리포트 \(2025-08-08\)/);
+  assert.match(markdown, /비교 기준: 전일 2025-08-07 \/ 전주 2025-08-01/);
+  assert.match(markdown, /## 기존/);
+  assert.match(markdown, /## DOK/);
+  assert.match(markdown, /\| 네이버 · Naver SA \| ₩110,000 \| \+10\.0% \| -50\.0% \| 400% \| \+0\.0% \| \+100\.0% \| ₩11,000 \|/);
+  assert.match(markdown, /\| \*\*전체 합계\*\* \| \*\*₩241,333\*\* \|/);
+});
+
+test('HTML: 값은 이스케이프하고 표로 출력', () => {
+  const html = renderHtml({
+    ...report,
+    brands: [{ ...report.brands[0], name: '<script>' }]
+  });
+
+  assert.match(html, /<h2>&lt;script&gt;<\/h2>/);
+  assert.ok(!html.includes('<h2><script>'));
+  assert.match(html, /<td[^>]*>₩110,000<\/td>/);
+});
+
+test('데이터가 없는 브랜드는 안내 문구', async () => {
+  const empty = await buildDailyReport(sink, '2024-01-01', { brandIds: ['dok'] });
+  assert.match(renderMarkdown(empty), /## DOK\n\n_데이터 없음_/);
+});
+
+test('합계는 원화 VAT 별도 광고비·원화 전환 매출 기준 (정규화 컬럼이 없는 행은 spend)', async () => {
+  const normalized = createFileSink({ dir: fs.mkdtempSync(path.join(TMP_ROOT, 'report-')) });
+  await normalized.upsert('naver_insights', [
+    { ...row(DATE, 'Naver SA', 110000, 10, 440000), currency: 'KRW', fx_rate: 1, spend_ex_vat_krw: 100000 },
+    row(DATE, 'Naver BS', 50000, 0, 0)
+  ], KEYS);
+  await normalized.upsert('meta_insights', [
+    { ...row(DATE, 'Meta', 100, 2, 400), currency: 'USD', fx_rate: 1400, spend_ex_vat_krw: 140000 }
+  ], KEYS);
+
+  const normalizedReport = await buildDailyReport(normalized, DATE, { brandIds: ['main'] });
+  const [main] = normalizedReport.brands;
+
+  assert.equal(main.channels.find(c => c.campaign === 'Naver SA').current.spend, 100000);
+  assert.equal(main.channels.find(c => c.campaign === 'Meta').current.roas, 4); // $400 × 1400 / ₩140,000
+  assert.equal(main.total.current.spend, 290000);
+  assert.equal(main.total.current.conversion_value, 440000 + 560000);
+});
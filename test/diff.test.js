@@ -0,0 +1,101 @@
+// test/diff.test.js
+// dry-run 비교 (신규·변경·동일 행 구분, 저장된 행 조회, 수집기 dry-run 출력) 테스트
+
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffRows, selectStoredRows } from '../scripts/lib/diff.js';
+import { runAdapter } from '../scripts/lib/collector.js';
+
+const KEYS = ['date', 'campaign'];
+const DATE = '2025-08-01';
+
+const STORED = [
+  { id: 1, date: DATE, campaign: 'Google SA', spend: '1000', clicks: 10, updated_at: '2025-08-02T00:00:00Z' },
+  { id: 2, date: DATE, campaign: 'Google PMAX', spend: 2000, clicks: 20 }
+];
+
+// select만 지원하는 저장소 (dry-run은 upsert를 호출하면 안 됨)
+const stubSink = (rows) => {
+  const sink = {
+    type: 'stub',
+    description: 'stub',
+    queries: [],
+    async select(table, query) {
+      sink.queries.push({ table, query });
+      return rows;
+    },
+    async count() {
+      return rows.length;
+    },
+    async upsert() {
+      throw new Error('dry-run에서 upsert 호출');
+    },
+    async close() {}
+  };
+  return sink;
+};
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('신규·변경·동일 행 구분 (숫자 문자열·저장소 관리 컬럼은 같은 값으로 봄)', () => {
+  const diff = diffRows([
+    { date: DATE, campaign: 'Google SA', spend: 1000, clicks: 10, updated_at: '2025-08-03T00:00:00Z' },
+    { date: DATE, campaign: 'Google PMAX', spend: 2500, clicks: 20 },
+    { date: DATE, campaign: 'Google Demand Gen', spend: 300, clicks: 3 }
+  ], STORED, KEYS);
+
+  assert.deepEqual(diff.added.map(r => r.campaign), ['Google Demand Gen']);
+  assert.deepEqual(diff.unchanged.map(r => r.campaign), ['Google SA']);
+  assert.equal(diff.changed.length, 1);
+  assert.equal(diff.changed[0].row.campaign, 'Google PMAX');
+  assert.deepEqual(diff.changed[0].changes, [{ column: 'spend', before: 2000, after: 2500 }]);
+});
+
+test('새 행의 키 값으로 저장된 행 조회', async () => {
+  const sink = stubSink(STORED);
+  const rows = [
+    { date: DATE, campaign: 'Google SA' },
+    { date: DATE, campaign: 'Google PMAX' }
+  ];
+
+  assert.equal(await selectStoredRows(sink, 'google_insights', rows, KEYS), STORED);
+  assert.deepEqual(sink.queries, [
+    { table: 'google_insights', query: { in: { date: [DATE], campaign: ['Google SA', 'Google PMAX'] } } }
+  ]);
+});
+
+test('수집기 dry-run: 저장하지 않고 저장된 행과의 차이만 출력', async () => {
+  const logs = [];
+  mock.method(console, 'log', (...args) => logs.push(args.join(' ')));
+
+  const adapter = {
+    platform: 'google',
+    brand: { id: 'main', platforms: { google: {} } },
+    label: '구글',
+    datasets: { insights: { table: 'google_insights', onConflict: KEYS } },
+    async fetch(date) {
+      return {
+        insights: [
+          { date, campaign: 'Google SA', spend: 1000, clicks: 10 },
+          { date, campaign: 'Google PMAX', spend: 2500, clicks: 20 },
+          { date, campaign: 'Google Demand Gen', spend: 300, clicks: 3 }
+        ]
+      };
+    }
+  };
+
+  // 수집기가 저장하는 정규화 컬럼(통화·환율·원화 광고비)까지 있는 행
+  const normalized = (row) => ({
+    ...row, currency: 'KRW', fx_rate: 1, spend_ex_vat_krw: Number(row.spend), spend_inc_vat_krw: Number(row.spend) * 1.1
+  });
+  const sink = stubSink(STORED.map(normalized));
+  const [summary] = await runAdapter(adapter, [DATE], { sink, dryRun: true });
+
+  assert.equal(summary.rows, 3);
+  assert.ok(logs.includes('🔍 [dry-run] 구글 insights → google_insights: 신규 1건 / 변경 1건 / 동일 1건'), logs.join('\n'));
+  assert.ok(logs.includes(`  + ${DATE} / Google Demand Gen`));
+  assert.ok(logs.includes(`  ~ ${DATE} / Google PMAX`));
+  assert.ok(logs.includes('      spend: 2000 → 2500'));
+});
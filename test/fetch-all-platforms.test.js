@@ -0,0 +1,61 @@
+// test/fetch-all-platforms.test.js
+// 통합 수집 실행 대상 구성 테스트
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileSink } from '../scripts/lib/sinks/file.js';
+import { buildTargets, getCollectionStats } from '../scripts/fetch-all-platforms.js';
+import { fetchMetaAdsetData } from '../scripts/meta_adset.js';
+
+// 테스트 임시 디렉터리 (끝나면 삭제)
+const TMP_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'stats-'));
+after(() => fs.rmSync(TMP_ROOT, { recursive: true, force: true }));
+
+test('Meta 광고 세트는 브랜드별 별도 실행 대상 (설정된 테이블로 저장)', () => {
+  const targets = buildTargets();
+
+  assert.deepEqual(targets.map(t => t.key), [
+    'main_meta', 'main_meta_adset', 'main_naver', 'main_google',
+    'dok_meta', 'dok_meta_adset', 'dok_naver', 'dok_google'
+  ]);
+
+  const mainAdset = targets.find(t => t.key === 'main_meta_adset');
+  assert.equal(mainAdset.table, 'meta_adset_sm');
+  assert.equal(mainAdset.dateColumn, 'date_start');
+  assert.equal(mainAdset.fetch, fetchMetaAdsetData);
+
+  const dokAdset = targets.find(t => t.key === 'dok_meta_adset');
+  assert.equal(dokAdset.table, 'meta_adset_dok');
+  assert.equal(dokAdset.platform, 'meta_adset'); // 실행 이력·알림에서 Meta insights와 구분
+  assert.equal(dokAdset.label, 'DOK Meta 광고 세트');
+});
+
+test('플랫폼 필터: meta만 실행하면 광고 세트 단계도 포함', () => {
+  const targets = buildTargets({ brandIds: ['dok'], platforms: ['meta'] });
+  assert.deepEqual(targets.map(t => t.key), ['dok_meta', 'dok_meta_adset']);
+
+  assert.deepEqual(buildTargets({ platforms: ['naver'] }).map(t => t.key), ['main_naver', 'dok_naver']);
+});
+
+test('수집 통계는 실행일이 아닌 수집한 날짜 기준', async () => {
+  const sink = createFileSink({ dir: fs.mkdtempSync(path.join(TMP_ROOT, 'stats-')) });
+  const keys = { onConflict: ['date', 'campaign'] };
+  await sink.upsert('naver_insights', [
+    { date: '2025-08-01', campaign: 'Naver SA' },
+    { date: '2025-08-01', campaign: 'Naver BS' },
+    { date: '2025-08-02', campaign: 'Naver SA' },
+    { date: '2025-08-03', campaign: 'Naver SA' }
+  ], keys);
+  await sink.upsert('meta_adset_sm', [{ date_start: '2025-08-02', adset_id: 'a1' }], { onConflict: ['date_start', 'adset_id'] });
+
+  const targets = buildTargets({ brandIds: ['main'] });
+  const stats = await getCollectionStats(sink, ['2025-08-01', '2025-08-02'], targets);
+
+  assert.equal(stats.tables.naver_insights, 3);
+  assert.equal(stats.tables.meta_adset_sm, 1); // 광고 세트는 date_start 기준
+  assert.equal(stats.brands.main, 4);
+  assert.equal(stats.grand_total, 4);
+});
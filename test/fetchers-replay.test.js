@@ -0,0 +1,400 @@
+// test/fetchers-replay.test.js
+// 녹화된 API 응답(test/fixtures/http)으로 플랫폼별 수집·변환·집계 결과 검증
+
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resetFixtures } from '../scripts/lib/fixtures.js';
+import { getBrand } from '../scripts/lib/brand-registry.js';
+import { createMetaAdapter } from '../scripts/fetch-meta.js';
+import { createMetaAdsetAdapter } from '../scripts/meta_adset.js';
+import { createNaverAdapter } from '../scripts/fetch-naver.js';
+import { createGoogleAdapter } from '../scripts/fetch-google.js';
+import { findUnknownActionTypes, warnUnknownActionTypes } from '../scripts/lib/meta-graph.js';
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'http');
+const DATE = '2025-08-01';
+
+Object.assign(process.env, {
+  HTTP_FIXTURE_MODE: 'replay',
+  META_TOKEN: 'test-token',
+  META_AD_ACCOUNT: 'act_123',
+  NAVER_API_KEY: 'test-api-key',
+  NAVER_SECRET_KEY: 'test-secret-key',
+  NAVER_CUSTOMER_ID: '1234567',
+  GOOGLE_CLIENT_ID: 'test-client-id',
+  GOOGLE_CLIENT_SECRET: 'test-client-secret',
+  GOOGLE_REFRESH_TOKEN: 'test-refresh-token',
+  GOOGLE_DEVELOPER_TOKEN: 'test-developer-token',
+  GOOGLE_CUSTOMER_ID: '111-222-3333',
+  GOOGLE_CLIENT_CUSTOMER_ID: '123-456-7890'
+});
+
+const useFixture = (name) => {
+  process.env.HTTP_FIXTURE_FILE = path.join(FIXTURE_DIR, name);
+};
+
+/**
+ * 어댑터 init → fetch 실행
+ * @param {import('../scripts/lib/collector.js').PlatformAdapter} adapter - 어댑터
+ * @returns {Promise<Object<string, Object[]>>} 데이터셋별 행
+ */
+const runFetch = async (adapter) => {
+  if (adapter.init) await adapter.init();
+  return adapter.fetch(DATE);
+};
+
+/**
+ * 같은 계정 fixture를 다른 브랜드의 action 매핑으로 수집하기 위한 브랜드 설정
+ * @param {Object} actions - meta.actions 설정
+ * @returns {Object} 기본 브랜드에 actions만 바꾼 설정
+ */
+const withMetaActions = (actions) => {
+  const brand = getBrand('main');
+  return { ...brand, platforms: { ...brand.platforms, meta: { ...brand.platforms.meta, actions } } };
+};
+
+/**
+ * 같은 계정 fixture를 다른 전환 유형 설정으로 수집하기 위한 브랜드 설정
+ * @param {string[]|undefined} conversionTypes - naver.conversionTypes 설정
+ * @returns {Object} 기본 브랜드에 conversionTypes만 바꾼 설정
+ */
+const withNaverConversionTypes = (conversionTypes) => {
+  const brand = getBrand('main');
+  return { ...brand, platforms: { ...brand.platforms, naver: { ...brand.platforms.naver, conversionTypes } } };
+};
+
+beforeEach(() => {
+  resetFixtures();
+  // 수집 로그가 테스트 러너 출력과 섞이지 않도록 숨김
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('Meta insights: 전환·클릭 지표 계산', async () => {
+  useFixture('meta-insights.json');
+  const { insights } = await runFetch(createMetaAdapter(getBrand('main')));
+
+  assert.equal(insights.length, 1);
+  const [row] = insights;
+  assert.equal(row.date, DATE);
+  assert.equal(row.campaign, 'Meta');
+  assert.equal(row.spend, 150000);
+  assert.equal(row.impressions, 50000);
+  assert.equal(row.clicks, 1000); // link_click 기준
+  assert.equal(row.conversion, 10);
+  assert.equal(row.conversion_value, 600000);
+  assert.equal(row.cpa, 15000);
+  assert.equal(row.ctr, 0.02);
+  assert.equal(row.cpc, 150);
+  assert.equal(row.cvr, 0.01);
+  assert.equal(row.cpm, 3000);
+  assert.equal(row.roas, 4);
+  assert.equal(row.aov, 60000);
+});
+
+test('Meta 캠페인·광고 단위: 페이지 이어받기와 소재 정보 병합', async () => {
+  useFixture('meta-insights.json');
+  const { campaigns, ads } = await runFetch(createMetaAdapter(getBrand('main')));
+
+  assert.deepEqual(campaigns.map(row => [row.campaign_id, row.campaign_name, row.objective]), [
+    ['120001', '전환_상시', 'OUTCOME_SALES'],
+    ['120002', '트래픽_신규', 'OUTCOME_TRAFFIC']
+  ]);
+  assert.equal(campaigns[0].spend, 100000);
+  assert.equal(campaigns[0].clicks, 700); // link_click 기준
+  assert.equal(campaigns[0].reach, 20000);
+  assert.equal(campaigns[0].roas, 4.8);
+
+  // 두 번째 페이지(paging.next)까지 수집
+  assert.deepEqual(ads.map(row => [row.ad_id, row.ad_name, row.creative_id]), [
+    ['23850011', '후기_영상', '9001'],
+    ['23850012', '할인_이미지', '9002']
+  ]);
+  assert.equal(ads[1].thumbnail_url, 'https://scontent.example.com/t/9002.jpg');
+  assert.equal(ads[1].adset_id, '2385001');
+  assert.equal(ads[1].conversion, 2);
+  assert.equal(ads[1].cpa, 15000);
+});
+
+test('Meta 세분화: 연령·성별, 노출 위치별 행 (브랜드 공용 테이블)', async () => {
+  useFixture('meta-insights.json');
+  const { breakdowns } = await runFetch(createMetaAdapter(getBrand('main')));
+
+  assert.deepEqual(
+    breakdowns.map(row => [row.breakdown_type, row.age, row.gender, row.publisher_platform, row.platform_position]),
+    [
+      ['age_gender', '25-34', 'female', '', ''],
+      ['age_gender', '35-44', 'male', '', ''],
+      ['placement', '', '', 'instagram', 'feed'],
+      ['placement', '', '', 'facebook', 'feed']
+    ]
+  );
+  assert.ok(breakdowns.every(row => row.brand === 'main'));
+
+  const [female] = breakdowns;
+  assert.equal(female.spend, 90000);
+  assert.equal(female.clicks, 600);
+  assert.equal(female.conversion, 7);
+  assert.equal(female.roas, 420000 / 90000);
+});
+
+test('Meta action 매핑: DOK 설정이면 회원가입을 전환으로 집계', async () => {
+  useFixture('meta-insights.json');
+  const { actions } = getBrand('dok').platforms.meta;
+  const { insights } = await runFetch(createMetaAdapter(withMetaActions(actions)));
+
+  const [row] = insights;
+  assert.equal(row.clicks, 1000);
+  assert.equal(row.conversion, 25); // complete_registration
+  assert.equal(row.conversion_value, 0);
+  assert.equal(row.cpa, 6000);
+  assert.equal(row.roas, 0);
+});
+
+test('Meta action 매핑: 매핑되지 않은 action_type 경고 (타입별 한 번)', () => {
+  const mapping = getBrand('main').platforms.meta.actions;
+  const rows = [{
+    actions: [
+      { action_type: 'link_click', value: '10' },
+      { action_type: 'omni_purchase', value: '1' },
+      { action_type: 'app_custom_event.fb_mobile_level_achieved', value: '2' }
+    ]
+  }];
+  assert.deepEqual(findUnknownActionTypes(rows, mapping), ['app_custom_event.fb_mobile_level_achieved']);
+
+  warnUnknownActionTypes(rows, mapping, 'Meta');
+  warnUnknownActionTypes(rows, mapping, 'Meta');
+  const warnings = console.log.mock.calls.filter(call => /매핑되지 않은 action_type/.test(call.arguments[0]));
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0].arguments[0], /app_custom_event\.fb_mobile_level_achieved/);
+});
+
+test('Meta 광고 세트: 페이지 이어받기와 상세 정보 병합', async () => {
+  useFixture('meta-adset.json');
+  const { adsets } = await runFetch(createMetaAdsetAdapter(getBrand('main')));
+
+  assert.deepEqual(adsets.map(row => row.adset_id), ['2385001', '2385002']);
+
+  const [retarget, prospecting] = adsets;
+  assert.equal(retarget.time_zone, 'Asia/Seoul');
+  assert.equal(retarget.daily_budget, 50000);
+  assert.equal(retarget.learning_phase, 'SUCCESS');
+  assert.equal(retarget.cost_per_result, 10000); // purchase 단가로 대체
+  assert.equal(retarget.cost_per_landing_page_view, 200);
+  assert.equal(retarget.purchase, 6);
+  assert.equal(retarget.purchase_value, 540000);
+  assert.equal(retarget.add_to_cart, 30);
+  // clicks/ctr/cpc는 Graph 전체 클릭 기준 그대로, 브랜드 클릭 매핑(link_click)은 link_* 컬럼
+  assert.equal(retarget.clicks, 400);
+  assert.equal(retarget.ctr, 2);
+  assert.equal(retarget.cpc, 150);
+  assert.equal(retarget.link_clicks, 350);
+  assert.equal(retarget.link_ctr.toFixed(2), '1.75');
+  assert.equal(retarget.link_cpc, 60000 / 350);
+
+  assert.equal(prospecting.daily_budget, 100000);
+  assert.equal(prospecting.learning_phase, 'LEARNING');
+  assert.equal(prospecting.cost_per_result, 450); // landing_page_view 단가로 대체
+  assert.equal(prospecting.status, 'ACTIVE');
+});
+
+test('Meta 광고 세트: 전환 수와 결과 단가 대체 순서에 브랜드 전환 매핑 사용', async () => {
+  useFixture('meta-adset.json');
+  const { actions } = getBrand('dok').platforms.meta;
+  const { adsets } = await runFetch(createMetaAdsetAdapter(withMetaActions(actions)));
+
+  assert.equal(adsets[0].cost_per_result, 5000); // complete_registration 단가
+  assert.equal(adsets[1].cost_per_result, 450);
+
+  // 전환 수도 브랜드 전환 매핑 기준 (구매가 아닌 회원가입)
+  assert.deepEqual(adsets.map(row => row.purchase), [12, 0]);
+  assert.deepEqual(adsets.map(row => row.purchase_value), [0, 0]);
+});
+
+test('네이버 StatReport: 폴링, TSV 다운로드, 파워링크/브랜드검색 집계', async () => {
+  useFixture('naver-stat-report.json');
+  const { insights } = await runFetch(createNaverAdapter(getBrand('main')));
+
+  assert.deepEqual(insights.map(row => row.campaign), ['Naver SA', 'Naver BS']);
+
+  const [powerlink, brandSearch] = insights;
+  assert.equal(powerlink.spend, 88000); // (50000 + 30000) × VAT 1.1
+  assert.equal(powerlink.impressions, 3000);
+  assert.equal(powerlink.clicks, 80);
+  assert.equal(powerlink.conversion, 2); // 구매만 집계 (장바구니·회원가입 제외)
+  assert.equal(powerlink.conversion_value, 100000);
+  assert.equal(powerlink.roas, 1.1364);
+  assert.equal(powerlink.rank_avg, 2.33);
+
+  assert.equal(brandSearch.spend, 51333); // 브랜드 레지스트리 brandSearchContracts 일할
+  assert.equal(brandSearch.impressions, 500);
+  assert.equal(brandSearch.clicks, 100);
+  assert.equal(brandSearch.conversion, 3);
+  assert.equal(brandSearch.conversion_value, 150000);
+});
+
+test('네이버 캠페인 단위: /ncc/campaigns 이름과 타입으로 캠페인별 행 생성', async () => {
+  useFixture('naver-stat-report.json');
+  const { campaigns } = await runFetch(createNaverAdapter(getBrand('main')));
+
+  assert.deepEqual(campaigns.map(row => [row.campaign_id, row.campaign_name, row.campaign_type]), [
+    ['cmp-pl', '파워링크_상시', 'WEB_SITE'],
+    ['cmp-bs', '브랜드검색', 'BRAND_SEARCH']
+  ]);
+
+  const [powerlink, brandSearch] = campaigns;
+  assert.equal(powerlink.spend, 88000);
+  assert.equal(powerlink.conversion, 2);
+  assert.equal(brandSearch.spend, 0); // 고정비는 Naver BS 합계 행에만 반영
+  assert.equal(brandSearch.conversion_value, 150000);
+});
+
+test('네이버 키워드 단위: 키워드·광고그룹 이름 조회와 키워드별 전환 병합', async () => {
+  useFixture('naver-stat-report.json');
+  const { keywords } = await runFetch(createNaverAdapter(getBrand('main')));
+
+  // 키워드가 없는 브랜드검색 행('-')은 제외
+  assert.deepEqual(keywords.map(row => [row.keyword_id, row.keyword, row.adgroup_name, row.campaign_name]), [
+    ['kw-1', '영어회화', '일반 키워드', '파워링크_상시'],
+    ['kw-2', '영어회화 인강', '일반 키워드', '파워링크_상시']
+  ]);
+
+  const [first, second] = keywords;
+  assert.equal(first.spend, 55000); // 50000 × VAT 1.1
+  assert.equal(first.impressions, 1000);
+  assert.equal(first.clicks, 50);
+  assert.equal(first.rank_avg, 3);
+  assert.equal(first.conversion, 2);
+  assert.equal(first.conversion_value, 100000);
+  assert.equal(second.conversion, 0);
+  assert.equal(second.rank_avg, 2);
+});
+
+test('네이버 기기/매체 구분: 캠페인 타입 × PC/모바일 × 매체 코드별 집계', async () => {
+  useFixture('naver-stat-report.json');
+  const { breakdown } = await runFetch(createNaverAdapter(getBrand('main')));
+
+  assert.deepEqual(breakdown.map(row => [row.campaign_type, row.device, row.media_code]), [
+    ['WEB_SITE', 'PC', '27758'],
+    ['WEB_SITE', 'MOBILE', '27758'],
+    ['BRAND_SEARCH', 'MOBILE', '27758']
+  ]);
+
+  const [pc, mobile, brandSearch] = breakdown;
+  assert.equal(pc.spend, 55000);
+  assert.equal(pc.conversion, 2);
+  assert.equal(pc.cpa, 27500);
+  assert.equal(mobile.spend, 33000);
+  assert.equal(mobile.conversion, 0);
+  assert.equal(brandSearch.conversion, 3);
+});
+
+test('네이버 전환 유형: 집계 제외 유형(장바구니 등)도 방식·유형별로 기록', async () => {
+  useFixture('naver-stat-report.json');
+  const { conversions } = await runFetch(createNaverAdapter(getBrand('main')));
+
+  assert.deepEqual(
+    conversions.map(row => [row.campaign_id, row.conversion_method, row.conversion_type, row.counted, row.conversion]),
+    [
+      ['cmp-pl', 'DIRECT', 'purchase', true, 2],
+      ['cmp-bs', 'INDIRECT', 'purchase', true, 3],
+      ['cmp-pl', 'DIRECT', 'cart', false, 5],
+      ['cmp-pl', 'INDIRECT', 'join', false, 1]
+    ]
+  );
+  assert.equal(conversions[2].conversion_value, 250000);
+});
+
+test('네이버 전환 유형: DOK는 회원가입(join)을 전환으로 집계', async () => {
+  useFixture('naver-stat-report.json');
+  const { conversionTypes } = getBrand('dok').platforms.naver;
+  const { insights, violations } = await runFetch(createNaverAdapter(withNaverConversionTypes(conversionTypes)));
+
+  assert.deepEqual(conversionTypes, ['join']);
+  assert.deepEqual(insights.map(row => [row.campaign, row.conversion]), [['Naver SA', 1], ['Naver BS', 0]]);
+  assert.ok(!violations.some(v => v.rule === 'uncounted_conversion_types'));
+});
+
+test('네이버 전환 유형: 설정이 없으면 실패, 설정한 유형의 전환이 하나도 없으면 경고', async () => {
+  assert.throws(() => createNaverAdapter(withNaverConversionTypes(undefined)), /conversionTypes/);
+
+  useFixture('naver-stat-report.json');
+  const { insights, violations } = await runFetch(createNaverAdapter(withNaverConversionTypes(['signup'])));
+
+  assert.ok(insights.every(row => row.conversion === 0));
+  const [warning] = violations.filter(v => v.rule === 'uncounted_conversion_types');
+  assert.equal(warning.level, 'warning');
+  assert.match(warning.message, /리포트 전환 유형: purchase, cart, join/);
+});
+
+test('Google Ads: 일반 검색과 PMAX(+디맨드젠) 분리 집계', async () => {
+  useFixture('google-search.json');
+  const { insights } = await runFetch(createGoogleAdapter(getBrand('main')));
+
+  assert.deepEqual(insights.map(row => row.campaign), ['GoogleSA', 'PMAX']);
+
+  const [search, pmax] = insights;
+  assert.equal(search.spend, 60000);
+  assert.equal(search.impressions, 20000);
+  assert.equal(search.clicks, 600);
+  assert.equal(search.conversion, 10);
+  assert.equal(search.conversion_value, 800000);
+  assert.ok(Math.abs(search.search_impr_share - 60) < 1e-9);
+
+  assert.equal(pmax.spend, 100000);
+  assert.equal(pmax.impressions, 70000);
+  assert.equal(pmax.clicks, 750);
+  assert.equal(pmax.conversion, 12);
+  assert.equal(pmax.roas, 12);
+});
+
+test('Google Ads 캠페인·광고그룹 단위 행', async () => {
+  useFixture('google-search.json');
+  const { campaigns, adgroups } = await runFetch(createGoogleAdapter(getBrand('main')));
+
+  assert.deepEqual(campaigns.map(row => [row.campaign_id, row.campaign_name, row.channel_type, row.status]), [
+    ['111', 'PMAX_상시', 'PERFORMANCE_MAX', 'ENABLED'],
+    ['222', '검색_브랜드', 'SEARCH', 'ENABLED'],
+    ['333', '검색_일반', 'SEARCH', 'ENABLED'],
+    ['444', '디맨드젠', 'DEMAND_GEN', 'ENABLED']
+  ]);
+  const brandSearch = campaigns[1];
+  assert.equal(brandSearch.spend, 40000);
+  assert.equal(brandSearch.cpa, 5000);
+  assert.ok(Math.abs(brandSearch.search_impr_share - 80) < 1e-9);
+  assert.equal('campaign' in brandSearch, false);
+
+  assert.deepEqual(adgroups.map(row => [row.adgroup_id, row.adgroup_name, row.campaign_id]), [
+    ['9001', '브랜드_정확', '222'],
+    ['9002', '일반_영어회화', '333'],
+    ['9003', '일반_인강', '333']
+  ]);
+  assert.equal(adgroups[1].spend, 15000);
+  assert.equal(adgroups[1].conversion, 2);
+  assert.equal(adgroups[1].adgroup_type, 'SEARCH_STANDARD');
+  // 광고그룹 합계는 캠페인 행과 일치
+  assert.equal(adgroups[1].spend + adgroups[2].spend, campaigns[2].spend);
+});
+
+test('Google Ads 검색어: 모든 페이지 조회, 키워드·매치 유형별 합산과 전환 없는 광고비 표시', async () => {
+  useFixture('google-search.json');
+  const { searchTerms } = await runFetch(createGoogleAdapter(getBrand('main')));
+
+  assert.deepEqual(searchTerms.map(row => [row.search_term, row.keyword, row.match_type, row.spend_without_conversion]), [
+    ['영어회화 인강 추천', '영어회화 인강', 'PHRASE', false],
+    ['무료 영어회화', '영어회화', 'BROAD', true],
+    ['영어회화 앱', '영어회화', 'BROAD', false] // 광고비 0
+  ]);
+
+  const free = searchTerms[1];
+  assert.equal(free.spend, 5000); // 같은 검색어·키워드 행 합산 (nextPageToken 다음 페이지 행 포함)
+  assert.equal(free.clicks, 50);
+  assert.equal(free.cpc, 100);
+  assert.equal(free.adgroup_name, '일반_영어회화');
+  assert.equal(free.campaign_id, '333');
+});
@@ -0,0 +1,157 @@
+// test/http-fixtures.test.js
+// HTTP 응답 녹화/재생 레이어 검증 (로컬 HTTP 서버 사용)
+
+import { test, mock, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { httpRequest, HttpError } from '../scripts/lib/http.js';
+import { FixtureMissingError, resetFixtures } from '../scripts/lib/fixtures.js';
+
+// 테스트 임시 디렉터리 (끝나면 삭제)
+const TMP_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+after(() => fs.rmSync(TMP_ROOT, { recursive: true, force: true }));
+
+let server;
+let baseUrl;
+let requests;
+let fixtureFile;
+
+beforeEach(async () => {
+  requests = [];
+  server = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (req.url.startsWith('/report.tsv')) {
+      res.writeHead(200, { 'Content-Type': 'text/tab-separated-values' });
+      res.end('20250801\tcmp-1\t100\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      data: [{ spend: String(requests.length) }],
+      paging: { next: `${baseUrl}/insights?access_token=secret-token&after=abc` }
+    }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  fixtureFile = path.join(fs.mkdtempSync(path.join(TMP_ROOT, 'fixtures-')), 'cassette.json');
+  process.env.HTTP_FIXTURE_FILE = fixtureFile;
+  resetFixtures();
+});
+
+afterEach(async () => {
+  delete process.env.HTTP_FIXTURE_MODE;
+  delete process.env.HTTP_FIXTURE_FILE;
+  if (server.listening) {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('녹화한 응답을 네트워크 없이 순서대로 재생', async () => {
+  const url = `${baseUrl}/insights?access_token=secret-token&fields=spend`;
+
+  process.env.HTTP_FIXTURE_MODE = 'record';
+  const first = await httpRequest(url);
+  const second = await httpRequest(url);
+  const tsv = await httpRequest(`${baseUrl}/report.tsv`, { responseType: 'text' });
+  assert.equal(requests.length, 3);
+
+  await new Promise(resolve => server.close(resolve));
+
+  process.env.HTTP_FIXTURE_MODE = 'replay';
+  resetFixtures();
+  const replayedFirst = await httpRequest(`${baseUrl}/insights?fields=spend&access_token=other-token`);
+  const replayedSecond = await httpRequest(url);
+  const replayedThird = await httpRequest(url);
+
+  assert.equal(replayedFirst.data[0].spend, first.data[0].spend);
+  assert.equal(replayedSecond.data[0].spend, second.data[0].spend);
+  // 기록된 응답을 다 쓰면 마지막 응답을 반복
+  assert.equal(replayedThird.data[0].spend, second.data[0].spend);
+  assert.equal(await httpRequest(`${baseUrl}/report.tsv`, { responseType: 'text' }), tsv);
+});
+
+test('녹화 파일에는 토큰이 남지 않음', async () => {
+  process.env.HTTP_FIXTURE_MODE = 'record';
+  await httpRequest(`${baseUrl}/insights?access_token=secret-token`);
+
+  const saved = fs.readFileSync(fixtureFile, 'utf8');
+  assert.ok(!saved.includes('secret-token'));
+  assert.ok(saved.includes('access_token=REDACTED'));
+});
+
+test('POST 본문은 키 순서·공백과 무관하게 매칭', async () => {
+  fs.writeFileSync(fixtureFile, JSON.stringify([
+    {
+      request: { method: 'POST', url: `${baseUrl}/search`, body: { query: 'SELECT campaign.id FROM campaign', page: 1 } },
+      response: { status: 200, json: { results: [{ id: 1 }] } }
+    }
+  ]));
+  process.env.HTTP_FIXTURE_MODE = 'replay';
+
+  const data = await httpRequest(`${baseUrl}/search`, {
+    method: 'POST',
+    body: { page: 1, query: '\n  SELECT\n    campaign.id\n  FROM campaign\n' }
+  });
+  assert.deepEqual(data, { results: [{ id: 1 }] });
+  assert.equal(requests.length, 0);
+});
+
+test('재생 중 픽스처에 없는 요청은 재시도 없이 실패', async () => {
+  fs.writeFileSync(fixtureFile, '[]');
+  process.env.HTTP_FIXTURE_MODE = 'replay';
+
+  await assert.rejects(httpRequest(`${baseUrl}/missing`), FixtureMissingError);
+  assert.equal(requests.length, 0);
+});
+
+test('기록된 에러 응답도 재시도 정책대로 처리', async () => {
+  const log = mock.method(console, 'log', () => {});
+  fs.writeFileSync(fixtureFile, JSON.stringify([
+    { request: { method: 'GET', url: `${baseUrl}/flaky` }, response: { status: 503, headers: { 'retry-after': '0' }, json: {} } },
+    { request: { method: 'GET', url: `${baseUrl}/flaky` }, response: { status: 200, json: { ok: true } } }
+  ]));
+  process.env.HTTP_FIXTURE_MODE = 'replay';
+
+  assert.deepEqual(await httpRequest(`${baseUrl}/flaky`), { ok: true });
+  assert.ok(log.mock.calls.some(call => String(call.arguments[0]).includes('재시도')));
+  log.mock.restore();
+});
+
+test('HTTP_MAX_RETRIES=0이면 재시도 없이 한 번만 요청', async () => {
+  mock.method(console, 'error', () => {});
+  fs.writeFileSync(fixtureFile, JSON.stringify([
+    { request: { method: 'GET', url: `${baseUrl}/down` }, response: { status: 503, json: {} } }
+  ]));
+  process.env.HTTP_FIXTURE_MODE = 'replay';
+  process.env.HTTP_MAX_RETRIES = '0';
+
+  try {
+    await assert.rejects(httpRequest(`${baseUrl}/down`, { label: '테스트 API' }), (error) => {
+      assert.ok(error instanceof HttpError);
+      assert.equal(error.attempts, 1);
+      assert.match(error.message, /^테스트 API 에러: 503/);
+      return true;
+    });
+  } finally {
+    delete process.env.HTTP_MAX_RETRIES;
+    mock.restoreAll();
+  }
+});
+
+test('Retry-After 대기도 maxDelay를 넘지 않음', async () => {
+  const log = mock.method(console, 'log', () => {});
+  fs.writeFileSync(fixtureFile, JSON.stringify([
+    { request: { method: 'GET', url: `${baseUrl}/limited` }, response: { status: 429, headers: { 'retry-after': '3600' }, json: {} } },
+    { request: { method: 'GET', url: `${baseUrl}/limited` }, response: { status: 200, json: { ok: true } } }
+  ]));
+  process.env.HTTP_FIXTURE_MODE = 'replay';
+
+  const data = await httpRequest(`${baseUrl}/limited`, { retry: { maxRetries: 1, maxDelay: 10 } });
+  assert.deepEqual(data, { ok: true });
+  assert.ok(log.mock.calls.some(call => String(call.arguments[0]).includes('0.0초 대기')));
+  log.mock.restore();
+});
@@ -0,0 +1,194 @@
+// test/mailer.test.js
+// 일일 리포트 메일 발송 테스트 (로컬 가짜 SMTP 서버 사용)
+
+import { test, mock, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import net from 'net';
+import path from 'path';
+import { createFileSink } from '../scripts/lib/sinks/file.js';
+import { getBrand } from '../scripts/lib/brand-registry.js';
+import { getRecipients, sendDailyReports } from '../scripts/lib/mailer.js';
+
+// 테스트 임시 디렉터리 (끝나면 삭제)
+const TMP_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'mailer-'));
+after(() => fs.rmSync(TMP_ROOT, { recursive: true, force: true }));
+
+const DATE = '2025-08-08';
+const KEYS = { onConflict: ['date', 'campaign'] };
+
+/**
+ * 최소 SMTP 서버 (EHLO/MAIL/RCPT/DATA/QUIT만 처리, 받은 메일을 messages에 저장)
+ * rejectRecipient에 해당하는 주소는 550으로 거부
+ */
+const createFakeSmtpServer = ({ rejectRecipient } = {}) => {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let current = null;
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 fake-smtp ready');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      while (true) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          current.data = buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          messages.push(current);
+          reply('250 OK queued');
+          continue;
+        }
+
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd === -1) return;
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 fake-smtp');
+        } else if (command === 'MAIL') {
+          current = { from: line.match(/<(.*)>/)[1], to: [] };
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          const address = line.match(/<(.*)>/)[1];
+          if (address === rejectRecipient) {
+            reply('550 No such user');
+          } else {
+            current.to.push(address);
+            reply('250 OK');
+          }
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+  });
+  return { server, messages };
+};
+
+/**
+ * 원문 메일에서 첨부 파일 내용 추출 (base64 파트)
+ */
+const extractAttachment = (raw, filename) => {
+  const start = raw.indexOf(`filename=${filename}`);
+  assert.ok(start !== -1, `첨부 파일 없음: ${filename}`);
+  const bodyStart = raw.indexOf('\r\n\r\n', start) + 4;
+  const bodyEnd = raw.indexOf('\r\n--', bodyStart);
+  return Buffer.from(raw.slice(bodyStart, bodyEnd).replace(/\s+/g, ''), 'base64').toString('utf8');
+};
+
+let sink;
+let smtp;
+let fake;
+
+before(async () => {
+  sink = createFileSink({ dir: fs.mkdtempSync(path.join(TMP_ROOT, 'mailer-')) });
+  await sink.upsert('naver_insights', [
+    { date: DATE, campaign: 'Naver SA', spend: 110000, impressions: 1000, clicks: 50, conversion: 10, conversion_value: 440000 },
+    { date: '2025-08-07', campaign: 'Naver SA', spend: 100000, impressions: 900, clicks: 40, conversion: 8, conversion_value: 400000 }
+  ], KEYS);
+  await sink.upsert('google_insights', [
+    { date: DATE, campaign: 'GoogleSA', spend: 50000, impressions: 2000, clicks: 80, conversion: 1, conversion_value: 30000 }
+  ], KEYS);
+  await sink.upsert('dok_meta_insights', [
+    { date: DATE, campaign: 'Meta', spend: 30000, impressions: 5000, clicks: 120, conversion: 3, conversion_value: 90000 }
+  ], KEYS);
+});
+
+beforeEach(async () => {
+  process.env.REPORT_RECIPIENTS = 'team@example.com, lead@example.com';
+  process.env.DOK_REPORT_RECIPIENTS = 'dok@example.com';
+
+  fake = createFakeSmtpServer({ rejectRecipient: 'nobody@example.com' });
+  await new Promise(resolve => fake.server.listen(0, '127.0.0.1', resolve));
+  smtp = { host: '127.0.0.1', port: fake.server.address().port, secure: false, ignoreTLS: true, from: 'report@example.com' };
+
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  delete process.env.REPORT_RECIPIENTS;
+  delete process.env.DOK_REPORT_RECIPIENTS;
+  await new Promise(resolve => fake.server.close(resolve));
+});
+
+test('수신자: 환경변수 우선, 없으면 브랜드 설정', () => {
+  assert.deepEqual(getRecipients(getBrand('main')), ['team@example.com', 'lead@example.com']);
+
+  delete process.env.DOK_REPORT_RECIPIENTS;
+  assert.deepEqual(getRecipients({ ...getBrand('dok'), report: { recipients: ['a@example.com'] } }), ['a@example.com']);
+  assert.deepEqual(getRecipients(getBrand('dok')), []);
+});
+
+test('브랜드별로 HTML 본문과 CSV 첨부를 발송', async () => {
+  const results = await sendDailyReports({ sink, date: DATE, smtp });
+
+  assert.deepEqual(results.map(r => [r.brand, r.status]), [['main', 'sent'], ['dok', 'sent']]);
+  assert.equal(fake.messages.length, 2);
+
+  const [main, dok] = fake.messages;
+  assert.equal(main.from, 'report@example.com');
+  assert.deepEqual(main.to, ['team@example.com', 'lead@example.com']);
+  assert.deepEqual(dok.to, ['dok@example.com']);
+
+  assert.match(main.data, /Subject: =\?UTF-8\?/); // 한글 제목은 인코딩
+  assert.match(main.data, /Content-Type: text\/html/);
+  assert.match(main.data, /Content-Type: text\/csv/);
+
+  const csv = extractAttachment(main.data, `ad-insights-main-${DATE}.csv`).replace(/^\uFEFF/, '');
+  const lines = csv.trim().split('\n');
+  assert.equal(lines[0], 'platform,date,campaign,spend,impressions,clicks,conversion,conversion_value');
+  // 해당 날짜 행만 포함 (전일 행 제외)
+  assert.deepEqual(lines.slice(1), [
+    `naver,${DATE},Naver SA,110000,1000,50,10,440000`,
+    `google,${DATE},GoogleSA,50000,2000,80,1,30000`
+  ]);
+
+  const dokCsv = extractAttachment(dok.data, `ad-insights-dok-${DATE}.csv`);
+  assert.match(dokCsv, new RegExp(`meta,${DATE},Meta,30000`));
+});
+
+test('수신자가 없는 브랜드는 발송 생략', async () => {
+  delete process.env.DOK_REPORT_RECIPIENTS;
+  const results = await sendDailyReports({ sink, date: DATE, smtp });
+
+  assert.deepEqual(results.map(r => [r.brand, r.status]), [['main', 'sent'], ['dok', 'skipped']]);
+  assert.equal(fake.messages.length, 1);
+});
+
+test('수신자가 있는 브랜드가 없으면 SMTP 설정 없이 생략', async () => {
+  delete process.env.REPORT_RECIPIENTS;
+  delete process.env.DOK_REPORT_RECIPIENTS;
+
+  // smtp 설정을 넘기지 않아도 SMTP_HOST 에러 없이 생략
+  const results = await sendDailyReports({ sink, date: DATE });
+  assert.deepEqual(results.map(r => [r.brand, r.status]), [['main', 'skipped'], ['dok', 'skipped']]);
+  assert.equal(fake.messages.length, 0);
+});
+
+test('한 브랜드 발송 실패가 다른 브랜드 발송을 막지 않음', async () => {
+  process.env.REPORT_RECIPIENTS = 'nobody@example.com';
+  const results = await sendDailyReports({ sink, date: DATE, smtp });
+
+  assert.equal(results[0].status, 'failed');
+  assert.match(results[0].error, /550|nobody/);
+  assert.equal(results[1].status, 'sent');
+  assert.equal(fake.messages.length, 1);
+});
@@ -0,0 +1,313 @@
+// test/naver-transform.test.js
+// 네이버 StatReport 변환·집계 단위 테스트
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { NaverDataTransformer, NaverDataAggregator, parseCSV } from '../scripts/fetch-naver.js';
+
+// AD 리포트 행 (14컬럼)
+const adRow = (campaignId, { impressions = 0, clicks = 0, cost = 0, sumAdRank = 0 } = {}) => [
+  '20250801', '1234567', campaignId, 'grp-1', 'kw-1', 'ad-1', 'bc-1', '27758', 'P',
+  String(impressions), String(clicks), String(cost), String(sumAdRank), '0'
+];
+
+// 전환 리포트 행 (13컬럼)
+const conversionRow = (campaignId, { count = 0, value = 0, method = '1', type = 'purchase' } = {}) => [
+  '20250801', '1234567', campaignId, 'grp-1', 'kw-1', 'ad-1', 'bc-1', '27758', 'M',
+  method, type, String(count), String(value)
+];
+
+describe('parseCSV', () => {
+  test('탭 구분, 값 trim, 빈 줄 제외', () => {
+    const rows = parseCSV('a\t b \tc\n\n d\te\tf \n');
+    assert.deepEqual(rows, [['a', 'b', 'c'], ['d', 'e', 'f']]);
+  });
+});
+
+describe('NaverDataTransformer.transformAdData', () => {
+  test('컬럼 인덱스대로 매핑하고 숫자로 변환', () => {
+    const [ad] = NaverDataTransformer.transformAdData([
+      adRow('cmp-1', { impressions: 1200, clicks: 34, cost: 5600.5, sumAdRank: 2400 })
+    ]);
+
+    assert.deepEqual(ad, {
+      date: '20250801',
+      customerId: '1234567',
+      campaignId: 'cmp-1',
+      adgroupId: 'grp-1',
+      keywordId: 'kw-1',
+      adId: 'ad-1',
+      businessChannelId: 'bc-1',
+      mediaCode: '27758',
+      pcMobileType: 'P',
+      impressions: 1200,
+      clicks: 34,
+      cost: 5600.5,
+      sumAdRank: 2400,
+      viewCount: 0
+    });
+  });
+
+  test('14컬럼 미만 행은 제외', () => {
+    const shortRow = adRow('cmp-1', { impressions: 10 }).slice(0, 13);
+    assert.deepEqual(NaverDataTransformer.transformAdData([shortRow]), []);
+  });
+
+  test('숫자가 아닌 값은 0', () => {
+    const row = adRow('cmp-1');
+    row[9] = '-';
+    row[11] = '';
+    const [ad] = NaverDataTransformer.transformAdData([row]);
+    assert.equal(ad.impressions, 0);
+    assert.equal(ad.cost, 0);
+  });
+});
+
+describe('NaverDataTransformer.transformConversionData', () => {
+  test('전환 방식·유형·건수·금액 매핑', () => {
+    const [conv] = NaverDataTransformer.transformConversionData([
+      conversionRow('cmp-1', { count: 3, value: 45000.5, method: '2', type: 'purchase' })
+    ]);
+
+    assert.equal(conv.campaignId, 'cmp-1');
+    assert.equal(conv.conversionMethod, '2');
+    assert.equal(conv.conversionType, 'purchase');
+    assert.equal(conv.conversionCount, 3);
+    assert.equal(conv.conversionValue, 45000.5);
+  });
+
+  test('13컬럼 미만 행은 제외', () => {
+    const shortRow = conversionRow('cmp-1', { count: 1 }).slice(0, 12);
+    assert.deepEqual(NaverDataTransformer.transformConversionData([shortRow]), []);
+  });
+});
+
+describe('NaverDataAggregator.aggregateAdData', () => {
+  test('캠페인별 노출·클릭·비용·순위 합산', () => {
+    const adData = NaverDataTransformer.transformAdData([
+      adRow('cmp-1', { impressions: 100, clicks: 10, cost: 1000, sumAdRank: 300 }),
+      adRow('cmp-1', { impressions: 50, clicks: 5, cost: 500, sumAdRank: 100 }),
+      adRow('cmp-2', { impressions: 20, clicks: 1, cost: 200, sumAdRank: 40 })
+    ]);
+
+    const stats = NaverDataAggregator.aggregateAdData(adData);
+
+    assert.equal(stats.size, 2);
+    assert.deepEqual(stats.get('cmp-1'), {
+      impressions: 150, clicks: 15, cost: 1500, sumAdRank: 400, conversions: 0, conversionValue: 0
+    });
+    assert.equal(stats.get('cmp-2').cost, 200);
+  });
+});
+
+describe('NaverDataAggregator.mergeConversionData', () => {
+  test('같은 캠페인 전환은 합산해서 병합', () => {
+    const stats = NaverDataAggregator.aggregateAdData(
+      NaverDataTransformer.transformAdData([adRow('cmp-1', { clicks: 10 })])
+    );
+    const conversions = NaverDataTransformer.transformConversionData([
+      conversionRow('cmp-1', { count: 2, value: 20000, method: '1' }),
+      conversionRow('cmp-1', { count: 1, value: 5000, method: '2' })
+    ]);
+
+    NaverDataAggregator.mergeConversionData(stats, conversions);
+
+    assert.equal(stats.get('cmp-1').conversions, 3);
+    assert.equal(stats.get('cmp-1').conversionValue, 25000);
+  });
+
+  test('AD 리포트에 없는 캠페인의 전환은 무시', () => {
+    const stats = NaverDataAggregator.aggregateAdData(
+      NaverDataTransformer.transformAdData([adRow('cmp-1', { clicks: 10 })])
+    );
+    const conversions = NaverDataTransformer.transformConversionData([
+      conversionRow('cmp-unknown', { count: 7, value: 70000 })
+    ]);
+
+    NaverDataAggregator.mergeConversionData(stats, conversions);
+
+    assert.equal(stats.size, 1);
+    assert.equal(stats.has('cmp-unknown'), false);
+    assert.equal(stats.get('cmp-1').conversions, 0);
+  });
+});
+
+describe('NaverDataAggregator.aggregateByAdType', () => {
+  const buildStats = () => NaverDataAggregator.aggregateAdData(NaverDataTransformer.transformAdData([
+    adRow('cmp-pl', { impressions: 1000, clicks: 40, cost: 10000, sumAdRank: 2000 }),
+    adRow('cmp-bs', { impressions: 300, clicks: 90, cost: 0, sumAdRank: 300 }),
+    adRow('cmp-new', { impressions: 200, clicks: 10, cost: 2000, sumAdRank: 600 })
+  ]));
+
+  const campaignTypeMap = new Map([
+    ['cmp-pl', 'TEXT_45'],
+    ['cmp-bs', 'BRAND_SEARCH_AD']
+  ]);
+
+  test('파워링크 비용은 VAT 포함(×1.1), 타입을 모르는 캠페인은 파워링크로 집계', () => {
+    const { powerlink } = NaverDataAggregator.aggregateByAdType(buildStats(), campaignTypeMap, 0);
+
+    assert.ok(Math.abs(powerlink.spend - 13200) < 1e-6);
+    assert.equal(powerlink.impressions, 1200);
+    assert.equal(powerlink.clicks, 50);
+    assert.equal(powerlink.sumAdRank, 2600);
+    assert.equal(powerlink.campaignCount, 2);
+  });
+
+  test('브랜드검색은 리포트 비용 대신 일 고정비 사용', () => {
+    const { brand } = NaverDataAggregator.aggregateByAdType(buildStats(), campaignTypeMap, 51333);
+
+    assert.equal(brand.spend, 51333);
+    assert.equal(brand.impressions, 300);
+    assert.equal(brand.clicks, 90);
+    assert.equal(brand.campaignCount, 1);
+  });
+
+  test('고정비 인자가 없으면 브랜드검색 비용 0', () => {
+    const { brand } = NaverDataAggregator.aggregateByAdType(buildStats(), campaignTypeMap);
+    assert.equal(brand.spend, 0);
+  });
+});
+
+describe('NaverDataTransformer.calculateAllMetrics', () => {
+  test('비율은 소수 4자리, 금액·순위는 소수 2자리로 반올림', () => {
+    const metrics = NaverDataTransformer.calculateAllMetrics({
+      spend: 10000, impressions: 3000, clicks: 7, conversion: 3, conversionValue: 25000, sumAdRank: 7001
+    });
+
+    assert.deepEqual(metrics, {
+      ctr: 0.0023, // 7 / 3000 = 0.002333…
+      cpc: 1428.57, // 10000 / 7
+      cvr: 0.4286, // 3 / 7
+      cpm: 3333.33,
+      cpa: 3333.33,
+      aov: 8333.33,
+      roas: 2.5,
+      rank_avg: 2.33
+    });
+  });
+
+  test('분모가 0이면 0', () => {
+    const metrics = NaverDataTransformer.calculateAllMetrics({
+      spend: 51333, impressions: 0, clicks: 0, conversion: 0, conversionValue: 0, sumAdRank: 0
+    });
+
+    assert.deepEqual(metrics, { ctr: 0, cpc: 0, cvr: 0, cpm: 0, cpa: 0, aov: 0, roas: 0, rank_avg: 0 });
+  });
+});
+
+describe('NaverDataTransformer.createSupabaseData', () => {
+  const empty = { spend: 0, impressions: 0, clicks: 0, conversion: 0, conversionValue: 0, sumAdRank: 0 };
+
+  test('실적이 없는 광고 타입은 행을 만들지 않음', () => {
+    const rows = NaverDataTransformer.createSupabaseData({ powerlink: { ...empty }, brand: { ...empty } }, '2025-08-01');
+    assert.deepEqual(rows, []);
+  });
+
+  test('브랜드검색은 고정비만 있어도 행 생성', () => {
+    const rows = NaverDataTransformer.createSupabaseData(
+      { powerlink: { ...empty }, brand: { ...empty, spend: 19486 } },
+      '2025-08-01'
+    );
+
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].campaign, 'Naver BS');
+    assert.equal(rows[0].spend, 19486);
+    assert.equal(rows[0].quality_index, 0);
+  });
+});
+
+describe('NaverDataTransformer.createCampaignData', () => {
+  test('캠페인별 행: 이름·타입 매핑, VAT 포함 비용, 전환 병합', () => {
+    const stats = NaverDataAggregator.aggregateAdData(NaverDataTransformer.transformAdData([
+      adRow('cmp-pl', { impressions: 1000, clicks: 40, cost: 10000, sumAdRank: 2000 }),
+      adRow('cmp-new', { impressions: 200, clicks: 10, cost: 2000, sumAdRank: 600 })
+    ]));
+    NaverDataAggregator.mergeConversionData(stats, NaverDataTransformer.transformConversionData([
+      conversionRow('cmp-pl', { count: 4, value: 88000 })
+    ]));
+    const campaigns = new Map([
+      ['cmp-pl', { name: '파워링크_상시', campaignType: 'WEB_SITE', adType: 'TEXT_45' }]
+    ]);
+
+    const [powerlink, unknown] = NaverDataTransformer.createCampaignData(stats, campaigns, '2025-08-01');
+
+    assert.equal(powerlink.campaign_id, 'cmp-pl');
+    assert.equal(powerlink.campaign_name, '파워링크_상시');
+    assert.equal(powerlink.campaign_type, 'WEB_SITE');
+    assert.equal(powerlink.spend, 11000);
+    assert.equal(powerlink.conversion, 4);
+    assert.equal(powerlink.conversion_value, 88000);
+    assert.equal(powerlink.roas, 8);
+    assert.equal(powerlink.rank_avg, 2);
+
+    // 캠페인 목록에 없는 캠페인은 ID를 이름으로 사용
+    assert.equal(unknown.campaign_name, 'cmp-new');
+    assert.equal(unknown.campaign_type, 'UNKNOWN');
+    assert.equal(unknown.spend, 2200);
+  });
+});
+
+describe('NaverDataAggregator.aggregateByKeyword', () => {
+  test('키워드별 합산, 키워드 없는 행 제외, 실적 없는 키워드의 전환은 버림', () => {
+    const adData = NaverDataTransformer.transformAdData([
+      adRow('cmp-1', { impressions: 100, clicks: 10, cost: 1000, sumAdRank: 200 }),
+      adRow('cmp-1', { impressions: 50, clicks: 5, cost: 500, sumAdRank: 150 }),
+      [...adRow('cmp-bs', { impressions: 300 })].map((value, i) => (i === 4 ? '-' : value))
+    ]);
+    const conversionData = NaverDataTransformer.transformConversionData([
+      conversionRow('cmp-1', { count: 2, value: 30000 }),
+      [...conversionRow('cmp-1', { count: 9 })].map((value, i) => (i === 4 ? 'kw-other' : value))
+    ]);
+
+    const stats = NaverDataAggregator.aggregateByKeyword(adData, conversionData);
+
+    assert.deepEqual([...stats.keys()], ['kw-1']);
+    assert.deepEqual(stats.get('kw-1'), {
+      campaignId: 'cmp-1', adgroupId: 'grp-1',
+      impressions: 150, clicks: 15, cost: 1500, sumAdRank: 350,
+      conversions: 2, conversionValue: 30000
+    });
+  });
+});
+
+describe('NaverDataAggregator 전환 유형 구분', () => {
+  const conversionData = NaverDataTransformer.transformConversionData([
+    conversionRow('cmp-1', { count: 2, value: 30000, method: '1', type: 'purchase' }),
+    conversionRow('cmp-1', { count: 1, value: 10000, method: '2', type: 'purchase' }),
+    conversionRow('cmp-1', { count: 8, value: 400000, method: '1', type: 'cart' }),
+    conversionRow('cmp-1', { count: 4, value: 0, method: '1', type: 'join' })
+  ]);
+
+  test('설정한 전환 유형만 conversion 집계 대상', () => {
+    const counted = NaverDataAggregator.filterCountedConversions(conversionData, ['purchase']);
+    assert.deepEqual(counted.map(conv => conv.conversionType), ['purchase', 'purchase']);
+
+    const stats = NaverDataAggregator.aggregateAdData(
+      NaverDataTransformer.transformAdData([adRow('cmp-1', { clicks: 10 })])
+    );
+    NaverDataAggregator.mergeConversionData(stats, counted);
+    assert.equal(stats.get('cmp-1').conversions, 3);
+    assert.equal(stats.get('cmp-1').conversionValue, 40000);
+  });
+
+  test('전환 방식(직접/간접) × 유형별 행, 집계 포함 여부 표시', () => {
+    const rows = NaverDataTransformer.createConversionTypeData(
+      NaverDataAggregator.aggregateByConversionType(conversionData),
+      new Map([['cmp-1', { name: '파워링크', campaignType: 'WEB_SITE' }]]),
+      ['purchase', 'join'],
+      '2025-08-01'
+    );
+
+    assert.deepEqual(
+      rows.map(row => [row.conversion_method, row.conversion_type, row.counted, row.conversion, row.conversion_value]),
+      [
+        ['DIRECT', 'purchase', true, 2, 30000],
+        ['INDIRECT', 'purchase', true, 1, 10000],
+        ['DIRECT', 'cart', false, 8, 400000],
+        ['DIRECT', 'join', true, 4, 0]
+      ]
+    );
+    assert.equal(rows[0].campaign_name, '파워링크');
+  });
+});
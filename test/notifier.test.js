@@ -0,0 +1,183 @@
+// test/notifier.test.js
+// 수집 결과 알림 테스트 (로컬 HTTP 서버를 웹훅 대신 사용)
+
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { buildRunReport, notifyRunResult } from '../scripts/lib/notifier.js';
+
+const BRANDS = {
+  main: { id: 'main', name: '기존' },
+  dok: { id: 'dok', name: 'DOK' }
+};
+
+const target = (brandId, platform, label) => ({
+  key: `${brandId}_${platform}`, brand: BRANDS[brandId], platform, label
+});
+
+const TARGETS = [
+  target('main', 'naver', '네이버'),
+  target('main', 'google', '구글'),
+  target('dok', 'naver', 'DOK 네이버')
+];
+
+const buildReport = (overrides = {}) => buildRunReport({
+  targets: TARGETS,
+  dates: ['2025-08-01'],
+  startTime: Date.now() - 1500,
+  runId: 'run-1',
+  results: {
+    main_naver: { success: true, error: null, count: 2, spend: 139333 },
+    main_google: { success: true, error: null, count: 2, spend: 160000 },
+    dok_naver: { success: true, error: null, count: 1, spend: 19486 },
+    ...overrides
+  }
+});
+
+let server;
+let webhookUrl;
+let received;
+let responseStatus;
+
+beforeEach(async () => {
+  received = [];
+  responseStatus = 200;
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(responseStatus, { 'Content-Type': 'text/plain' });
+      res.end(responseStatus === 200 ? 'ok' : 'invalid_payload');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  webhookUrl = `http://127.0.0.1:${server.address().port}/hook`;
+
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('브랜드·플랫폼별 건수와 광고비 합계 계산', () => {
+  const report = buildReport();
+
+  assert.equal(report.success, true);
+  assert.deepEqual(report.totals, { rows: 5, spend: 318819, succeeded: 3, total: 3, violations: 0, anomalies: 0 });
+  assert.deepEqual(report.brands.map(b => [b.id, b.rows, b.spend]), [['main', 4, 299333], ['dok', 1, 19486]]);
+});
+
+test('에러 메시지는 한 줄로 줄여서 포함', () => {
+  const report = buildReport({
+    main_google: { success: false, error: `Google Ads API error: 500\n${'x'.repeat(500)}`, count: 0 }
+  });
+
+  const entry = report.entries.find(e => e.platform === 'google');
+  assert.equal(report.success, false);
+  assert.ok(!entry.error.includes('\n'));
+  assert.ok(entry.error.length <= 201);
+});
+
+test('Slack 형식으로 웹훅 전송', async () => {
+  const report = buildReport({
+    dok_naver: { success: false, error: '네이버 API 환경변수가 설정되지 않았습니다.', count: 0 }
+  });
+
+  const status = await notifyRunResult(report, { url: webhookUrl, format: 'slack', onlyOnFailure: false });
+
+  assert.equal(status, 'sent');
+  assert.equal(received.length, 1);
+  assert.equal(received[0].method, 'POST');
+  assert.equal(received[0].headers['content-type'], 'application/json');
+
+  const { text, blocks } = received[0].body;
+  assert.match(text, /수집 실패 \(2025-08-01\) - 1\/3 실패/);
+  const body = blocks.map(block => block.text?.text || block.elements?.[0]?.text).join('\n');
+  assert.match(body, /✅ 네이버: 2건 · ₩139,333/);
+  assert.match(body, /❌ DOK 네이버: `네이버 API 환경변수가 설정되지 않았습니다.`/);
+  assert.match(body, /run run-1/);
+});
+
+test('json 형식은 실행 결과를 그대로 전송', async () => {
+  const report = buildReport();
+  await notifyRunResult(report, { url: webhookUrl, format: 'json', onlyOnFailure: false });
+
+  assert.deepEqual(received[0].body, JSON.parse(JSON.stringify(report)));
+});
+
+test('실패 시에만 알림: 전체 성공이면 전송하지 않음', async () => {
+  const config = { url: webhookUrl, format: 'slack', onlyOnFailure: true };
+
+  assert.equal(await notifyRunResult(buildReport(), config), 'skipped');
+  assert.equal(received.length, 0);
+
+  const failed = buildReport({ main_naver: { success: false, error: 'timeout', count: 0 } });
+  assert.equal(await notifyRunResult(failed, config), 'sent');
+  assert.equal(received.length, 1);
+});
+
+test('실패 시에만 알림: 검증 위반이 있으면 수집이 모두 성공해도 전송', async () => {
+  const violation = { level: 'warning', rule: 'empty_response', table: 'naver_insights', key: '2025-08-01', message: '응답 없음' };
+  const report = buildReport({ main_naver: { success: true, error: null, count: 0, spend: 0, violations: [violation] } });
+
+  assert.equal(await notifyRunResult(report, { url: webhookUrl, format: 'slack', onlyOnFailure: true }), 'sent');
+  assert.equal(received.length, 1);
+});
+
+test('dry-run 결과는 웹훅으로 보내지 않음', async () => {
+  const report = buildRunReport({
+    targets: TARGETS,
+    dates: ['2025-08-01'],
+    startTime: Date.now(),
+    dryRun: true,
+    results: { main_naver: { success: false, error: 'timeout', count: 0 }, main_google: { success: true, count: 0 }, dok_naver: { success: true, count: 0 } }
+  });
+
+  assert.equal(await notifyRunResult(report, { url: webhookUrl, format: 'slack', onlyOnFailure: false }), 'skipped');
+  assert.equal(received.length, 0);
+});
+
+test('이상 징후는 수집이 모두 성공해도 알림에 포함', async () => {
+  const anomaly = {
+    date: '2025-08-01', campaign: 'Google PMAX', metric: 'spend', direction: 'high',
+    message: '광고비 ₩900,000 (28일 중앙값 ₩150,000 대비 +500.0%)'
+  };
+  const report = buildReport({ main_google: { success: true, error: null, count: 2, spend: 160000, anomalies: [anomaly] } });
+  assert.equal(report.totals.anomalies, 1);
+
+  assert.equal(await notifyRunResult(report, { url: webhookUrl, format: 'slack', onlyOnFailure: true }), 'sent');
+
+  const body = received[0].body.blocks.map(block => block.text?.text || block.elements?.[0]?.text).join('\n');
+  assert.match(body, /✅ 구글: 2건 · ₩160,000 · 📈 이상 1건/);
+  assert.match(body, /📈 이상 징후 1건\*\n▲ 구글 2025-08-01 Google PMAX: 광고비 ₩900,000/);
+});
+
+test('웹훅 주소가 없으면 전송 생략', async () => {
+  assert.equal(await notifyRunResult(buildReport(), { url: null, format: 'json', onlyOnFailure: false }), 'skipped');
+});
+
+test('웹훅 에러는 예외 없이 failed 반환', async () => {
+  responseStatus = 400;
+  const status = await notifyRunResult(buildReport(), { url: webhookUrl, format: 'slack', onlyOnFailure: false });
+
+  assert.equal(status, 'failed');
+  assert.equal(received.length, 1); // 4xx는 재시도하지 않음
+});
+
+test('환경변수(NOTIFY_WEBHOOK_URL, NOTIFY_FORMAT)로 설정', async () => {
+  process.env.NOTIFY_WEBHOOK_URL = webhookUrl;
+  process.env.NOTIFY_FORMAT = 'slack';
+  process.env.NOTIFY_ONLY_ON_FAILURE = 'false';
+  try {
+    assert.equal(await notifyRunResult(buildReport()), 'sent');
+    assert.ok(received[0].body.blocks);
+  } finally {
+    delete process.env.NOTIFY_WEBHOOK_URL;
+    delete process.env.NOTIFY_FORMAT;
+    delete process.env.NOTIFY_ONLY_ON_FAILURE;
+  }
+});
@@ -0,0 +1,97 @@
+// test/run-history.test.js
+// 수집 실행 이력(collection_runs) 행 생성·저장 테스트
+
+import { test, mock, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileSink } from '../scripts/lib/sinks/file.js';
+import { RUN_HISTORY_TABLE, createRunContext, saveRunRecords } from '../scripts/lib/run-history.js';
+
+// 테스트 임시 디렉터리 (끝나면 삭제)
+const TMP_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'runs-'));
+after(() => fs.rmSync(TMP_ROOT, { recursive: true, force: true }));
+
+test('성공한 수집은 날짜별 저장 건수와 소요 시간을 기록', () => {
+  const run = createRunContext({ trigger: 'manual' });
+  const records = run.build({
+    brand: 'dok',
+    platform: 'naver',
+    dates: ['2025-08-01', '2025-08-02'],
+    summary: [{ date: '2025-08-01', rows: 2 }, { date: '2025-08-02', rows: 1 }],
+    startedAt: Date.parse('2025-08-03T00:00:00Z'),
+    finishedAt: Date.parse('2025-08-03T00:00:12Z')
+  });
+
+  assert.equal(records.length, 2);
+  assert.deepEqual(records.map(r => r.row_count), [2, 1]);
+  for (const record of records) {
+    assert.equal(record.run_id, run.runId);
+    assert.equal(record.trigger, 'manual');
+    assert.equal(record.brand, 'dok');
+    assert.equal(record.platform, 'naver');
+    assert.equal(record.status, 'success');
+    assert.equal(record.error, null);
+    assert.equal(record.duration_ms, 12000);
+    assert.equal(record.started_at, '2025-08-03T00:00:00.000Z');
+  }
+});
+
+test('실패한 수집은 대상 날짜마다 에러와 함께 failed로 기록', () => {
+  const run = createRunContext({ trigger: 'schedule' });
+  const records = run.build({
+    brand: 'main',
+    platform: 'meta',
+    dates: ['2025-08-01'],
+    error: new Error('Meta API error: 500'),
+    startedAt: Date.now()
+  });
+
+  assert.equal(records.length, 1);
+  assert.equal(records[0].status, 'failed');
+  assert.equal(records[0].row_count, 0);
+  assert.equal(records[0].error, 'Meta API error: 500');
+});
+
+test('실행마다 다른 run_id, RUN_TRIGGER 환경변수 우선', () => {
+  process.env.RUN_TRIGGER = 'retry';
+  try {
+    const first = createRunContext();
+    const second = createRunContext();
+    assert.notEqual(first.runId, second.runId);
+    assert.equal(first.trigger, 'retry');
+  } finally {
+    delete process.env.RUN_TRIGGER;
+  }
+});
+
+test('저장소에 같은 run_id·브랜드·플랫폼·날짜는 한 행으로 저장', async () => {
+  const sink = createFileSink({ dir: fs.mkdtempSync(path.join(TMP_ROOT, 'runs-')) });
+  const run = createRunContext({ trigger: 'manual' });
+  const attempt = { brand: 'main', platform: 'google', dates: ['2025-08-01'], startedAt: Date.now() };
+  const log = mock.method(console, 'log', () => {});
+
+  assert.equal(await saveRunRecords(sink, run.build({ ...attempt, error: new Error('timeout') })), true);
+  assert.equal(await saveRunRecords(sink, run.build({ ...attempt, summary: [{ date: '2025-08-01', rows: 2 }] })), true);
+  log.mock.restore();
+
+  const rows = await sink.select(RUN_HISTORY_TABLE);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].status, 'success');
+  assert.equal(rows[0].row_count, 2);
+});
+
+test('이력 저장 실패는 예외 없이 false 반환', async () => {
+  const failingSink = { upsert: async () => { throw new Error('relation "collection_runs" does not exist'); } };
+  const errorLog = mock.method(console, 'error', () => {});
+
+  const run = createRunContext({ trigger: 'manual' });
+  const saved = await saveRunRecords(failingSink, run.build({
+    brand: 'main', platform: 'naver', dates: ['2025-08-01'], startedAt: Date.now()
+  }));
+
+  assert.equal(saved, false);
+  assert.equal(errorLog.mock.callCount(), 1);
+  errorLog.mock.restore();
+});
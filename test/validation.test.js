@@ -0,0 +1,151 @@
+// test/validation.test.js
+// 저장 전 검증 (스키마·상식 규칙·0 덮어쓰기 방지) 테스트
+
+import { test, mock, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileSink } from '../scripts/lib/sinks/file.js';
+import { runAdapter } from '../scripts/lib/collector.js';
+import { validateRows, guardZeroOverwrite } from '../scripts/lib/validation.js';
+
+// 테스트 임시 디렉터리 (끝나면 삭제)
+const TMP_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'validation-'));
+after(() => fs.rmSync(TMP_ROOT, { recursive: true, force: true }));
+
+const SPEC = { table: 'naver_insights', onConflict: ['date', 'campaign'], clickBasedConversions: true };
+const DATE = '2025-08-01';
+
+const row = (campaign, metrics = {}) => ({
+  date: DATE, campaign, spend: 1000, impressions: 100, clicks: 10, conversion: 1, ...metrics
+});
+
+let sink;
+
+beforeEach(() => {
+  sink = createFileSink({ dir: fs.mkdtempSync(path.join(TMP_ROOT, 'validation-')) });
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.ALLOW_ZERO_OVERWRITE;
+});
+
+test('스키마 위반(키 누락, 숫자 아님, 음수) 행은 제외', () => {
+  const { rows, violations } = validateRows([
+    row('ok'),
+    row(''),
+    row('nan', { spend: NaN }),
+    row('text', { clicks: '10' }),
+    row('negative', { spend: -1 })
+  ], SPEC);
+
+  assert.deepEqual(rows.map(r => r.campaign), ['ok']);
+  assert.deepEqual(violations.map(v => [v.level, v.rule, v.key]), [
+    ['error', 'missing_key', `${DATE} / `],
+    ['error', 'not_a_number', `${DATE} / nan`],
+    ['error', 'not_a_number', `${DATE} / text`],
+    ['error', 'negative', `${DATE} / negative`]
+  ]);
+});
+
+test('상식 규칙(클릭 > 노출, 검색 전환 > 클릭)은 경고만 하고 저장', () => {
+  const input = [row('clicks', { clicks: 200 }), row('conversions', { conversion: 11 })];
+
+  const { rows, violations } = validateRows(input, SPEC);
+  assert.equal(rows.length, 2);
+  assert.deepEqual(violations.map(v => [v.level, v.rule]), [
+    ['warning', 'clicks_over_impressions'],
+    ['warning', 'conversions_over_clicks']
+  ]);
+
+  // 검색 광고가 아닌 데이터셋은 전환 > 클릭을 검사하지 않음
+  const display = validateRows(input, { ...SPEC, clickBasedConversions: false });
+  assert.deepEqual(display.violations.map(v => v.rule), ['clicks_over_impressions']);
+});
+
+test('저장된 실적을 0인 행으로 덮어쓰지 않음', async () => {
+  await sink.upsert('naver_insights', [row('Naver SA'), row('Naver BS', { spend: 0, impressions: 0, clicks: 0 })], SPEC);
+
+  const zero = { spend: 0, impressions: 0, clicks: 0, conversion: 0 };
+  const { rows, violations } = await guardZeroOverwrite(sink, [
+    row('Naver SA', zero),
+    row('Naver BS', zero),
+    row('Naver New', zero)
+  ], SPEC);
+
+  assert.deepEqual(rows.map(r => r.campaign), ['Naver BS', 'Naver New']);
+  assert.deepEqual(violations.map(v => [v.rule, v.key]), [['zero_overwrite', `${DATE} / Naver SA`]]);
+
+  process.env.ALLOW_ZERO_OVERWRITE = 'true';
+  assert.equal((await guardZeroOverwrite(sink, [row('Naver SA', zero)], SPEC)).rows.length, 1);
+});
+
+test('수집기: 검증을 통과한 행만 저장하고 날짜별 위반을 요약에 포함', async () => {
+  await sink.upsert('naver_insights', [row('Naver SA', { spend: 5000 })], SPEC);
+
+  const adapter = {
+    platform: 'naver',
+    brand: { id: 'main', platforms: { naver: {} } },
+    label: '네이버',
+    spendIncludesVat: true,
+    datasets: { insights: SPEC },
+    async fetch(date) {
+      return {
+        insights: [row('Naver SA', { spend: 0, impressions: 0, clicks: 0, conversion: 0 }), row('Naver BS', { reach: -5 })],
+        violations: [{ level: 'warning', rule: 'dropped_report_rows', table: 'naver_insights', key: 'AD', message: `${date} 잘린 행` }]
+      };
+    }
+  };
+
+  const [summary] = await runAdapter(adapter, [DATE], { sink });
+
+  assert.equal(summary.rows, 0);
+  assert.deepEqual(summary.violations.map(v => [v.date, v.dataset, v.rule]), [
+    [DATE, undefined, 'dropped_report_rows'],
+    [DATE, 'insights', 'negative'],
+    [DATE, 'insights', 'zero_overwrite']
+  ]);
+
+  const stored = await sink.select('naver_insights');
+  assert.deepEqual(stored.map(r => [r.campaign, r.spend]), [['Naver SA', 5000]]);
+});
+
+test('수집기: 대표 데이터셋이 비면 empty_response 경고', async () => {
+  const adapter = {
+    platform: 'naver',
+    brand: { id: 'main', platforms: { naver: {} } },
+    label: '네이버',
+    datasets: { insights: SPEC, keywords: { table: 'naver_keywords', onConflict: ['date', 'keyword'] } },
+    async fetch() {
+      return { insights: [], keywords: [] };
+    }
+  };
+
+  const [summary] = await runAdapter(adapter, [DATE], { sink });
+
+  assert.equal(summary.rows, 0);
+  assert.deepEqual(summary.violations.map(v => [v.level, v.rule, v.dataset, v.table, v.key]), [
+    ['warning', 'empty_response', 'insights', 'naver_insights', DATE]
+  ]);
+});
+
+test('수집기: 요약 광고비는 리포트와 같은 원화 VAT 별도 기준', async () => {
+  const adapter = {
+    platform: 'naver',
+    brand: { id: 'main', platforms: { naver: {} } },
+    label: '네이버',
+    spendIncludesVat: true,
+    datasets: { insights: SPEC },
+    async fetch() {
+      return { insights: [row('Naver SA', { spend: 11000 }), row('Naver BS', { spend: 2200 })] };
+    }
+  };
+
+  const [summary] = await runAdapter(adapter, [DATE], { sink });
+
+  assert.equal(summary.rows, 2);
+  assert.equal(Math.round(summary.spend), 12000); // VAT 포함 13,200 → 별도 12,000
+});